@@ -0,0 +1,234 @@
+/**
+ * Backfill script for missed days
+ * Downloads every missing item index for a date range or an N range
+ * in one browser session, foldered by the logical date each N maps to
+ */
+
+require('dotenv').config({ path: './.env' });
+const { readLoginEnv, openRunSession, closeSession } = require('./utils/browserSession');
+const { getFilterCombinations } = require('./utils/navigationHandler');
+const { getSelection } = require('./utils/itemSelector');
+const { resolveStrategyChain, formatStrategyCounts } = require('./utils/downloadStrategies');
+const { resolveSiteAdapter } = require('./utils/siteAdapter');
+const { getNValue, getDateForN, getWorkingDaysBetween } = require('./utils/dateCalculator');
+const { loadCalendar, parseDateKey, toDateKey } = require('./utils/holidayCalendar');
+const { loadLedger } = require('./utils/downloadLedger');
+const { acquireRunLock, getLockPath } = require('./utils/runLock');
+const { getTemplate, validateTemplate } = require('./utils/pathTemplate');
+const { createRateLimiter, getRateLimitOptions } = require('./utils/rateLimiter');
+const { getRetryPolicy } = require('./utils/retryPolicy');
+const { createSummary, runTasks } = require('./utils/combinationRunner');
+const { notifyRunSummary } = require('./utils/notifier');
+const { writeRunReport } = require('./utils/runReport');
+const { getArtifactOptions } = require('./utils/failureArtifacts');
+const { getBookletOptions, buildBookletsAfterRun } = require('./utils/bookletBuilder');
+const { pruneStore } = require('./utils/contentStore');
+const { runForProfiles } = require('./utils/profiles');
+const { getConfig } = require('./utils/config');
+const { EXIT_CODES, exitCodeFor } = require('./utils/exitCodes');
+const { createLogger, withLogContext } = require('./utils/logger');
+
+const log = createLogger('backfill');
+
+/**
+ * Parse an inclusive N range such as "5-12", "5..12" or "7"
+ * @param {string} value - Range text
+ * @returns {{from: number, to: number}}
+ */
+function parseNRange(value) {
+    const match = /^(\d+)(?:\s*(?:-|\.\.)\s*(\d+))?$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid N range "${value}", expected e.g. 5-12`);
+    }
+    const from = Number(match[1]);
+    const to = match[2] ? Number(match[2]) : from;
+    if (from < 1 || to < from) {
+        throw new Error(`Invalid N range "${value}"`);
+    }
+    return { from, to };
+}
+
+/**
+ * Resolve backfill targets to a list of { n, date } (date is YYYY-MM-DD)
+ * @param {Object} range - Either { from, to } dates (YYYY-MM-DD) or { nFrom, nTo }
+ * @param {Object} [calendar] - Holiday calendar
+ * @returns {Array<{n: number, date: string}>} Targets ordered by N
+ */
+function resolveBackfillTargets(range, calendar = loadCalendar()) {
+    const targets = [];
+    
+    if (range.nFrom) {
+        for (let n = range.nFrom; n <= range.nTo; n++) {
+            targets.push({ n, date: toDateKey(getDateForN(n, calendar)) });
+        }
+        return targets;
+    }
+    
+    const from = parseDateKey(range.from);
+    const to = parseDateKey(range.to || range.from);
+    if (to < from) {
+        throw new Error(`Invalid date range ${range.from}..${range.to}`);
+    }
+    
+    const seen = new Set();
+    for (const day of getWorkingDaysBetween(from, to, calendar)) {
+        const n = getNValue(day, calendar);
+        if (seen.has(n)) continue;
+        seen.add(n);
+        targets.push({ n, date: toDateKey(day) });
+    }
+    return targets;
+}
+
+/**
+ * Backfill grade/subject combinations for the given targets
+ * @param {Array<{n: number, date: string}>} targets - Items to fetch
+ * @param {Object} [options] - Same overrides as main(): grades, subjects, downloadDir, headless, http, site, select, strategies, template, workers, trace, lock, notify, profiles
+ * @returns {Promise<Object>} Run summary (see createSummary in utils/combinationRunner.js; per account with profiles, see main())
+ */
+async function backfill(targets, options = {}) {
+    if (options.profile === undefined) {
+        return runForProfiles(options, profileOptions => backfill(targets, profileOptions), { label: 'backfill' });
+    }
+    const summary = createSummary();
+    summary.profile = options.profile;
+    return withLogContext({ runId: summary.runId }, () => runBackfill(targets, options, summary));
+}
+
+/**
+ * Body of backfill(); `summary` is created by the caller so the run id is known up front
+ * @param {Array<{n: number, date: string}>} targets - Items to fetch
+ * @param {Object} options - See backfill()
+ * @param {Object} summary - Summary from createSummary()
+ * @returns {Promise<Object>} The same summary
+ */
+async function runBackfill(targets, options, summary) {
+    let session = null;
+    let releaseLock = null;
+    const downloadDir = options.downloadDir || getConfig().downloadDir;
+    
+    try {
+        log.info('=== Start backfill ===');
+        
+        const combinations = getFilterCombinations({ grades: options.grades, subjects: options.subjects });
+        for (const combination of combinations) {
+            combination.select = getSelection(combination.grade, combination.subject, options.select);
+        }
+        const adapter = resolveSiteAdapter(options.site);
+        const strategies = resolveStrategyChain(options.strategies);
+        const template = validateTemplate(options.template || getTemplate());
+        
+        if (targets.length === 0) {
+            log.warn('No working days in range, nothing to backfill');
+            summary.ok = true;
+            return summary;
+        }
+        log.info(`Targets: N=${targets[0].n}..${targets[targets.length - 1].n} (${targets.length} days)`);
+        
+        const env = readLoginEnv(options.profile);
+        const { username, password, loginUrl } = env;
+        if (options.lock !== false) {
+            releaseLock = await acquireRunLock(getLockPath(downloadDir), 'backfill');
+        }
+        const ledger = await loadLedger(downloadDir, { profile: options.profile });
+        
+        session = await openRunSession({ loginUrl, username, password, headless: options.headless, adapter, http: options.http, sessionFile: options.sessionFile });
+        const { baseUrl } = session;
+        
+        // One task per combination and item index, shared by the worker pool.
+        // Selections that do not depend on N or the date run once, for the last day.
+        const tasks = [];
+        for (const combination of combinations) {
+            const perDay = ['nth', 'date'].includes(combination.select.mode);
+            for (const target of perDay ? targets : targets.slice(-1)) {
+                tasks.push({ ...combination, ...target });
+            }
+        }
+        summary.total = tasks.length;
+        
+        await runTasks(session, tasks, {
+            adapter: session.adapter,
+            fallback: session.fallback,
+            baseUrl,
+            ledger,
+            downloadDir,
+            strategies,
+            template,
+            limiter: createRateLimiter(getRateLimitOptions()),
+            policy: getRetryPolicy(),
+            workers: options.workers,
+            artifacts: getArtifactOptions({ downloadDir, runId: summary.runId, trace: options.trace }),
+            summary
+        });
+        
+        // Stored copies of papers deleted from the archive since the last run
+        await pruneStore(downloadDir);
+        
+        // Per-grade booklets of every day that got new papers (config `booklet.enabled`)
+        if (getBookletOptions(downloadDir).enabled) {
+            const dates = [...new Set(summary.results.filter(r => r.status === 'downloaded').map(r => r.date))];
+            if (dates.length) summary.booklets = await buildBookletsAfterRun(downloadDir, dates, [...new Set(combinations.map(c => c.grade))]);
+        }
+        
+        summary.ok = true;
+        log.info('=== Backfill done ===');
+        log.info('Downloaded PDFs:', summary.downloaded);
+        log.info('Already downloaded:', summary.known);
+        log.info('Failed items:', summary.failed);
+        log.info('Retries:', summary.retries);
+        log.info('Strategies used:', formatStrategyCounts(summary.strategies));
+        
+    } catch (error) {
+        log.error('Backfill error:', error?.message || error);
+        summary.error = error?.message || String(error);
+    } finally {
+        await closeSession(session);
+        if (releaseLock) await releaseLock();
+    }
+    
+    summary.finishedAt = new Date().toISOString();
+    summary.report = await writeRunReport(summary, { label: 'backfill', downloadDir });
+    if (options.notify !== false) await notifyRunSummary(summary, { label: 'backfill', downloadDir });
+    
+    return summary;
+}
+
+/**
+ * Parse command-line arguments
+ *   node backfill.js 2025-10-01 [2025-10-10]
+ *   node backfill.js --n 5-12
+ * @param {string[]} argv - Arguments without node/script
+ * @returns {Object} Range for resolveBackfillTargets
+ */
+function parseArgs(argv) {
+    if (argv[0] === '--n') {
+        const { from, to } = parseNRange(argv[1] || '');
+        return { nFrom: from, nTo: to };
+    }
+    if (!argv[0]) {
+        throw new Error('Usage: node backfill.js <from-date> [to-date] | --n <from>-<to>');
+    }
+    return { from: argv[0], to: argv[1] };
+}
+
+if (require.main === module) {
+    let targets;
+    try {
+        targets = resolveBackfillTargets(parseArgs(process.argv.slice(2)));
+    } catch (error) {
+        log.error(error?.message || error);
+        process.exit(EXIT_CODES.USAGE);
+    }
+    backfill(targets)
+        .then(summary => { process.exitCode = exitCodeFor(summary); })
+        .catch(err => {
+            log.error('Backfill promise rejected:', err);
+            process.exitCode = EXIT_CODES.FAILURE;
+        });
+}
+
+module.exports = {
+    backfill,
+    resolveBackfillTargets,
+    parseNRange
+};
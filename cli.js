@@ -0,0 +1,525 @@
+#!/usr/bin/env node
+/**
+ * Command-line interface
+ * Subcommands: run, dry-run, backfill, list, check, rename, dedupe, booklet, daemon, status
+ */
+
+require('dotenv').config({ path: './.env' });
+const { parseArgs } = require('util');
+const main = require('./index');
+const { backfill, resolveBackfillTargets, parseNRange } = require('./backfill');
+const { readLoginEnv, openRunSession, closeSession } = require('./utils/browserSession');
+const { getFilterCombinations } = require('./utils/navigationHandler');
+const { getSelection, parseSelection, selectItems } = require('./utils/itemSelector');
+const { loadConfig, getConfig } = require('./utils/config');
+const { selectProfiles, applyProfile } = require('./utils/profiles');
+const { loadLedger } = require('./utils/downloadLedger');
+const { resolveStrategyChain } = require('./utils/downloadStrategies');
+const { resolveSiteAdapter } = require('./utils/siteAdapter');
+const { validateTemplate } = require('./utils/pathTemplate');
+const { renameArchive } = require('./utils/archiveRenamer');
+const { dedupeArchive } = require('./utils/archiveDeduper');
+const { weekOf, buildDayBooklets, buildRangeBooklets } = require('./utils/bookletBuilder');
+const { todayString } = require('./utils/downloadHandler');
+const { withRunLock, getLockPath } = require('./utils/runLock');
+const { createScheduler, readSchedulerState, describeSchedulerState, getSchedulerStatePath } = require('./utils/scheduler');
+const { loadCalendar, parseDateKey } = require('./utils/holidayCalendar');
+const { getNValue } = require('./utils/dateCalculator');
+const { EXIT_CODES, exitCodeFor } = require('./utils/exitCodes');
+const { createLogger } = require('./utils/logger');
+
+const log = createLogger('cli');
+
+const USAGE = `Usage: node cli.js <command> [options]
+
+Commands:
+  run                 Download today's papers (default)
+  dry-run             Log in and report what run would download
+  backfill            Download missing papers for a date or N range
+  list                Print the items on each list page
+  check               Validate config, compute N and test the login
+  rename              Move the archive to a new --template (add --apply to move)
+  dedupe              Report byte-identical PDFs in the archive (add --apply to hardlink them)
+  booklet             Merge a day's papers into one PDF per grade (--from <date>, default today;
+                      --to <date> or --week for a bundle over several days)
+  daemon              Stay running and download every working day at schedule.time
+  status              Show the daemon's next run and last run
+
+Options:
+  -g, --grades <list>     Limit grades, e.g. P1,P2
+  -s, --subjects <list>   Limit subjects, Chinese or English, e.g. 中,Maths
+  -p, --profile <list>    Credential profiles to use (default: every profile in config profiles)
+  -n, --n <N>             Override N (backfill: range such as 5-12)
+  -c, --config <file>     Config file (default: CONFIG_FILE, else ./config.json)
+  -o, --out <dir>         Output directory (default: config downloadDir; with profiles, the parent
+                          of the profile folders)
+      --from <date>       Backfill start date (YYYY-MM-DD)
+      --to <date>         Backfill end date (default: --from)
+      --week              booklet: bundle the week (Mon-Sun) of --from / today
+      --select <mode>     Items to download: nth (default), newest, all, title:<regex>,
+                          date:<YYYY-MM-DD>, ids:<id,id> (default: config selection)
+      --site <name|path>  Site adapter (default: config site.adapter)
+      --strategies <list> Download strategy order, e.g. direct-post,http-post
+  -w, --workers <count>   Parallel pages (default: config workers, else 2)
+  -t, --template <tpl>    Filename template, e.g. "{grade}/{subject}/{date}-{id}.pdf"
+      --trace             Keep a Playwright trace of each failed combination
+      --http              HTTP-only mode: no browser, falls back to it when the HTML does not match
+      --apply             rename, dedupe: perform the changes instead of listing them
+      --json              status: print JSON
+      --headless          Run browser headless
+      --headed            Show the browser window
+  -h, --help              Show this help
+
+Exit codes: 0 ok, 1 failure, 2 some combinations failed, 64 bad arguments`;
+
+const COMMANDS = ['run', 'dry-run', 'backfill', 'list', 'check', 'rename', 'dedupe', 'booklet', 'daemon', 'status'];
+
+/**
+ * Split a comma-separated flag value
+ * @param {string|undefined} value - Flag value
+ * @returns {string[]|undefined}
+ */
+function splitList(value) {
+    if (value === undefined) return undefined;
+    return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse argv into a command and main()-style options
+ * @param {string[]} argv - Arguments without node/script
+ * @returns {{command: string, options: Object, values: Object}}
+ */
+function parseCli(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            config: { type: 'string', short: 'c' },
+            grades: { type: 'string', short: 'g' },
+            subjects: { type: 'string', short: 's' },
+            profile: { type: 'string', short: 'p' },
+            n: { type: 'string', short: 'n' },
+            out: { type: 'string', short: 'o' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            week: { type: 'boolean' },
+            select: { type: 'string' },
+            site: { type: 'string' },
+            strategies: { type: 'string' },
+            workers: { type: 'string', short: 'w' },
+            template: { type: 'string', short: 't' },
+            trace: { type: 'boolean' },
+            http: { type: 'boolean' },
+            apply: { type: 'boolean' },
+            json: { type: 'boolean' },
+            headless: { type: 'boolean' },
+            headed: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+    
+    const command = positionals[0] || 'run';
+    if (!COMMANDS.includes(command)) {
+        throw new Error(`Unknown command "${command}"`);
+    }
+    if (positionals.length > 1) {
+        throw new Error(`Unexpected argument "${positionals[1]}"`);
+    }
+    if (values.headless && values.headed) {
+        throw new Error('--headless and --headed are mutually exclusive');
+    }
+    
+    // Config file and env first; the flags below override them
+    loadConfig({ file: values.config });
+    
+    const options = {
+        grades: splitList(values.grades),
+        subjects: splitList(values.subjects),
+        profiles: splitList(values.profile),
+        downloadDir: values.out,
+        site: values.site,
+        select: values.select !== undefined ? parseSelection(values.select) : undefined,
+        strategies: splitList(values.strategies),
+        template: values.template,
+        trace: values.trace,
+        http: values.http,
+        headless: values.headless ? true : values.headed ? false : undefined
+    };
+    
+    if (values.workers !== undefined) {
+        const workers = Number(values.workers);
+        if (!Number.isInteger(workers) || workers < 1) {
+            throw new Error(`Invalid --workers "${values.workers}", expected a positive integer`);
+        }
+        options.workers = workers;
+    }
+    
+    if (values.n !== undefined && command !== 'backfill') {
+        const n = Number(values.n);
+        if (!Number.isInteger(n) || n < 1) {
+            throw new Error(`Invalid --n "${values.n}", expected a positive integer`);
+        }
+        options.n = n;
+    }
+    
+    // Validate filters, selections, adapter and strategies before any browser work
+    for (const { grade, subject } of getFilterCombinations({ grades: options.grades, subjects: options.subjects })) {
+        getSelection(grade, subject, options.select);
+    }
+    for (const name of selectProfiles(options.profiles) || []) {
+        applyProfile(options, name);
+    }
+    resolveSiteAdapter(options.site);
+    resolveStrategyChain(options.strategies);
+    if (options.template) validateTemplate(options.template);
+    if (command === 'rename' && !options.template) {
+        throw new Error('rename needs --template');
+    }
+    
+    return { command, options, values };
+}
+
+/**
+ * Exit code of several runs: a failure wins over a partial result
+ * @param {number} a - Exit code
+ * @param {number} b - Exit code
+ * @returns {number}
+ */
+function worstExitCode(a, b) {
+    if (a === EXIT_CODES.FAILURE || b === EXIT_CODES.FAILURE) return EXIT_CODES.FAILURE;
+    return Math.max(a, b);
+}
+
+/**
+ * Run a command once per selected credential profile (its folder, session and
+ * narrowed filters), or once with the options as given when no profiles are configured
+ * With `lock`, the run lock of the parent download folder is held over all
+ * profiles and each command gets `lock: false`.
+ * @param {Object} options - Parsed CLI options
+ * @param {Function} command - async (options) => exit code
+ * @param {Object} [lockOptions]
+ * @param {string} [lockOptions.lock] - Label to hold the lock under (default: no lock)
+ * @returns {Promise<number>} Worst exit code
+ */
+async function forEachAccount(options, command, { lock } = {}) {
+    const names = selectProfiles(options.profiles);
+    if (!names) return command({ ...options, profile: null });
+
+    if (lock) {
+        const lockFile = getLockPath(options.downloadDir || getConfig().downloadDir);
+        try {
+            return await withRunLock(lockFile, lock, () => forEachProfile(names, { ...options, lock: false }, command));
+        } catch (error) {
+            log.error('Could not take the run lock:', error?.message || error);
+            return EXIT_CODES.FAILURE;
+        }
+    }
+    return forEachProfile(names, options, command);
+}
+
+/**
+ * Body of forEachAccount(): the profile loop
+ * @param {string[]} names - Selected profiles
+ * @param {Object} options - Parsed CLI options
+ * @param {Function} command - async (options) => exit code
+ * @returns {Promise<number>} Worst exit code
+ */
+async function forEachProfile(names, options, command) {
+    let code = EXIT_CODES.OK;
+    for (const name of names) {
+        const account = applyProfile(options, name);
+        if (!account) {
+            log.info(`Profile ${name}: none of its grades/subjects is selected, skipped`);
+            continue;
+        }
+        log.info(`=== Profile ${name} (${account.downloadDir}) ===`);
+        code = worstExitCode(code, await command(account));
+    }
+    return code;
+}
+
+/**
+ * Print the items on each selected list page, marking selected (N by default) and known papers
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} Exit code
+ */
+async function listCommand(options) {
+    let session = null;
+    try {
+        const env = readLoginEnv(options.profile);
+        const ledger = await loadLedger(options.downloadDir || env.downloadDir, { profile: options.profile });
+        const nValue = options.n || getNValue();
+        
+        session = await openRunSession({ ...env, headless: options.headless, adapter: resolveSiteAdapter(options.site), http: options.http, sessionFile: options.sessionFile });
+        const { adapter } = session;
+        let failed = 0;
+        
+        for (const { grade, subject } of getFilterCombinations(options)) {
+            console.log(`\n${grade} - ${subject}`);
+            try {
+                const items = await adapter.listItems(session.page, { baseUrl: session.baseUrl, grade, subject });
+                const selected = new Set(selectItems(items, getSelection(grade, subject, options.select), { n: nValue }));
+                for (const item of items) {
+                    const marks = `${selected.has(item) ? '>' : ' '}${ledger.get(item.id) ? '✓' : ' '}`;
+                    console.log(`  ${marks} ${String(item.index).padStart(3)}  ${item.id || '-'}  ${item.date || '          '}  ${item.title}`);
+                }
+            } catch (error) {
+                log.warn(`No items for ${grade}-${subject}:`, error?.message || error);
+                failed++;
+            }
+        }
+        return failed ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    } catch (error) {
+        log.error('List failed:', error?.message || error);
+        return EXIT_CODES.FAILURE;
+    } finally {
+        await closeSession(session);
+    }
+}
+
+/**
+ * Validate env and filters, print N and try to log in
+ * @param {Object} options - Parsed CLI options
+ * @returns {Promise<number>} Exit code
+ */
+async function checkCommand(options) {
+    let session = null;
+    try {
+        const env = readLoginEnv(options.profile);
+        const combinations = getFilterCombinations(options);
+        log.info('Config:', getConfig().source || 'built-in defaults');
+        log.info('Combinations:', combinations.length);
+        log.info('N value:', options.n || getNValue());
+        log.info('Download dir:', options.downloadDir || env.downloadDir);
+        
+        session = await openRunSession({ ...env, headless: options.headless, adapter: resolveSiteAdapter(options.site), http: options.http, sessionFile: options.sessionFile });
+        log.info(`Check passed: login OK (${session.browser ? 'browser' : 'HTTP-only'})`);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        log.error('Check failed:', error?.message || error);
+        return EXIT_CODES.FAILURE;
+    } finally {
+        await closeSession(session);
+    }
+}
+
+/**
+ * Move existing PDFs and sidecars to the --template layout
+ * @param {Object} options - Parsed CLI options
+ * @param {boolean} apply - Perform the moves
+ * @returns {Promise<number>} Exit code
+ */
+async function renameCommand(options, apply) {
+    try {
+        const downloadDir = options.downloadDir || getConfig().downloadDir;
+        const ledger = await loadLedger(downloadDir, { profile: options.profile });
+        const rename = () => renameArchive(downloadDir, options.template, { apply, ledger });
+        const locked = apply && options.lock !== false;
+        const { moves, skipped } = locked ? await withRunLock(getLockPath(downloadDir), 'rename', rename) : await rename();
+        log.info(`${apply ? 'Moved' : 'Would move'} ${moves.length} file(s), skipped ${skipped.length}`);
+        if (!apply && moves.length) log.info('Re-run with --apply to move the files');
+        return EXIT_CODES.OK;
+    } catch (error) {
+        log.error('Rename failed:', error?.message || error);
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+/**
+ * Report duplicate PDFs in the archive, or collapse them into hardlinks
+ * @param {Object} options - Parsed CLI options
+ * @param {boolean} apply - Link the duplicates
+ * @returns {Promise<number>} Exit code
+ */
+async function dedupeCommand(options, apply) {
+    try {
+        const downloadDir = options.downloadDir || getConfig().downloadDir;
+        const dedupe = () => dedupeArchive(downloadDir, { apply });
+        const locked = apply && options.lock !== false;
+        const { files, groups, reclaimable, linked, orphans } = locked ? await withRunLock(getLockPath(downloadDir), 'dedupe', dedupe) : await dedupe();
+        const kb = (reclaimable / 1024).toFixed(1);
+        log.info(`Scanned ${files} file(s): ${groups.length} duplicate content group(s), ${kb} KB in extra copies`);
+        if (apply) {
+            log.info(`Linked ${linked} file(s), removed ${orphans.length} unused stored object(s)`);
+        } else if (groups.length || orphans.length) {
+            log.info('Re-run with --apply to hardlink the copies');
+        }
+        return EXIT_CODES.OK;
+    } catch (error) {
+        log.error('Dedupe failed:', error?.message || error);
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+/**
+ * Build per-grade booklets for one day, or bundles over a date range or a week
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} values - Raw flags (from, to, week)
+ * @returns {Promise<number>} Exit code
+ */
+async function bookletCommand(options, values) {
+    try {
+        const downloadDir = options.downloadDir || getConfig().downloadDir;
+        const grades = options.grades && [...new Set(getFilterCombinations({ grades: options.grades }).map(c => c.grade))];
+        const day = values.from || todayString();
+        parseDateKey(day);
+        
+        let built;
+        if (values.week) {
+            const { from, to } = weekOf(day);
+            built = await buildRangeBooklets(downloadDir, from, to, { grades });
+        } else if (values.to) {
+            built = await buildRangeBooklets(downloadDir, day, values.to, { grades });
+        } else {
+            built = await buildDayBooklets(downloadDir, day, { grades });
+        }
+        for (const booklet of built) {
+            console.log(`${booklet.grade}  ${booklet.papers} paper(s), ${booklet.pages} pages  ${booklet.file}`);
+        }
+        return built.length ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    } catch (error) {
+        log.error('Booklet failed:', error?.message || error);
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+/**
+ * Run the scheduler until SIGINT/SIGTERM
+ * @param {Object} options - Parsed CLI options (passed on to each run)
+ * @returns {Promise<number>} Exit code
+ */
+async function daemonCommand(options) {
+    const downloadDir = options.downloadDir || getConfig().downloadDir;
+    const calendar = loadCalendar();
+    const scheduler = createScheduler({
+        calendar,
+        stateFile: getSchedulerStatePath(downloadDir),
+        lockFile: getLockPath(downloadDir),
+        // The scheduler holds the run lock, so backfill must not take it again
+        runDays: days => backfill(days.flatMap(day => resolveBackfillTargets({ from: day }, calendar)), { ...options, lock: false })
+    });
+    
+    const onSignal = signal => {
+        log.info(`${signal} received, stopping after the current run`);
+        scheduler.stop();
+    };
+    process.once('SIGINT', onSignal);
+    process.once('SIGTERM', onSignal);
+    
+    try {
+        await scheduler.start();
+        return EXIT_CODES.OK;
+    } catch (error) {
+        log.error('Daemon failed:', error?.message || error);
+        return EXIT_CODES.FAILURE;
+    } finally {
+        process.removeListener('SIGINT', onSignal);
+        process.removeListener('SIGTERM', onSignal);
+    }
+}
+
+/**
+ * Print the scheduler state (JSON with --json)
+ * @param {Object} options - Parsed CLI options
+ * @param {boolean} json - Print raw JSON
+ * @returns {Promise<number>} Exit code
+ */
+async function statusCommand(options, json) {
+    const downloadDir = options.downloadDir || getConfig().downloadDir;
+    const status = describeSchedulerState(await readSchedulerState(getSchedulerStatePath(downloadDir)));
+    if (json) {
+        console.log(JSON.stringify(status, null, 2));
+        return EXIT_CODES.OK;
+    }
+    
+    const { lastRun } = status;
+    console.log(`Daemon:   ${status.running ? `running (pid ${status.pid})` : 'not running'}`);
+    console.log(`Next run: ${status.nextRun ? new Date(status.nextRun).toString() : '-'}`);
+    console.log(`Last day: ${status.lastDay || '-'}`);
+    if (status.retry) console.log(`Retry:    ${new Date(status.retry.at).toString()} (attempt ${status.retry.attempt})`);
+    if (lastRun) {
+        console.log(`Last run: ${lastRun.status} at ${lastRun.finishedAt} for ${lastRun.days.join(', ')}` +
+            (lastRun.status === 'skipped' ? '' : ` (downloaded ${lastRun.downloaded}, known ${lastRun.known}, failed ${lastRun.failed})`));
+        if (lastRun.error) console.log(`          ${lastRun.error}`);
+    } else {
+        console.log('Last run: -');
+    }
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without node/script
+ * @returns {Promise<number>} Exit code
+ */
+async function runCli(argv) {
+    let parsed;
+    try {
+        parsed = parseCli(argv);
+    } catch (error) {
+        log.error(error?.message || error);
+        console.error('Run "node cli.js --help" for usage');
+        return EXIT_CODES.USAGE;
+    }
+    
+    const { command, options, values } = parsed;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_CODES.OK;
+    }
+    
+    switch (command) {
+        case 'run':
+            return exitCodeFor(await main(options));
+        case 'dry-run':
+            return exitCodeFor(await main({ ...options, dryRun: true }));
+        case 'backfill': {
+            let targets;
+            try {
+                let range;
+                if (values.n !== undefined) {
+                    const { from, to } = parseNRange(values.n);
+                    range = { nFrom: from, nTo: to };
+                } else if (values.from) {
+                    range = { from: values.from, to: values.to };
+                } else {
+                    throw new Error('backfill needs --from <date> [--to <date>] or --n <from>-<to>');
+                }
+                targets = resolveBackfillTargets(range);
+            } catch (error) {
+                log.error(error?.message || error);
+                return EXIT_CODES.USAGE;
+            }
+            return exitCodeFor(await backfill(targets, options));
+        }
+        case 'list':
+            return forEachAccount(options, listCommand);
+        case 'check':
+            return forEachAccount(options, checkCommand);
+        case 'rename':
+            return forEachAccount(options, account => renameCommand(account, Boolean(values.apply)), { lock: values.apply && 'rename' });
+        case 'dedupe':
+            return forEachAccount(options, account => dedupeCommand(account, Boolean(values.apply)), { lock: values.apply && 'dedupe' });
+        case 'booklet':
+            return forEachAccount(options, account => bookletCommand(account, values));
+        case 'daemon':
+            return daemonCommand(options);
+        case 'status':
+            return statusCommand(options, Boolean(values.json));
+    }
+    return EXIT_CODES.USAGE;
+}
+
+if (require.main === module) {
+    runCli(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(err => {
+            log.error('CLI error:', err);
+            process.exitCode = EXIT_CODES.FAILURE;
+        });
+}
+
+module.exports = {
+    runCli,
+    parseCli
+};
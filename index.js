@@ -4,141 +4,181 @@
  */
 
 require('dotenv').config({ path: './.env' });
-const { chromium } = require('playwright');
-const { performLogin } = require('./utils/loginHandler');
-const { navigateToFilteredPage, getFilterCombinations, clickNthItem } = require('./utils/navigationHandler');
-const { downloadPDF } = require('./utils/downloadHandler');
+const { readLoginEnv, openRunSession, closeSession } = require('./utils/browserSession');
+const { getFilterCombinations } = require('./utils/navigationHandler');
+const { getSelection } = require('./utils/itemSelector');
+const { resolveStrategyChain, formatStrategyCounts } = require('./utils/downloadStrategies');
+const { resolveSiteAdapter } = require('./utils/siteAdapter');
+const { loadLedger } = require('./utils/downloadLedger');
+const { acquireRunLock, getLockPath } = require('./utils/runLock');
+const { getTemplate, validateTemplate } = require('./utils/pathTemplate');
 const { getNValue } = require('./utils/dateCalculator');
-const { createLogger } = require('./utils/logger');
+const { createRateLimiter, getRateLimitOptions } = require('./utils/rateLimiter');
+const { getRetryPolicy } = require('./utils/retryPolicy');
+const { createSummary, runTasks } = require('./utils/combinationRunner');
+const { notifyRunSummary } = require('./utils/notifier');
+const { writeRunReport } = require('./utils/runReport');
+const { getArtifactOptions } = require('./utils/failureArtifacts');
+const { getBookletOptions, buildBookletsAfterRun } = require('./utils/bookletBuilder');
+const { pruneStore } = require('./utils/contentStore');
+const { todayString } = require('./utils/downloadHandler');
+const { runForProfiles } = require('./utils/profiles');
+const { getConfig } = require('./utils/config');
+const { EXIT_CODES, exitCodeFor } = require('./utils/exitCodes');
+const { createLogger, withLogContext } = require('./utils/logger');
 
 const log = createLogger('main');
 
 /**
  * Main automation function
+ * Writes a run report and sends the summary notification at the end (not for dry runs);
+ * with config `booklet.enabled`, also rebuilds today's per-grade booklets.
+ * With config `profiles`, runs once per account (see profiles.js), each with its own
+ * report and notification, and returns the combined summary with `accounts`
+ * @param {Object} [options] - Overrides for the env-driven defaults
+ * @param {string[]} [options.grades] - Limit grades (default: all)
+ * @param {string[]} [options.subjects] - Limit subjects, Chinese or English (default: all)
+ * @param {number} [options.n] - Override the working-day N value
+ * @param {string} [options.downloadDir] - Output directory (default: config `downloadDir`)
+ * @param {boolean} [options.headless] - Run browser headless
+ * @param {string} [options.site] - Site adapter name or module path (default: config `site.adapter`)
+ * @param {number} [options.workers] - Parallel pages (default: config `workers`)
+ * @param {string[]} [options.strategies] - Download strategy chain (default: config `strategies`, else all)
+ * @param {string} [options.template] - Filename template (default: config `filenameTemplate`)
+ * @param {Object} [options.select] - Item selection for every combination, see parseSelection (default: config `selection`)
+ * @param {boolean} [options.trace] - Keep a Playwright trace of failed combinations (default: config `artifacts.trace`)
+ * @param {boolean} [options.http] - HTTP-only mode without a browser (default: config `http.enabled`)
+ * @param {boolean} [options.dryRun] - Only report what would be downloaded
+ * @param {boolean} [options.lock] - Take the run lock (default true; false when the caller holds it)
+ * @param {boolean} [options.notify] - Send the run summary notification (default true)
+ * @param {string[]} [options.profiles] - Credential profiles to run (default: all configured)
+ * @param {string|null} [options.profile] - Run as this one profile (set by runForProfiles; null = single account)
+ * @param {string|null} [options.sessionFile] - Saved session file (default: SESSION_FILE env)
+ * @returns {Promise<Object>} Run summary (see createSummary in utils/combinationRunner.js)
  */
-async function main() {
-    let browser = null;
-    let context = null;
-    let page = null;
+async function main(options = {}) {
+    if (options.profile === undefined) {
+        return runForProfiles(options, main, { label: 'run' });
+    }
+    const summary = createSummary();
+    summary.profile = options.profile;
+    return withLogContext({ runId: summary.runId }, () => runMain(options, summary));
+}
+
+/**
+ * Body of main(); `summary` is created by the caller so the run id is known up front
+ * @param {Object} options - See main()
+ * @param {Object} summary - Summary from createSummary()
+ * @returns {Promise<Object>} The same summary
+ */
+async function runMain(options, summary) {
+    let session = null;
+    let releaseLock = null;
+    let downloadDir = null;
     
     try {
-        log.info('=== Start task: auto download PDFs ===');
+        // Inside the try: an invalid config ends the run with a failed summary
+        downloadDir = options.downloadDir || getConfig().downloadDir;
+        log.info(`=== Start task: auto download PDFs${options.dryRun ? ' (dry run)' : ''} ===`);
         
         // Validate environment variables
-        const username = process.env.USERNAME1;
-        const password = process.env.PASSWORD;
-        const loginUrl = process.env.LOGIN_URL;
-        const downloadDir = process.env.DOWNLOAD_DIR || './downloads';
-        
-        if (!username || !password || !loginUrl) {
-            throw new Error('Missing env: USERNAME, PASSWORD, LOGIN_URL');
-        }
+        const env = readLoginEnv(options.profile);
+        const { username, password, loginUrl } = env;
         
         if (username === 'your_email@example.com') {
-            log.warn('Please set real USERNAME/PASSWORD in env');
-            return;
+            throw new Error('Please set real USERNAME1/PASSWORD in env');
         }
         
-        // Calculate N value based on working days
-        const nValue = getNValue();
-        log.info('Resolved N value (working-day index):', nValue);
+        // Get selected filter combinations (validates grade/subject filters)
+        const combinations = getFilterCombinations({ grades: options.grades, subjects: options.subjects });
+        summary.total = combinations.length;
         
-        // Launch browser
-        log.info('Launching browser...');
-        browser = await chromium.launch({ 
-            headless: false, // Set to true for headless mode
-            slowMo: 100 // Add delay between actions for debugging
-        });
-        
-        context = await browser.newContext({
-            acceptDownloads: true,
-            viewport: { width: 1280, height: 720 }
-        });
+        // Which list items each combination downloads (config `selection`, its overrides, --select)
+        for (const combination of combinations) {
+            combination.select = getSelection(combination.grade, combination.subject, options.select);
+        }
         
-        page = await context.newPage();
+        // Resolve the site adapter and download strategy chain before logging in
+        const adapter = resolveSiteAdapter(options.site);
+        log.info('Site adapter:', adapter.name);
+        const strategies = resolveStrategyChain(options.strategies);
+        const template = validateTemplate(options.template || getTemplate());
+        log.info('Download strategies:', strategies.join(' > '));
+        log.info('Filename template:', template);
         
-        // Navigate to login page
-        log.info('Goto login page:', loginUrl);
-        await page.goto(loginUrl, { waitUntil: 'networkidle' });
+        // Calculate N value based on working days
+        const nValue = options.n || getNValue();
+        summary.n = nValue;
+        log.info(`Resolved N value (working-day index): ${nValue}${options.n ? ' (override)' : ''}`);
         
-        // Perform login (will auto-redirect to main page)
-        const loginSuccess = await performLogin(page, username, password);
-        if (!loginSuccess) {
-            throw new Error('Login failed');
+        // Refuse to run next to another run on the same download folder
+        if (options.lock !== false && !options.dryRun) {
+            releaseLock = await acquireRunLock(getLockPath(downloadDir), 'run');
         }
         
-        // Get base URL for navigation
-        const baseUrl = new URL(loginUrl).origin;
+        // Load download ledger so already-fetched papers are skipped
+        const ledger = await loadLedger(downloadDir, { profile: options.profile });
+        log.info(`Ledger entries: ${ledger.size()} (${ledger.path})`);
+        
+        // Launch browser (or open an HTTP-only session) and log in
+        session = await openRunSession({ loginUrl, username, password, headless: options.headless, adapter, http: options.http, sessionFile: options.sessionFile });
+        const { baseUrl } = session;
         
-        // Get all filter combinations
-        const combinations = getFilterCombinations();
         log.info('Total filter combinations:', combinations.length);
         
-        let downloadCount = 0;
-        let successCount = 0;
-        let skipCount = 0;
+        // Process combinations with a pool of pages sharing one rate limiter
+        const today = todayString();
+        const tasks = combinations.map(combination => ({ ...combination, n: nValue, date: today }));
+        await runTasks(session, tasks, {
+            adapter: session.adapter,
+            fallback: session.fallback,
+            baseUrl,
+            ledger,
+            downloadDir,
+            strategies,
+            template,
+            limiter: createRateLimiter(getRateLimitOptions()),
+            policy: getRetryPolicy(),
+            workers: options.workers,
+            artifacts: getArtifactOptions({ downloadDir, runId: summary.runId, trace: options.trace }),
+            dryRun: options.dryRun,
+            summary
+        });
+        
+        // Stored copies of papers deleted from the archive since the last run
+        if (!options.dryRun) await pruneStore(downloadDir);
         
-        // Process each combination
-        for (let i = 0; i < combinations.length; i++) {
-            const { grade, subject } = combinations[i];
-            
-            log.info(`=== Process combination ${i + 1}/${combinations.length}: ${grade} - ${subject} ===`);
-            
-            try {
-                // Navigate to filtered page using URL parameters
-                const navSuccess = await navigateToFilteredPage(page, baseUrl, grade, subject);
-                if (!navSuccess) {
-                    log.warn(`Skip ${grade}-${subject}: navigation failed`);
-                    skipCount++;
-                    continue;
-                }
-                
-                // Click on Nth item
-                const clickSuccess = await clickNthItem(page, nValue);
-                if (!clickSuccess) {
-                    log.warn(`Skip ${grade}-${subject}: cannot click #${nValue}`);
-                    skipCount++;
-                    continue;
-                }
-                
-                // Download PDF
-                const downloadSuccess = await downloadPDF(page, grade, subject, downloadDir);
-                if (downloadSuccess) {
-                    downloadCount++;
-                    successCount++;
-                }
-                
-                // Wait before next iteration to avoid rate limiting
-                await page.waitForTimeout(20000); // Wait before next iteration
-            } catch (error) {
-                log.error(`Error processing ${grade}-${subject}:`, error?.message || error);
-                skipCount++;
-                
-                // Try to go back to main page
-                try {
-                    await page.goto(baseUrl, { waitUntil: 'networkidle' });
-                } catch (navError) {
-                    log.error('Failed to return to home:', navError?.message || navError);
-                }
-            }
+        // Per-grade booklets of the day the run filed its papers under (config `booklet.enabled`)
+        if (getBookletOptions(downloadDir).enabled && !options.dryRun && summary.downloaded > 0) {
+            summary.booklets = await buildBookletsAfterRun(downloadDir, [today], [...new Set(combinations.map(c => c.grade))]);
         }
         
+        summary.ok = true;
         log.info('=== Task done ===');
-        log.info('Downloaded PDFs:', downloadCount);
-        log.info('Successful combos:', successCount);
-        log.info('Skipped combos:', skipCount);
-        log.info('Total combos:', combinations.length);
+        log.info('Downloaded PDFs:', summary.downloaded);
+        log.info('Already downloaded:', summary.known);
+        log.info('Failed combos:', summary.failed);
+        log.info('Retries:', summary.retries);
+        log.info('Total combos:', summary.total);
+        log.info('Strategies used:', formatStrategyCounts(summary.strategies));
         
     } catch (error) {
         log.error('Main execution error:', error?.message || error);
+        summary.error = error?.message || String(error);
     } finally {
         // Clean up
-        if (page) await page.close();
-        if (context) await context.close();
-        if (browser) await browser.close();
-
-        log.info('Browser closed');
+        await closeSession(session);
+        if (releaseLock) await releaseLock();
+    }
+    
+    summary.finishedAt = new Date().toISOString();
+    // No download dir means the config did not load: nowhere to report to
+    if (!options.dryRun && downloadDir) {
+        summary.report = await writeRunReport(summary, { label: 'run', downloadDir });
+        if (options.notify !== false) await notifyRunSummary(summary, { label: 'run', downloadDir });
     }
+    
+    return summary;
 }
 
 // Handle unhandled rejections
@@ -148,7 +188,12 @@ process.on('unhandledRejection', (reason, promise) => {
 
 // Run the main function
 if (require.main === module) {
-    main().catch(err => log.error('Main promise rejected:', err));
+    main()
+        .then(summary => { process.exitCode = exitCodeFor(summary); })
+        .catch(err => {
+            log.error('Main promise rejected:', err);
+            process.exitCode = EXIT_CODES.FAILURE;
+        });
 }
 
 module.exports = main;
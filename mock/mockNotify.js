@@ -0,0 +1,185 @@
+/**
+ * Local stand-ins for notification targets
+ * A webhook receiver that records JSON bodies and a minimal SMTP server
+ * that records messages, so notifications can be tested without a network
+ */
+'use strict';
+
+const http = require('http');
+const net = require('net');
+const { createLogger } = require('../utils/logger');
+const log = createLogger('mock');
+
+/**
+ * Start an HTTP server that records every POSTed JSON body
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port (default: random free port)
+ * @param {number} [options.status] - Status code to answer with (default 200)
+ * @returns {Promise<{url: string, requests: Array<{path: string, headers: Object, body: Object}>, close: Function}>}
+ */
+function startMockWebhook({ port = 0, status = 200 } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString('utf8');
+            let body = raw;
+            try {
+                body = JSON.parse(raw);
+            } catch {
+                // keep raw text
+            }
+            requests.push({ path: req.url, headers: req.headers, body });
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(status < 400 ? 'ok' : 'error');
+        });
+    });
+    
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+            const url = `http://127.0.0.1:${server.address().port}/hook`;
+            log.debug('Mock webhook listening:', url);
+            resolve({
+                url,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections?.();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+/**
+ * Start a minimal SMTP server (EHLO, AUTH PLAIN/LOGIN, MAIL, RCPT, DATA)
+ * Any credentials are accepted; messages are kept in `messages`
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port (default: random free port)
+ * @returns {Promise<{host: string, port: number, messages: Array<{from: string, to: string[], auth: string|null, data: string}>, close: Function}>}
+ */
+function startMockSmtp({ port = 0 } = {}) {
+    const messages = [];
+    const sockets = new Set();
+    
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setEncoding('utf8');
+        
+        let buffer = '';
+        let mode = 'command';
+        let message = { from: null, to: [], auth: null, data: '' };
+        const reply = line => socket.write(`${line}\r\n`);
+        
+        const onCommand = line => {
+            const [verb, ...rest] = line.split(' ');
+            const arg = rest.join(' ');
+            switch (verb.toUpperCase()) {
+                case 'EHLO':
+                    reply('250-mock-smtp');
+                    reply('250-AUTH PLAIN LOGIN');
+                    return reply('250 8BITMIME');
+                case 'HELO':
+                    return reply('250 mock-smtp');
+                case 'AUTH':
+                    if (/^LOGIN/i.test(arg)) {
+                        mode = 'auth-user';
+                        return reply('334 VXNlcm5hbWU6');
+                    }
+                    message.auth = Buffer.from(arg.split(' ')[1] || '', 'base64').toString('utf8').split('\0')[1] || null;
+                    return reply('235 Authentication successful');
+                case 'MAIL':
+                    message.from = arg.replace(/^FROM:\s*/i, '').replace(/[<>]/g, '').split(' ')[0];
+                    return reply('250 OK');
+                case 'RCPT':
+                    message.to.push(arg.replace(/^TO:\s*/i, '').replace(/[<>]/g, '').split(' ')[0]);
+                    return reply('250 OK');
+                case 'DATA':
+                    mode = 'data';
+                    return reply('354 End data with <CR><LF>.<CR><LF>');
+                case 'RSET':
+                    message = { from: null, to: [], auth: message.auth, data: '' };
+                    return reply('250 OK');
+                case 'NOOP':
+                    return reply('250 OK');
+                case 'QUIT':
+                    reply('221 Bye');
+                    return socket.end();
+                default:
+                    return reply('502 Command not implemented');
+            }
+        };
+        
+        socket.on('data', chunk => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                
+                if (mode === 'data') {
+                    if (line === '.') {
+                        messages.push(message);
+                        message = { from: null, to: [], auth: message.auth, data: '' };
+                        mode = 'command';
+                        reply('250 OK: queued');
+                    } else {
+                        message.data += `${line.startsWith('..') ? line.slice(1) : line}\r\n`;
+                    }
+                } else if (mode === 'auth-user') {
+                    message.auth = Buffer.from(line, 'base64').toString('utf8');
+                    mode = 'auth-pass';
+                    reply('334 UGFzc3dvcmQ6');
+                } else if (mode === 'auth-pass') {
+                    mode = 'command';
+                    reply('235 Authentication successful');
+                } else {
+                    onCommand(line);
+                }
+            }
+        });
+        
+        reply('220 mock-smtp ESMTP');
+    });
+    
+    return new Promise(resolve => {
+        server.listen(port, '127.0.0.1', () => {
+            const address = server.address();
+            log.debug('Mock SMTP listening on port', address.port);
+            resolve({
+                host: '127.0.0.1',
+                port: address.port,
+                messages,
+                close: () => new Promise(done => {
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    startMockWebhook,
+    startMockSmtp
+};
+
+// Run standalone: node mock/mockNotify.js [webhookPort] [smtpPort]
+if (require.main === module) {
+    Promise.all([
+        startMockWebhook({ port: Number(process.argv[2]) || 8081 }),
+        startMockSmtp({ port: Number(process.argv[3]) || 2525 })
+    ]).then(([webhook, smtp]) => {
+        log.info('Mock webhook at', webhook.url);
+        log.info(`Mock SMTP at ${smtp.host}:${smtp.port}`);
+        setInterval(() => {
+            while (webhook.requests.length) log.info('Webhook:', JSON.stringify(webhook.requests.shift().body));
+            while (smtp.messages.length) {
+                const mail = smtp.messages.shift();
+                log.info(`Mail from ${mail.from} to ${mail.to.join(', ')}:\n${mail.data}`);
+            }
+        }, 500);
+    });
+}
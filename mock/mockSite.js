@@ -0,0 +1,297 @@
+/**
+ * Local mock of the target paper site
+ * Serves login, filtered lists, detail pages and the PDF endpoint
+ * with the same markup the handlers rely on, plus switchable error modes
+ */
+'use strict';
+
+const http = require('http');
+const { URL, URLSearchParams } = require('url');
+const { createLogger } = require('../utils/logger');
+const log = createLogger('mock');
+
+const GRADES = ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'];
+const SUBJECTS = ['Chinese', 'English', 'Maths', 'GS'];
+
+/**
+ * Error modes that can be assigned to a paper id:
+ *   expired-token  download.php answers 403 with an HTML error page
+ *   html           download.php answers 200 text/html instead of a PDF
+ *   slow           download.php answers after `slowMs`
+ *   flaky          download.php answers 503 once, then serves the PDF
+ *   truncated      download.php serves a PDF cut off before its trailer
+ */
+const ERROR_MODES = ['expired-token', 'html', 'slow', 'flaky', 'truncated'];
+
+/**
+ * Build a small but structurally valid single-page PDF
+ * @param {string} text - Text drawn on the page
+ * @returns {Buffer} PDF bytes
+ */
+function makePdf(text) {
+    const safe = String(text).replace(/[\\()]/g, '');
+    const lines = [safe, ...Array.from({ length: 20 }, (_, i) => `Question ${i + 1}: ____________________`)];
+    const stream = `BT /F1 14 Tf 72 760 Td 18 TL ${lines.map(line => `(${line}) '`).join(' ')} ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${Buffer.byteLength(stream)} >>\nstream\n${stream}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    
+    let body = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((obj, i) => {
+        offsets.push(Buffer.byteLength(body));
+        body += `${i + 1} 0 obj\n${obj}\nendobj\n`;
+    });
+    
+    const xrefOffset = Buffer.byteLength(body);
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    body += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(body, 'latin1');
+}
+
+/**
+ * Deterministic paper id for a list position
+ * @param {string} grade - Grade (P1-P6)
+ * @param {string} subject - English subject
+ * @param {number} index - 1-based list position
+ * @returns {string} Paper id
+ */
+function paperId(grade, subject, index) {
+    const g = GRADES.indexOf(grade) + 1;
+    const s = SUBJECTS.indexOf(subject) + 1;
+    return String(g * 10000 + s * 1000 + index);
+}
+
+/**
+ * Published date of a list position: one paper a day from 2025-09-10
+ * @param {number} index - 1-based list position
+ * @returns {string} YYYY-MM-DD
+ */
+function paperDate(index) {
+    return new Date(Date.UTC(2025, 8, 9 + index)).toISOString().slice(0, 10);
+}
+
+/**
+ * Wrap body in a minimal HTML document
+ */
+function html(title, body) {
+    return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${title}</title></head><body>${body}</body></html>`;
+}
+
+/**
+ * Read a request body as string
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Start the mock site
+ * @param {Object} [options]
+ * @param {number} [options.port] - Port (default: random free port)
+ * @param {string} [options.username] - Accepted email
+ * @param {string} [options.password] - Accepted password
+ * @param {number} [options.itemsPerList] - Items on each list
+ * @param {number} [options.pageSize] - Items per list page (`page=` parameter and a 下一頁 link)
+ * @param {string} [options.listClass] - Class of the list items (anything but "sheet" simulates changed markup)
+ * @param {Object} [options.errors] - paper id -> error mode (see ERROR_MODES)
+ * @param {number} [options.slowMs] - Delay for the "slow" mode
+ * @returns {Promise<Object>} { url, loginUrl, state, setError(id, mode), paperId, paperDate, close() }
+ */
+async function startMockSite(options = {}) {
+    const {
+        port = 0,
+        username = 'teacher@example.com',
+        password = 'secret',
+        itemsPerList = 30,
+        pageSize = 10,
+        listClass = 'sheet',
+        slowMs = 3000
+    } = options;
+    
+    const errors = { ...(options.errors || {}) };
+    const sessions = new Set();
+    const tokens = new Map();
+    const flaked = new Set();
+    const state = { logins: 0, downloads: 0, requests: [] };
+    
+    function isAuthed(req) {
+        const cookie = req.headers.cookie || '';
+        const match = /(?:^|;\s*)sid=([^;]+)/.exec(cookie);
+        return Boolean(match && sessions.has(match[1]));
+    }
+    
+    function send(res, status, body, headers = {}) {
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+        res.end(body);
+    }
+    
+    function redirect(res, location, headers = {}) {
+        res.writeHead(302, { Location: location, ...headers });
+        res.end();
+    }
+    
+    async function handle(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        state.requests.push(`${req.method} ${url.pathname}${url.search}`);
+        
+        // Login page and form handler
+        if (url.pathname === '/login') {
+            if (req.method === 'POST') {
+                const form = new URLSearchParams(await readBody(req));
+                if (form.get('email') === username && form.get('password') === password) {
+                    const sid = `s${Date.now()}${Math.random().toString(36).slice(2)}`;
+                    sessions.add(sid);
+                    state.logins++;
+                    return redirect(res, '/', { 'Set-Cookie': `sid=${sid}; Path=/; HttpOnly` });
+                }
+                return send(res, 200, html('Login', '<p class="error">登入失敗</p>' + loginForm()));
+            }
+            return send(res, 200, html('Login', loginForm()));
+        }
+        
+        if (!isAuthed(req)) {
+            return redirect(res, '/login');
+        }
+        
+        // Home / filtered list
+        if (url.pathname === '/') {
+            const grade = url.searchParams.get('grade');
+            const subject = url.searchParams.get('subject');
+            const nav = '<nav><a href="/account">我的帳戶</a> <a href="/logout">登出</a></nav>';
+            if (!grade || !subject) {
+                return send(res, 200, html('Home', nav + '<h1>Papers</h1>'));
+            }
+            if (!GRADES.includes(grade) || !SUBJECTS.includes(subject)) {
+                return send(res, 200, html('List', nav + '<p>No papers</p>'));
+            }
+            const pageNumber = Math.max(1, Number(url.searchParams.get('page')) || 1);
+            const first = (pageNumber - 1) * pageSize + 1;
+            const last = Math.min(itemsPerList, pageNumber * pageSize);
+            const items = [];
+            for (let i = first; i <= last; i++) {
+                const id = paperId(grade, subject, i);
+                items.push(`<div class="${listClass}"><a href="/paper/?id=${id}">${grade} ${subject} Paper ${i}</a> <time datetime="${paperDate(i)}">${paperDate(i)}</time></div>`);
+            }
+            if (last < itemsPerList) {
+                items.push(`<a rel="next" href="/?grade=${grade}&amp;subject=${subject}&amp;page=${pageNumber + 1}">下一頁</a>`);
+            }
+            return send(res, 200, html('List', nav + items.join('\n')));
+        }
+        
+        // Detail page with download form
+        if (url.pathname === '/paper/' && req.method === 'GET') {
+            const id = url.searchParams.get('id');
+            if (!id) return send(res, 404, html('Not found', 'Not found'));
+            const token = Math.random().toString(36).slice(2);
+            tokens.set(id, token);
+            return send(res, 200, html(`Paper ${id}`, `
+                <h1 class="paper-title">Paper ${id}</h1>
+                <p class="description">Daily practice paper ${id}</p>
+                <time datetime="2025-10-02">2 Oct 2025</time>
+                <ul class="tags"><li>練習</li><li>Daily</li></ul>
+                <form id="dlform" method="post" action="/paper/download.php">
+                    <input type="hidden" name="id" value="${id}">
+                    <input type="hidden" name="token" value="${token}">
+                    <button type="submit">下載 PDF 檔</button>
+                </form>`));
+        }
+        
+        // PDF endpoint
+        if (url.pathname === '/paper/download.php' && req.method === 'POST') {
+            const form = new URLSearchParams(await readBody(req));
+            const id = form.get('id');
+            const mode = errors[id];
+            
+            if (mode === 'expired-token' || tokens.get(id) !== form.get('token')) {
+                return send(res, 403, html('Expired', '<p>Token expired</p>'));
+            }
+            if (mode === 'html') {
+                return send(res, 200, html('Oops', '<p>Please try again later</p>'));
+            }
+            if (mode === 'flaky' && !flaked.has(id)) {
+                flaked.add(id);
+                return send(res, 503, html('Busy', '<p>Service unavailable</p>'));
+            }
+            if (mode === 'slow') {
+                await new Promise(resolve => setTimeout(resolve, slowMs));
+            }
+            state.downloads++;
+            const pdf = makePdf(`Paper ${id}`);
+            return send(res, 200, mode === 'truncated' ? pdf.subarray(0, pdf.length - 200) : pdf, {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `attachment; filename="${id}.pdf"`
+            });
+        }
+        
+        return send(res, 404, html('Not found', 'Not found'));
+    }
+    
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            log.error('Mock handler error:', error?.message || error);
+            send(res, 500, 'Internal error');
+        });
+    });
+    
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    log.debug('Mock site listening:', url);
+    
+    return {
+        url,
+        loginUrl: `${url}/login`,
+        state,
+        paperId,
+        paperDate,
+        setError(id, mode) {
+            if (mode && !ERROR_MODES.includes(mode)) {
+                throw new Error(`Unknown error mode: ${mode}`);
+            }
+            if (mode) errors[id] = mode;
+            else delete errors[id];
+        },
+        close: () => new Promise(resolve => {
+            server.closeAllConnections?.();
+            server.close(() => resolve());
+        })
+    };
+}
+
+/**
+ * Login form markup (selectors used by loginHandler.js)
+ */
+function loginForm() {
+    return `
+        <form method="post" action="/login">
+            <input type="email" name="email">
+            <input type="password" name="password">
+            <button type="submit" name="login">登入</button>
+        </form>`;
+}
+
+module.exports = {
+    startMockSite,
+    makePdf,
+    paperId,
+    paperDate,
+    ERROR_MODES
+};
+
+// Run standalone: node mock/mockSite.js [port]
+if (require.main === module) {
+    startMockSite({ port: Number(process.argv[2]) || 8080 }).then(site => {
+        log.info('Mock site running at', site.loginUrl);
+        log.info('Login: teacher@example.com / secret');
+    });
+}
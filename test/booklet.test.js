@@ -0,0 +1,81 @@
+/**
+ * Booklet tests: per-grade day booklets in subject order with cover and bookmarks, weekly bundles
+ */
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { makePdf } = require('../mock/mockSite');
+const { rebuildDayIndexes } = require('../utils/paperMetadata');
+const { weekOf, buildDayBooklets, buildRangeBooklets } = require('../utils/bookletBuilder');
+
+/**
+ * Bookmark titles as nested arrays: [title, [children...]] or title
+ */
+function outlineTitles(doc) {
+    const walk = ref => {
+        const titles = [];
+        for (let item = doc.context.lookup(ref); item; item = doc.context.lookup(item.get(PDFName.of('Next')))) {
+            const title = item.lookup(PDFName.of('Title')).decodeText();
+            const first = item.get(PDFName.of('First'));
+            titles.push(first ? [title, walk(first)] : title);
+        }
+        return titles;
+    };
+    const outlines = doc.catalog.lookup(PDFName.of('Outlines'));
+    return outlines ? walk(outlines.get(PDFName.of('First'))) : [];
+}
+
+describe('booklets', () => {
+    let downloadDir;
+
+    before(async () => {
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-booklet-'));
+        const records = [];
+        const add = (date, grade, subject, id, n = 1) => {
+            const file = `${date}/${grade}-${subject}-${date}-${id}.pdf`;
+            fs.mkdirSync(path.join(downloadDir, date), { recursive: true });
+            fs.writeFileSync(path.join(downloadDir, file), makePdf(`Paper ${id}`));
+            records.push({ id, grade, subject, n, date, title: `Paper ${id}`, file });
+        };
+        // Written out of subject order on purpose
+        add('2025-10-06', 'P1', '常', '1004');
+        add('2025-10-06', 'P1', '英', '1002');
+        add('2025-10-06', 'P1', '中', '1001');
+        add('2025-10-06', 'P1', '數', '1003');
+        add('2025-10-06', 'P2', '數', '2003');
+        add('2025-10-07', 'P1', '中', '1101');
+        add('2025-10-07', 'P1', '中', '1102', 2);
+        await rebuildDayIndexes(downloadDir, records);
+    });
+
+    after(() => fs.rmSync(downloadDir, { recursive: true, force: true }));
+
+    test('day booklet per grade: cover, then 中 英 數 常 with bookmarks', async () => {
+        const built = await buildDayBooklets(downloadDir, '2025-10-06');
+        assert.deepStrictEqual(built.map(b => [b.grade, b.papers, b.pages]), [['P1', 4, 5], ['P2', 1, 2]]);
+        assert.strictEqual(path.basename(built[0].file), 'P1-2025-10-06.pdf');
+
+        const doc = await PDFDocument.load(fs.readFileSync(built[0].file));
+        assert.deepStrictEqual(outlineTitles(doc), ['Cover', '中 Chinese', '英 English', '數 Maths', '常 GS']);
+    });
+
+    test('weekly bundle has a bookmark per day, then per subject and paper', async () => {
+        const { from, to } = weekOf('2025-10-08');
+        assert.deepStrictEqual([from, to], ['2025-10-06', '2025-10-12']);
+
+        const built = await buildRangeBooklets(downloadDir, from, to, { grades: ['P1'] });
+        assert.deepStrictEqual(built.map(b => [b.grade, b.papers, b.pages]), [['P1', 6, 7]]);
+
+        const doc = await PDFDocument.load(fs.readFileSync(built[0].file));
+        assert.deepStrictEqual(outlineTitles(doc), [
+            'Cover',
+            ['2025-10-06', ['中 Chinese', '英 English', '數 Maths', '常 GS']],
+            ['2025-10-07', [['中 Chinese', ['Paper 1101', 'Paper 1102']]]]
+        ]);
+    });
+});
@@ -0,0 +1,96 @@
+/**
+ * CLI tests: argument parsing, usage errors and exit codes
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { runCli, parseCli } = require('../cli');
+const { loadConfig } = require('../utils/config');
+const { EXIT_CODES, exitCodeFor, statusForExitCode } = require('../utils/exitCodes');
+
+/**
+ * Run fn with console output captured
+ * @returns {Promise<{result: *, output: string[]}>}
+ */
+async function quietly(fn) {
+    const output = [];
+    const { log, warn, error } = console;
+    console.log = console.warn = console.error = (...args) => output.push(args.join(' '));
+    try {
+        return { result: await fn(), output };
+    } finally {
+        Object.assign(console, { log, warn, error });
+    }
+}
+
+describe('cli', () => {
+    afterEach(() => {
+        loadConfig();
+    });
+
+    test('parseCli() turns flags into main() options', () => {
+        const { command, options } = parseCli(['dry-run', '-g', 'P1, P2', '-s', '中,Maths', '-n', '7', '-w', '3', '--headed', '--select', 'newest', '--http']);
+        assert.strictEqual(command, 'dry-run');
+        assert.deepStrictEqual([options.grades, options.subjects, options.n, options.workers], [['P1', 'P2'], ['中', 'Maths'], 7, 3]);
+        assert.deepStrictEqual([options.headless, options.http, options.select.mode], [false, true, 'newest']);
+
+        const defaults = parseCli([]);
+        assert.strictEqual(defaults.command, 'run');
+        assert.deepStrictEqual([defaults.options.grades, defaults.options.n, defaults.options.headless], [undefined, undefined, undefined]);
+
+        // backfill keeps -n as a range for resolveBackfillTargets
+        const backfill = parseCli(['backfill', '-n', '5-12']);
+        assert.deepStrictEqual([backfill.options.n, backfill.values.n], [undefined, '5-12']);
+    });
+
+    test('parseCli() rejects bad arguments', () => {
+        assert.throws(() => parseCli(['--bogus']), /Unknown option '--bogus'/);
+        assert.throws(() => parseCli(['fetch']), /Unknown command "fetch"/);
+        assert.throws(() => parseCli(['run', 'today']), /Unexpected argument "today"/);
+        assert.throws(() => parseCli(['--headless', '--headed']), /mutually exclusive/);
+        assert.throws(() => parseCli(['-w', '0']), /Invalid --workers "0"/);
+        assert.throws(() => parseCli(['-n', 'x']), /Invalid --n "x"/);
+        assert.throws(() => parseCli(['-g', 'P9']), /P9/);
+        assert.throws(() => parseCli(['rename']), /rename needs --template/);
+    });
+
+    test('usage errors exit with 64, --help with 0', async () => {
+        for (const argv of [['--bogus'], ['fetch'], ['-w', 'two'], ['backfill'], ['backfill', '-n', '9-3']]) {
+            const { result } = await quietly(() => runCli(argv));
+            assert.strictEqual(result, EXIT_CODES.USAGE, argv.join(' '));
+        }
+
+        const { result, output } = await quietly(() => runCli(['--help']));
+        assert.strictEqual(result, EXIT_CODES.OK);
+        assert.match(output.join('\n'), /^Usage: node cli\.js <command>/);
+    });
+
+    test('exitCodeFor() maps ok, partial and failed runs to 0, 2 and 1', () => {
+        assert.strictEqual(exitCodeFor({ ok: true, failed: 0 }), EXIT_CODES.OK);
+        assert.strictEqual(exitCodeFor({ ok: true, failed: 2 }), EXIT_CODES.PARTIAL);
+        assert.strictEqual(exitCodeFor({ ok: false, failed: 0 }), EXIT_CODES.FAILURE);
+        assert.strictEqual(exitCodeFor(null), EXIT_CODES.FAILURE);
+        assert.deepStrictEqual([EXIT_CODES.OK, EXIT_CODES.PARTIAL, EXIT_CODES.FAILURE], [0, 2, 1]);
+        assert.deepStrictEqual([0, 2, 1, 64].map(statusForExitCode), ['ok', 'partial', 'failed', 'failed']);
+    });
+
+    test('an invalid config ends the run with a failed summary instead of a rejection', () => {
+        const script = 'require("./index")({ profile: null, notify: false })' +
+            '.then(s => process.stdout.write(JSON.stringify({ ok: s.ok, error: s.error })), () => process.stdout.write("rejected"))';
+        const output = execFileSync(process.execPath, ['-e', script], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, WORKERS: 'many', CONFIG_FILE: '' },
+            stdio: ['ignore', 'pipe', 'pipe'],
+            encoding: 'utf8',
+            timeout: 30000
+        });
+        const summary = JSON.parse(output);
+        assert.strictEqual(summary.ok, false);
+        assert.match(summary.error, /WORKERS=many is not a number/);
+    });
+});
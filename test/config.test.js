@@ -0,0 +1,114 @@
+/**
+ * Config tests: layering (defaults < file < env < CLI), unknown-key hints and type errors
+ */
+'use strict';
+
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULTS, loadConfig, getConfig } = require('../utils/config');
+const { parseCli } = require('../cli');
+
+describe('config', () => {
+    let tmpDir;
+
+    /**
+     * Write a config file and return its path
+     */
+    const writeConfig = (content, name = 'config.json') => {
+        const file = path.join(tmpDir, name);
+        fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+        return file;
+    };
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-config-'));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        loadConfig();
+    });
+
+    test('defaults < file < env, merged per key', () => {
+        assert.strictEqual(loadConfig({ env: {} }).workers, DEFAULTS.workers);
+
+        const file = writeConfig({ workers: 3, downloadDir: './archive', browser: { slowMo: 0 } });
+        const fromFile = loadConfig({ file, env: {} });
+        assert.deepStrictEqual([fromFile.workers, fromFile.downloadDir, fromFile.source], [3, './archive', path.resolve(file)]);
+        assert.deepStrictEqual(fromFile.browser, { ...DEFAULTS.browser, slowMo: 0 });
+
+        const fromEnv = loadConfig({ file, env: { WORKERS: '5', HEADLESS: 'yes', NOTIFY_ON: ' Failure ', LOG_LEVELS: 'download=DEBUG' } });
+        assert.deepStrictEqual([fromEnv.workers, fromEnv.downloadDir, fromEnv.browser.headless], [5, './archive', true]);
+        assert.strictEqual(fromEnv.notify.on, 'failure');
+        assert.deepStrictEqual(fromEnv.log.scopes, { download: 'debug' });
+        assert.strictEqual(getConfig(), fromEnv);
+        assert.ok(Object.isFrozen(fromEnv.browser.viewport));
+
+        // CONFIG_FILE picks the file when none is given
+        assert.strictEqual(loadConfig({ env: { CONFIG_FILE: file } }).workers, 3);
+    });
+
+    test('CLI flags override file and env', () => {
+        const file = writeConfig({ workers: 3, downloadDir: './archive' });
+        const saved = { WORKERS: process.env.WORKERS, DOWNLOAD_DIR: process.env.DOWNLOAD_DIR };
+        process.env.WORKERS = '4';
+        process.env.DOWNLOAD_DIR = './from-env';
+        try {
+            const { options } = parseCli(['run', '-c', file, '-w', '6', '-o', './from-cli']);
+            assert.deepStrictEqual([getConfig().workers, getConfig().downloadDir], [4, './from-env']);
+            assert.deepStrictEqual([options.workers, options.downloadDir], [6, './from-cli']);
+
+            const { options: unset } = parseCli(['run', '-c', file]);
+            assert.deepStrictEqual([unset.workers, unset.downloadDir], [undefined, undefined]);
+        } finally {
+            for (const [name, value] of Object.entries(saved)) {
+                if (value === undefined) delete process.env[name];
+                else process.env[name] = value;
+            }
+        }
+    });
+
+    test('unknown keys are reported with a hint', () => {
+        const file = writeConfig({ wokers: 2, browser: { headles: true }, retry: { retryOn: ['timout'] }, zzz: 1 });
+        assert.throws(() => loadConfig({ file, env: {} }), error => {
+            assert.strictEqual(error.name, 'ConfigError');
+            assert.deepStrictEqual(error.problems.slice(0, 2), [
+                'unknown key "wokers" (did you mean "workers"?)',
+                'unknown key "browser.headles" (did you mean "browser.headless"?)'
+            ]);
+            assert.match(error.problems[2], /^"retry\.retryOn" has unknown entry "timout" \(did you mean "timeout"\?\)/);
+            assert.strictEqual(error.problems[3], 'unknown key "zzz"');
+            assert.match(error.message, new RegExp(`^Invalid configuration in ${file.replace(/[\\^$.*+?()[\]{}|]/g, '\\$&')}:`));
+            return true;
+        });
+    });
+
+    test('type errors in the file and env', () => {
+        const file = writeConfig({ workers: 'two', browser: { headless: 'yes' }, selection: { mode: 'first' }, grades: 'P1' });
+        assert.throws(() => loadConfig({ file, env: {} }), error => {
+            assert.deepStrictEqual(error.problems, [
+                '"workers" must be an integer >= 1, got "two"',
+                '"browser.headless" must be true or false, got "yes"',
+                '"selection.mode" must be one of nth, newest, title, date, ids, all, got "first"',
+                '"grades" must be a non-empty array of grade names, got "P1"'
+            ]);
+            return true;
+        });
+
+        assert.throws(() => loadConfig({ file: writeConfig('{ "workers": 2,', 'broken.json'), env: {} }), /not valid JSON/);
+        assert.throws(() => loadConfig({ file: path.join(tmpDir, 'missing.json'), env: {} }), /file not found/);
+
+        assert.throws(() => loadConfig({ env: { WORKERS: 'many', HEADLESS: 'maybe' } }), error => {
+            assert.deepStrictEqual(error.problems, ['WORKERS=many is not a number', 'HEADLESS=maybe is not true/false']);
+            return true;
+        });
+        assert.throws(() => loadConfig({ env: { NOTIFY_WEBHOOK_FORMAT: 'Discord' } }),
+            /"notify\.webhook\.format" must be one of generic, slack, teams, got "discord"/);
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Dedupe tests: content store hardlinks, ledger references and the archive scan
+ */
+'use strict';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makePdf } = require('../mock/mockSite');
+const { loadConfig } = require('../utils/config');
+const { loadLedger, hashFile } = require('../utils/downloadLedger');
+const { dedupeDownload, getObjectPath, pruneStore, STORE_DIR_NAME } = require('../utils/contentStore');
+const { writePaperMetadata, getDayIndexPath, getSidecarPath } = require('../utils/paperMetadata');
+const { dedupeArchive } = require('../utils/archiveDeduper');
+
+describe('content dedupe', () => {
+    let downloadDir;
+
+    /**
+     * Write a PDF into the archive and return its path
+     */
+    const writePaper = (relative, text) => {
+        const file = path.join(downloadDir, relative);
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, makePdf(text));
+        return file;
+    };
+
+    /**
+     * Simulate a download: dedupe the saved file, then record it like the runner
+     */
+    const download = async (ledger, id, relative, text) => {
+        const filePath = writePaper(relative, text);
+        const saved = await dedupeDownload({ id, filePath, sha256: await hashFile(filePath) }, { downloadDir, ledger });
+        await ledger.record({ id, grade: 'P1', subject: '中', filePath: saved.filePath, sha256: saved.sha256, duplicateOf: saved.duplicateOf });
+        return saved;
+    };
+
+    beforeEach(() => {
+        process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-dedupe-'));
+        delete process.env.LEDGER_FILE;
+    });
+
+    afterEach(() => {
+        loadConfig();
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    });
+
+    test('republished content becomes a hardlink to the stored copy', async () => {
+        loadConfig({ env: { ...process.env, DEDUPE_MODE: 'hardlink' } });
+        const ledger = await loadLedger(downloadDir);
+        const first = await download(ledger, '1001', '2025-10-06/P1-中-2025-10-06-1001.pdf', 'Paper A');
+        const second = await download(ledger, '1201', '2025-10-08/P1-中-2025-10-08-1201.pdf', 'Paper A');
+        const other = await download(ledger, '1202', '2025-10-08/P1-英-2025-10-08-1202.pdf', 'Paper B');
+
+        assert.strictEqual(second.duplicateOf, '1001');
+        assert.strictEqual(other.duplicateOf, undefined);
+        const stored = fs.statSync(getObjectPath(path.join(downloadDir, STORE_DIR_NAME), first.sha256));
+        assert.strictEqual(fs.statSync(first.filePath).ino, stored.ino);
+        assert.strictEqual(fs.statSync(second.filePath).ino, stored.ino);
+        assert.strictEqual(stored.nlink, 3);
+        assert.strictEqual(ledger.get('1201').duplicateOf, '1001');
+    });
+
+    test('a stored object edited in place is replaced, not linked to', async () => {
+        loadConfig({ env: { ...process.env, DEDUPE_MODE: 'hardlink' } });
+        const ledger = await loadLedger(downloadDir);
+        const first = await download(ledger, '1001', '2025-10-06/P1-中-2025-10-06-1001.pdf', 'Paper A');
+        const object = getObjectPath(path.join(downloadDir, STORE_DIR_NAME), first.sha256);
+
+        // Same size, other content: a size check alone would not notice
+        const edited = makePdf('Paper B');
+        assert.strictEqual(edited.length, fs.statSync(object).size);
+        fs.writeFileSync(first.filePath, edited);
+
+        const second = await download(ledger, '1201', '2025-10-08/P1-中-2025-10-08-1201.pdf', 'Paper A');
+        assert.strictEqual(await hashFile(second.filePath), first.sha256);
+        assert.strictEqual(await hashFile(object), first.sha256);
+        assert.strictEqual(fs.statSync(second.filePath).ino, fs.statSync(object).ino);
+        assert.notStrictEqual(fs.statSync(first.filePath).ino, fs.statSync(object).ino);
+    });
+
+    test('reference mode keeps one file and points the ledger at it', async () => {
+        loadConfig({ env: { ...process.env, DEDUPE_MODE: 'reference' } });
+        const ledger = await loadLedger(downloadDir);
+        const first = await download(ledger, '1001', '2025-10-06/P1-中-2025-10-06-1001.pdf', 'Paper A');
+        const second = await download(ledger, '1201', '2025-10-08/P1-中-2025-10-08-1201.pdf', 'Paper A');
+
+        assert.deepStrictEqual([second.reference, second.duplicateOf, second.filePath], [true, '1001', first.filePath]);
+        assert.strictEqual(fs.existsSync(path.join(downloadDir, '2025-10-08/P1-中-2025-10-08-1201.pdf')), false);
+        assert.strictEqual(ledger.get('1201').path, first.filePath);
+        assert.strictEqual(await ledger.has('1201'), true);
+        assert.strictEqual(fs.existsSync(path.join(downloadDir, STORE_DIR_NAME)), false);
+
+        // Both papers are in the day index; the reference has no sidecar of its own
+        const metadata = { title: 'Paper A', description: null, publishedAt: null, tags: [] };
+        const task = { grade: 'P1', subject: '中', n: 1, date: '2025-10-08' };
+        await writePaperMetadata({ saved: first, metadata, task: { ...task, date: '2025-10-06' }, sourceUrl: 'http://site/1001', downloadDir });
+        const firstSidecar = fs.readFileSync(getSidecarPath(first.filePath), 'utf8');
+        await writePaperMetadata({ saved: second, metadata, task, sourceUrl: 'http://site/1201', downloadDir });
+        const { papers } = JSON.parse(fs.readFileSync(getDayIndexPath(downloadDir, '2025-10-08'), 'utf8'));
+        assert.deepStrictEqual(papers.map(p => [p.id, p.file, p.duplicateOf, p.reference]), [
+            ['1201', '2025-10-06/P1-中-2025-10-06-1001.pdf', '1001', true]
+        ]);
+        assert.strictEqual(fs.readFileSync(getSidecarPath(first.filePath), 'utf8'), firstSidecar);
+    });
+
+    test('dedupe scan reports copies and --apply links them', async () => {
+        const a = writePaper('2025-10-06/P1-中-2025-10-06-1001.pdf', 'Paper A');
+        const b = writePaper('2025-10-08/P1-中-2025-10-08-1201.pdf', 'Paper A');
+        const c = writePaper('2025-10-09/P1-中-2025-10-09-1301.pdf', 'Paper A');
+        writePaper('2025-10-08/P1-英-2025-10-08-1202.pdf', 'Paper B');
+        writePaper('quarantine/P1-中-2025-10-06-1001.pdf', 'Paper A');
+
+        const report = await dedupeArchive(downloadDir);
+        assert.strictEqual(report.files, 4);
+        assert.deepStrictEqual(report.groups.map(g => [g.copies, g.files]), [[3, [a, b, c]]]);
+        assert.strictEqual(report.reclaimable, 2 * fs.statSync(a).size);
+        assert.notStrictEqual(fs.statSync(a).ino, fs.statSync(b).ino);
+
+        const applied = await dedupeArchive(downloadDir, { apply: true });
+        assert.strictEqual(applied.linked, 2);
+        assert.strictEqual(fs.statSync(a).ino, fs.statSync(c).ino);
+        assert.deepStrictEqual((await dedupeArchive(downloadDir)).groups, []);
+
+        // A stored object nobody links to any more is removed on --apply
+        fs.rmSync(path.join(downloadDir, '2025-10-08/P1-英-2025-10-08-1202.pdf'));
+        const pruned = await dedupeArchive(downloadDir, { apply: true });
+        assert.strictEqual(pruned.orphans.length, 1);
+        assert.strictEqual(fs.existsSync(pruned.orphans[0]), false);
+    });
+
+    test('the end-of-run cleanup removes stored copies of deleted papers only', async () => {
+        loadConfig({ env: { ...process.env, DEDUPE_MODE: 'hardlink' } });
+        const ledger = await loadLedger(downloadDir);
+        const kept = await download(ledger, '1001', '2025-10-06/P1-中-2025-10-06-1001.pdf', 'Paper A');
+        const deleted = await download(ledger, '1202', '2025-10-08/P1-英-2025-10-08-1202.pdf', 'Paper B');
+        const storeDir = path.join(downloadDir, STORE_DIR_NAME);
+
+        assert.deepStrictEqual(await pruneStore(downloadDir), []);
+
+        fs.rmSync(deleted.filePath);
+        const orphan = getObjectPath(storeDir, deleted.sha256);
+        assert.deepStrictEqual(await pruneStore(downloadDir), [orphan]);
+        assert.strictEqual(fs.existsSync(orphan), false);
+        assert.strictEqual(fs.existsSync(getObjectPath(storeDir, kept.sha256)), true);
+        assert.strictEqual(fs.statSync(kept.filePath).nlink, 2);
+
+        // Other modes leave the store alone
+        fs.rmSync(kept.filePath);
+        loadConfig({ env: { ...process.env, DEDUPE_MODE: 'reference' } });
+        assert.deepStrictEqual(await pruneStore(downloadDir), []);
+        assert.strictEqual(fs.existsSync(getObjectPath(storeDir, kept.sha256)), true);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Download ledger tests: known papers, missing files, content lookups and moves
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLedger, getLedgerPath, hashFile } = require('../utils/downloadLedger');
+
+describe('download ledger', () => {
+    let downloadDir;
+
+    /**
+     * Write a file under the download dir and return its path
+     */
+    const writeFile = (relative, content) => {
+        const filePath = path.join(downloadDir, relative);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        return filePath;
+    };
+
+    beforeEach(() => {
+        delete process.env.LEDGER_FILE;
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-ledger-'));
+    });
+
+    afterEach(() => {
+        delete process.env.LEDGER_FILE;
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    });
+
+    test('recorded papers are known and persisted with size and hash', async () => {
+        const filePath = writeFile('2025-10-06/P1-中-1001.pdf', 'paper 1001');
+        const ledger = await loadLedger(downloadDir);
+        assert.strictEqual(await ledger.has('1001'), false);
+
+        const entry = await ledger.record({ id: 1001, grade: 'P1', subject: '中', filePath });
+        assert.deepStrictEqual([entry.id, entry.size, entry.sha256], ['1001', 10, await hashFile(filePath)]);
+        assert.strictEqual(await ledger.has('1001'), true);
+        assert.strictEqual(await ledger.record({ id: null, filePath }), null);
+
+        const reloaded = await loadLedger(downloadDir);
+        assert.strictEqual(reloaded.path, path.join(downloadDir, 'download-ledger.json'));
+        assert.strictEqual(reloaded.get('1001').path, filePath);
+        assert.strictEqual(reloaded.size(), 1);
+    });
+
+    test('has() drops an entry whose file is missing', async () => {
+        const filePath = writeFile('P1-中-1001.pdf', 'paper 1001');
+        const ledger = await loadLedger(downloadDir);
+        await ledger.record({ id: '1001', grade: 'P1', subject: '中', filePath });
+
+        fs.unlinkSync(filePath);
+        assert.strictEqual(await ledger.has('1001'), false);
+        assert.strictEqual(ledger.get('1001'), null);
+        assert.strictEqual((await loadLedger(downloadDir)).size(), 0);
+    });
+
+    test('findByHash() returns another paper with the same content that is still on disk', async () => {
+        const first = writeFile('a/1001.pdf', 'same content');
+        const second = writeFile('b/1002.pdf', 'same content');
+        const other = writeFile('c/1003.pdf', 'other content');
+        const ledger = await loadLedger(downloadDir);
+        await ledger.record({ id: '1001', grade: 'P1', subject: '中', filePath: first });
+        await ledger.record({ id: '1002', grade: 'P2', subject: '中', filePath: second });
+        await ledger.record({ id: '1003', grade: 'P2', subject: '中', filePath: other });
+        const sha256 = await hashFile(first);
+
+        assert.strictEqual((await ledger.findByHash(sha256, '1002')).id, '1001');
+        assert.strictEqual((await ledger.findByHash(sha256, '1001')).id, '1002');
+        assert.strictEqual(await ledger.findByHash(await hashFile(other), '1003'), null);
+
+        fs.unlinkSync(first);
+        assert.strictEqual(await ledger.findByHash(sha256, '1002'), null);
+    });
+
+    test('relocate() moves an entry and the entries sharing its file', async () => {
+        const filePath = writeFile('2025-10-06/1001.pdf', 'paper');
+        const ledger = await loadLedger(downloadDir);
+        await ledger.record({ id: '1001', grade: 'P1', subject: '中', filePath });
+        await ledger.record({ id: '1201', grade: 'P1', subject: '中', filePath, duplicateOf: '1001' });
+        const otherPath = writeFile('2025-10-07/1101.pdf', 'other');
+        await ledger.record({ id: '1101', grade: 'P1', subject: '中', filePath: otherPath });
+
+        const moved = path.join(downloadDir, 'P1', '1001.pdf');
+        assert.strictEqual(await ledger.relocate('1001', moved), true);
+        assert.strictEqual(await ledger.relocate('9999', moved), false);
+
+        const reloaded = await loadLedger(downloadDir);
+        assert.deepStrictEqual(['1001', '1201', '1101'].map(id => reloaded.get(id).path), [moved, moved, otherPath]);
+        assert.strictEqual(reloaded.get('1201').duplicateOf, '1001');
+    });
+
+    test('LEDGER_FILE moves the ledger out of the download dir', async () => {
+        const ledgerFile = path.join(downloadDir, 'state', 'ledger.json');
+        process.env.LEDGER_FILE = ledgerFile;
+        assert.strictEqual(getLedgerPath(downloadDir), ledgerFile);
+
+        const ledger = await loadLedger(downloadDir);
+        await ledger.record({ id: '1001', grade: 'P1', subject: '中', filePath: writeFile('1001.pdf', 'paper') });
+        assert.ok(fs.existsSync(ledgerFile));
+    });
+
+    test('with LEDGER_FILE every credential profile gets its own ledger', async () => {
+        process.env.LEDGER_FILE = path.join(downloadDir, 'ledger.json');
+        assert.strictEqual(getLedgerPath(path.join(downloadDir, 'lower'), 'lower'), path.join(downloadDir, 'ledger.lower.json'));
+        assert.strictEqual(getLedgerPath(downloadDir, 'upper'), path.join(downloadDir, 'ledger.upper.json'));
+
+        const lower = await loadLedger(path.join(downloadDir, 'lower'), { profile: 'lower' });
+        await lower.record({ id: '1001', grade: 'P1', subject: '中', filePath: writeFile('lower/1001.pdf', 'paper') });
+        const upper = await loadLedger(path.join(downloadDir, 'upper'), { profile: 'upper' });
+        assert.strictEqual(upper.get('1001'), null);
+
+        delete process.env.LEDGER_FILE;
+        assert.strictEqual(getLedgerPath(path.join(downloadDir, 'lower'), 'lower'), path.join(downloadDir, 'lower', 'download-ledger.json'));
+    });
+});
@@ -0,0 +1,142 @@
+/**
+ * Download strategy chain tests: order, fallthrough, validation and quarantine per strategy.
+ * The chain runs downloadPDF() on a detail page of the mock site; the strategies
+ * under test POST its download form over an HTTP-only session, as http-post does.
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockSite } = require('../mock/mockSite');
+const { loadConfig } = require('../utils/config');
+const { openHttpSession } = require('../utils/httpSession');
+const httpAdapter = require('../utils/httpSiteAdapter');
+const { STRATEGIES, resolveStrategyChain } = require('../utils/downloadStrategies');
+const { downloadPDF } = require('../utils/downloadHandler');
+const { StepError } = require('../utils/errors');
+
+describe('download strategy chain', () => {
+    const TEST_STRATEGIES = ['test-post', 'test-no-button'];
+    let site;
+    let session;
+    let downloadDir;
+    let calls;
+
+    /**
+     * Detail page of a paper, with the few Playwright calls downloadPDF() makes before the chain
+     */
+    const openDetail = async id => {
+        const page = session.page;
+        await page.goto(`${site.url}/paper/?id=${id}`);
+        return {
+            ...page,
+            locator: () => ({ waitFor: async () => {} }),
+            evaluate: async () => { throw new Error('no DOM scripting over HTTP'); }
+        };
+    };
+
+    const download = (page, strategies) => downloadPDF(page, 'P1', '中', downloadDir, '2025-10-06', { strategies, template: '{date}/{id}.pdf' });
+
+    before(async () => {
+        site = await startMockSite();
+        loadConfig({ env: {} });
+        session = await openHttpSession({ loginUrl: site.loginUrl, username: 'teacher@example.com', password: 'secret', adapter: httpAdapter, sessionFile: null });
+
+        // POST the page's download form and save whatever comes back
+        STRATEGIES['test-post'] = async ({ page, filePath }) => {
+            calls.push('test-post');
+            const form = {};
+            page.dom()('#dlform input').each((i, input) => { form[input.attribs.name] = input.attribs.value; });
+            const response = await page.fetch('POST', `${site.url}/paper/download.php`, { form });
+            if (response.status >= 400) throw new Error(`HTTP ${response.status}`);
+            fs.writeFileSync(filePath, response.body);
+        };
+        STRATEGIES['test-no-button'] = async () => {
+            calls.push('test-no-button');
+            throw new Error('no viewer download button');
+        };
+    });
+
+    after(async () => {
+        TEST_STRATEGIES.forEach(name => delete STRATEGIES[name]);
+        await site.close();
+        loadConfig();
+    });
+
+    beforeEach(() => {
+        calls = [];
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-strategies-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    });
+
+    test('strategies run in the configured order and stop at the first valid PDF', async () => {
+        const id = site.paperId('P1', '中', 1);
+        const saved = await download(await openDetail(id), ['test-post', 'test-no-button']);
+
+        assert.deepStrictEqual(calls, ['test-post']);
+        assert.strictEqual(saved.strategy, 'test-post');
+        assert.strictEqual(saved.filePath, path.join(downloadDir, '2025-10-06', `${id}.pdf`));
+        assert.deepStrictEqual(saved.attempts.map(a => [a.strategy, a.ok]), [['test-post', true]]);
+        assert.ok(saved.pageCount >= 1);
+    });
+
+    test('a failing strategy falls through to the next one', async () => {
+        const saved = await download(await openDetail(site.paperId('P1', '中', 2)), ['test-no-button', 'test-post']);
+
+        assert.deepStrictEqual(calls, ['test-no-button', 'test-post']);
+        assert.strictEqual(saved.strategy, 'test-post');
+        assert.deepStrictEqual(saved.attempts.map(a => [a.strategy, a.ok, a.reason]), [
+            ['test-no-button', false, 'no viewer download button'],
+            ['test-post', true, undefined]
+        ]);
+    });
+
+    test('each saved file is validated; rejected files are quarantined and the reasons reported', async () => {
+        const id = site.paperId('P1', '中', 3);
+        site.setError(id, 'truncated');
+        try {
+            const page = await openDetail(id);
+            await assert.rejects(download(page, ['test-post', 'test-no-button']), error => {
+                assert.ok(error instanceof StepError);
+                assert.deepStrictEqual([error.step, error.kind], ['download', 'download']);
+                assert.strictEqual(error.message, 'all download strategies failed (' +
+                    'test-post: invalid PDF: missing %%EOF trailer (truncated?); test-no-button: no viewer download button)');
+                return true;
+            });
+        } finally {
+            site.setError(id, null);
+        }
+
+        assert.deepStrictEqual(calls, ['test-post', 'test-no-button']);
+        assert.ok(!fs.existsSync(path.join(downloadDir, '2025-10-06', `${id}.pdf`)));
+        const quarantined = fs.readdirSync(path.join(downloadDir, 'quarantine'));
+        assert.strictEqual(quarantined.filter(name => name.endsWith('.pdf')).length, 1);
+        const reason = fs.readFileSync(path.join(downloadDir, 'quarantine', quarantined.find(name => name.endsWith('.txt'))), 'utf8');
+        assert.match(reason, /^reason: missing %%EOF trailer \(truncated\?\)\n/);
+        assert.match(reason, /^strategy: test-post$/m);
+    });
+
+    test('an HTML answer is rejected by validation like a broken PDF', async () => {
+        const id = site.paperId('P1', '中', 4);
+        site.setError(id, 'html');
+        try {
+            await assert.rejects(download(await openDetail(id), ['test-post']), /test-post: invalid PDF: /);
+        } finally {
+            site.setError(id, null);
+        }
+        assert.strictEqual(fs.readdirSync(path.join(downloadDir, 'quarantine')).length, 2);
+    });
+
+    test('unknown strategy names are rejected before any download', () => {
+        assert.deepStrictEqual(resolveStrategyChain('direct-post, http-post'), ['direct-post', 'http-post']);
+        assert.throws(() => resolveStrategyChain(['direct-post', 'carrier-pigeon']), /Unknown download strategy: carrier-pigeon/);
+    });
+});
@@ -0,0 +1,259 @@
+/**
+ * End-to-end tests: run main() against the local mock site
+ * The same checks run in HTTP-only mode (always) and in the browser (skipped
+ * when the Playwright Chromium build is not installed); download strategies,
+ * screenshots and traces only exist in the browser.
+ */
+'use strict';
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { startMockSite } = require('../mock/mockSite');
+const { loadConfig } = require('../utils/config');
+const { STORE_DIR_NAME } = require('../utils/contentStore');
+
+const hasBrowser = fs.existsSync(chromium.executablePath());
+
+/**
+ * Define the suite for one mode
+ * @param {string} mode - "http" or "browser"
+ */
+const defineSuite = mode => describe(`main() against mock site (${mode})`, {
+    skip: mode === 'browser' && !hasBrowser && 'Playwright Chromium not installed'
+}, () => {
+    const browser = mode === 'browser';
+    let site;
+    let downloadDir;
+    let main;
+    
+    /**
+     * main() in this suite's mode, into the test's download dir
+     */
+    const run = options => main({ downloadDir, ...options, http: !browser, notify: false });
+    
+    before(async () => {
+        site = await startMockSite();
+        process.env.LOGIN_URL = site.loginUrl;
+        process.env.USERNAME1 = 'teacher@example.com';
+        process.env.PASSWORD = 'secret';
+        process.env.HEADLESS = 'true';
+        process.env.SESSION_FILE = 'off';
+        process.env.RATE_LIMIT_RPM = '0';
+        process.env.RATE_LIMIT_JITTER_MS = '0';
+        process.env.RATE_LIMIT_BACKOFF_MS = '10';
+        process.env.RETRY_BASE_MS = '10';
+        process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+        main = require('../index');
+    });
+    
+    after(async () => {
+        await site.close();
+    });
+    
+    beforeEach(() => {
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), `adp-e2e-${mode}-`));
+        process.env.LOGIN_URL = site.loginUrl;
+        loadConfig();
+    });
+    
+    /**
+     * List all PDFs written under the download dir (not the content store's links)
+     */
+    function listPdfs(dir) {
+        return fs.readdirSync(dir, { recursive: true })
+            .filter(name => name.endsWith('.pdf') && !name.startsWith(`${STORE_DIR_NAME}${path.sep}`))
+            .map(name => path.join(dir, name));
+    }
+    
+    test('downloads the Nth paper for every selected subject', async () => {
+        const summary = await run({ grades: ['P1'], n: 2 });
+        
+        assert.strictEqual(summary.ok, true);
+        assert.strictEqual(summary.downloaded, 4);
+        assert.strictEqual(summary.failed, 0);
+        
+        const pdfs = listPdfs(downloadDir);
+        assert.strictEqual(pdfs.length, 4);
+        for (const file of pdfs) {
+            assert.strictEqual(fs.readFileSync(file).subarray(0, 4).toString(), '%PDF');
+        }
+        assert.ok(pdfs.some(file => file.endsWith(`-${site.paperId('P1', 'Maths', 2)}.pdf`)));
+        
+        const sidecar = JSON.parse(fs.readFileSync(pdfs[0].replace(/\.pdf$/, '.json'), 'utf8'));
+        assert.match(sidecar.title, /^Paper \d+$/);
+        assert.strictEqual(sidecar.n, 2);
+        assert.deepStrictEqual(sidecar.tags, ['練習', 'Daily']);
+        
+        const dayIndex = JSON.parse(fs.readFileSync(path.join(path.dirname(pdfs[0]), 'index.json'), 'utf8'));
+        assert.strictEqual(dayIndex.papers.length, 4);
+        
+        const report = JSON.parse(fs.readFileSync(summary.report.jsonPath, 'utf8'));
+        assert.strictEqual(report.status, 'ok');
+        assert.strictEqual(report.n, 2);
+        assert.strictEqual(report.entries.length, 4);
+        for (const entry of report.entries) {
+            assert.strictEqual(entry.status, 'downloaded');
+            assert.match(entry.sha256, /^[0-9a-f]{64}$/);
+            assert.ok(fs.existsSync(path.join(downloadDir, entry.file)));
+        }
+        assert.ok(fs.existsSync(summary.report.htmlPath));
+        assert.ok(fs.existsSync(path.join(downloadDir, 'reports', 'index.html')));
+    });
+    
+    test('parallel workers cover every combination once', async () => {
+        const summary = await run({ grades: ['P1', 'P2'], n: 3, workers: 3 });
+        
+        assert.strictEqual(summary.downloaded, 8);
+        assert.strictEqual(new Set(listPdfs(downloadDir).map(f => path.basename(f))).size, 8);
+    });
+    
+    test('second run skips papers already in the ledger', async () => {
+        await run({ grades: ['P2'], subjects: ['英'], n: 1 });
+        const downloadsBefore = site.state.downloads;
+        
+        const summary = await run({ grades: ['P2'], subjects: ['英'], n: 1 });
+        
+        assert.strictEqual(summary.known, 1);
+        assert.strictEqual(summary.downloaded, 0);
+        assert.strictEqual(site.state.downloads, downloadsBefore);
+    });
+    
+    test('selection modes pick items by title, date, ids and newest', async () => {
+        const byTitle = await run({ grades: ['P2'], subjects: ['數'], select: { mode: 'title', pattern: 'Paper [35]\\b' } });
+        assert.strictEqual(byTitle.downloaded, 2);
+        assert.deepStrictEqual(byTitle.results.map(r => r.item), [3, 5]);
+        
+        const byDate = await run({ grades: ['P2'], subjects: ['數'], select: { mode: 'date', date: site.paperDate(7) } });
+        assert.deepStrictEqual(byDate.results.map(r => [r.item, r.status]), [[7, 'downloaded']]);
+        
+        const byIds = await run({ grades: ['P2'], subjects: ['數'], select: { mode: 'ids', ids: [site.paperId('P2', 'Maths', 3), site.paperId('P2', 'Maths', 9)] } });
+        assert.deepStrictEqual(byIds.results.map(r => [r.item, r.status]), [[3, 'known'], [9, 'downloaded']]);
+        
+        const newest = await run({ grades: ['P2'], subjects: ['數'], select: { mode: 'newest' } });
+        assert.deepStrictEqual(newest.results.map(r => r.item), [30]);
+        assert.strictEqual(listPdfs(downloadDir).length, 5);
+        
+        const none = await run({ grades: ['P2'], subjects: ['數'], select: { mode: 'title', pattern: 'no such paper' } });
+        assert.strictEqual(none.failures[0].kind, 'not-found');
+    });
+    
+    test('items past the first list page are found, counting from either end', async () => {
+        const fromStart = await run({ grades: ['P5'], subjects: ['中'], n: 25 });
+        assert.strictEqual(fromStart.downloaded, 1);
+        assert.strictEqual(fromStart.results[0].id, site.paperId('P5', 'Chinese', 25));
+        
+        const fromEnd = await run({ grades: ['P5'], subjects: ['中'], n: 2, select: { mode: 'nth', listOrder: 'newest-first' } });
+        assert.strictEqual(fromEnd.results[0].id, site.paperId('P5', 'Chinese', 29));
+        
+        const beyond = await run({ grades: ['P5'], subjects: ['中'], n: 31 });
+        assert.strictEqual(beyond.failures[0].kind, 'not-found');
+        assert.match(beyond.failures[0].message, /items: 30/);
+    });
+    
+    test('expired token is reported as a failed combination', async () => {
+        const id = site.paperId('P3', 'Chinese', 1);
+        site.setError(id, 'expired-token');
+        try {
+            const summary = await run({ grades: ['P3'], subjects: ['中'], n: 1, strategies: ['direct-post', 'http-post'] });
+            assert.strictEqual(summary.ok, true);
+            assert.strictEqual(summary.failed, 1);
+            assert.strictEqual(listPdfs(downloadDir).length, 0);
+            
+            const [entry] = JSON.parse(fs.readFileSync(summary.report.jsonPath, 'utf8')).entries;
+            assert.strictEqual(entry.status, 'failed');
+            assert.strictEqual(entry.step, 'download');
+            assert.ok(entry.retries > 0);
+        } finally {
+            site.setError(id, null);
+        }
+    });
+    
+    test('HTML instead of PDF is not saved', async () => {
+        const id = site.paperId('P4', 'GS', 1);
+        site.setError(id, 'html');
+        try {
+            const summary = await run({ grades: ['P4'], subjects: ['常'], n: 1, strategies: ['direct-post', 'http-post'] });
+            assert.strictEqual(summary.failed, 1);
+            assert.strictEqual(listPdfs(downloadDir).length, 0);
+        } finally {
+            site.setError(id, null);
+        }
+    });
+    
+    test('truncated PDF is quarantined and the combination fails', async () => {
+        const id = site.paperId('P4', 'Maths', 2);
+        site.setError(id, 'truncated');
+        try {
+            const summary = await run({ grades: ['P4'], subjects: ['數'], n: 2, strategies: ['direct-post'] });
+            assert.strictEqual(summary.failed, 1);
+            assert.ok(summary.retries >= 1);
+            
+            const quarantined = fs.readdirSync(path.join(downloadDir, 'quarantine'));
+            assert.ok(quarantined.some(name => name.endsWith('.pdf')));
+            assert.ok(quarantined.some(name => name.endsWith('.reason.txt')));
+            assert.strictEqual(listPdfs(downloadDir).filter(f => !f.includes('quarantine')).length, 0);
+        } finally {
+            site.setError(id, null);
+        }
+    });
+    
+    test('slow PDF responses still complete', async () => {
+        const id = site.paperId('P5', 'Maths', 1);
+        site.setError(id, 'slow');
+        try {
+            const summary = await run({ grades: ['P5'], subjects: ['數'], n: 1 });
+            assert.strictEqual(summary.downloaded, 1);
+        } finally {
+            site.setError(id, null);
+        }
+    });
+    
+    test('transient 503 is retried and succeeds', async () => {
+        const id = site.paperId('P6', 'English', 1);
+        site.setError(id, 'flaky');
+        try {
+            const summary = await run({ grades: ['P6'], subjects: ['英'], n: 1, strategies: ['direct-post'] });
+            assert.strictEqual(summary.downloaded, 1);
+            assert.strictEqual(summary.failed, 0);
+            assert.ok(summary.retries >= 1);
+        } finally {
+            site.setError(id, null);
+        }
+    });
+    
+    test('out-of-range N fails the combination', async () => {
+        const summary = await run({ grades: ['P6'], subjects: ['中'], n: 999, trace: true });
+        assert.strictEqual(summary.ok, true);
+        assert.strictEqual(summary.failed, 1);
+        assert.strictEqual(summary.failures[0].kind, 'not-found');
+        assert.strictEqual(summary.retries, 0);
+        
+        // HTML and page info of the failure; screenshot and trace in the browser
+        const { artifacts } = summary.results[0];
+        assert.ok(artifacts.url.includes('grade=P6'));
+        const files = browser ? [artifacts.screenshot, artifacts.html, artifacts.info, artifacts.trace] : [artifacts.html, artifacts.info];
+        for (const file of files) {
+            assert.ok(fs.existsSync(file), file);
+            assert.ok(file.startsWith(path.join(downloadDir, 'artifacts', summary.runId)));
+        }
+        assert.strictEqual(JSON.parse(fs.readFileSync(artifacts.info, 'utf8')).step, 'select');
+    });
+    
+    test('wrong password fails the run', async () => {
+        process.env.PASSWORD = 'wrong';
+        try {
+            const summary = await run({ grades: ['P1'], subjects: ['中'], n: 1 });
+            assert.strictEqual(summary.ok, false);
+            assert.match(summary.error, /Login failed/);
+        } finally {
+            process.env.PASSWORD = 'secret';
+        }
+    });
+});
+
+defineSuite('http');
+defineSuite('browser');
@@ -0,0 +1,90 @@
+/**
+ * Holiday calendar tests: date lists, ranges, make-up days and ICS events (in Hong Kong time)
+ */
+'use strict';
+
+process.env.TZ = 'Asia/Hong_Kong';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCalendar, loadCalendar, parseDateList, parseIcs, parseDateKey } = require('../utils/holidayCalendar');
+
+/**
+ * ICS content with one VEVENT per [DTSTART, DTEND] pair
+ */
+const ics = (...events) => [
+    'BEGIN:VCALENDAR',
+    ...events.flatMap(([start, end]) => ['BEGIN:VEVENT', start, ...(end ? [end] : []), 'SUMMARY:Holiday', 'END:VEVENT']),
+    'END:VCALENDAR'
+].join('\r\n');
+
+describe('holiday calendar', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-calendar-'));
+
+    after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+    test('date list: days, inclusive ranges, make-up days and comments', () => {
+        const parsed = parseDateList([
+            '# School holidays 2025/26',
+            '2025-10-01',
+            '2025-12-30..2026-01-02   # Christmas break',
+            '',
+            '+2025-10-11'
+        ].join('\n'));
+        assert.deepStrictEqual(parsed.holidays, ['2025-10-01', '2025-12-30', '2025-12-31', '2026-01-01', '2026-01-02']);
+        assert.deepStrictEqual(parsed.makeupDays, ['2025-10-11']);
+
+        assert.throws(() => parseDateList('2025-10-01\n2025-02-30'), /Line 2: Invalid date "2025-02-30"/);
+        assert.throws(() => parseDateList('1/10/2025'), /Line 1: Invalid date "1\/10\/2025", expected YYYY-MM-DD/);
+    });
+
+    test('working days skip weekends and holidays; make-up days always count', () => {
+        const calendar = createCalendar({ holidays: ['2025-10-01'], makeupDays: ['2025-10-11'] });
+        assert.strictEqual(calendar.isWorkingDay(parseDateKey('2025-09-30')), true);
+        assert.strictEqual(calendar.isWorkingDay(parseDateKey('2025-10-01')), false);
+        assert.strictEqual(calendar.isWorkingDay(parseDateKey('2025-10-04')), false); // Saturday
+        assert.strictEqual(calendar.isWorkingDay(parseDateKey('2025-10-11')), true); // Saturday, make-up
+    });
+
+    test('ICS all-day events end the day before DTEND', () => {
+        const parsed = parseIcs(ics(
+            ['DTSTART;VALUE=DATE:20251001', 'DTEND;VALUE=DATE:20251002'],
+            ['DTSTART;VALUE=DATE:20251229', 'DTEND;VALUE=DATE:20260102'],
+            ['DTSTART;VALUE=DATE:20251225']
+        ));
+        assert.deepStrictEqual(parsed.holidays, ['2025-10-01', '2025-12-29', '2025-12-30', '2025-12-31', '2026-01-01', '2025-12-25']);
+    });
+
+    test('ICS timed events: DTEND is exclusive and UTC times are local days', () => {
+        assert.deepStrictEqual(parseIcs(ics(['DTSTART:20251001T000000', 'DTEND:20251002T000000'])).holidays, ['2025-10-01']);
+        assert.deepStrictEqual(parseIcs(ics(['DTSTART:20250930T160000Z', 'DTEND:20251001T160000Z'])).holidays, ['2025-10-01']);
+        assert.deepStrictEqual(parseIcs(ics(['DTSTART:20251001T090000', 'DTEND:20251002T120000'])).holidays, ['2025-10-01', '2025-10-02']);
+        assert.deepStrictEqual(parseIcs(ics(['DTSTART:20251001T090000', 'DTEND:20251001T090000'])).holidays, ['2025-10-01']);
+        assert.throws(() => parseIcs(ics(['DTSTART:2025-10-01'])), /Unsupported ICS date "2025-10-01"/);
+    });
+
+    test('loadCalendar() merges HOLIDAYS_FILE and MAKEUP_DAYS_FILE', () => {
+        const holidaysFile = path.join(tmpDir, 'holidays.ics');
+        const listFile = path.join(tmpDir, 'extra.txt');
+        const makeupFile = path.join(tmpDir, 'makeup.txt');
+        fs.writeFileSync(holidaysFile, ics(['DTSTART;VALUE=DATE:20251001', 'DTEND;VALUE=DATE:20251002']));
+        fs.writeFileSync(listFile, '2025-10-07\n+2025-10-18\n');
+        fs.writeFileSync(makeupFile, '2025-10-11\n');
+
+        process.env.HOLIDAYS_FILE = `${holidaysFile}, ${listFile}`;
+        process.env.MAKEUP_DAYS_FILE = makeupFile;
+        let calendar;
+        try {
+            calendar = loadCalendar();
+        } finally {
+            delete process.env.HOLIDAYS_FILE;
+            delete process.env.MAKEUP_DAYS_FILE;
+        }
+        assert.deepStrictEqual([...calendar.holidays], ['2025-10-01', '2025-10-07']);
+        assert.deepStrictEqual([...calendar.makeupDays], ['2025-10-18', '2025-10-11']);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * HTTP-only mode tests: run main() against the local mock site without a browser
+ */
+'use strict';
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockSite } = require('../mock/mockSite');
+const { createCookieJar } = require('../utils/httpSession');
+const { loadConfig } = require('../utils/config');
+
+describe('main() in HTTP-only mode', () => {
+    let site;
+    let downloadDir;
+    let main;
+
+    before(async () => {
+        site = await startMockSite();
+        process.env.LOGIN_URL = site.loginUrl;
+        process.env.USERNAME1 = 'teacher@example.com';
+        process.env.PASSWORD = 'secret';
+        process.env.SESSION_FILE = 'off';
+        process.env.RATE_LIMIT_RPM = '0';
+        process.env.RATE_LIMIT_JITTER_MS = '0';
+        process.env.RETRY_BASE_MS = '10';
+        process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+        main = require('../index');
+    });
+
+    after(async () => {
+        await site.close();
+    });
+
+    beforeEach(() => {
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-http-'));
+        process.env.LOGIN_URL = site.loginUrl;
+        loadConfig();
+    });
+
+    test('downloads the Nth paper of a paged list without a browser', async () => {
+        const summary = await main({ grades: ['P2'], subjects: ['中', 'Maths'], n: 12, downloadDir, http: true, notify: false });
+
+        assert.strictEqual(summary.ok, true);
+        assert.strictEqual(summary.downloaded, 2);
+        assert.deepStrictEqual(summary.strategies, { 'http-only': 2 });
+        const entry = summary.results.find(r => r.subject === '數');
+        assert.strictEqual(entry.id, site.paperId('P2', 'Maths', 12));
+        assert.strictEqual(fs.readFileSync(entry.filePath).subarray(0, 4).toString(), '%PDF');
+
+        const sidecar = JSON.parse(fs.readFileSync(entry.filePath.replace(/\.pdf$/, '.json'), 'utf8'));
+        assert.strictEqual(sidecar.title, `Paper ${entry.id}`);
+        assert.deepStrictEqual(sidecar.tags, ['練習', 'Daily']);
+    });
+
+    test('changed list markup fails with kind "markup" when the fallback is off', async () => {
+        const changed = await startMockSite({ listClass: 'card' });
+        process.env.LOGIN_URL = changed.loginUrl;
+        loadConfig({ env: { ...process.env, HTTP_FALLBACK: 'false' } });
+        try {
+            const summary = await main({ grades: ['P1'], subjects: ['英'], n: 1, downloadDir, http: true, notify: false });
+            assert.strictEqual(summary.failed, 1);
+            assert.deepStrictEqual([summary.failures[0].step, summary.failures[0].kind], ['navigate', 'markup']);
+            assert.strictEqual(changed.state.downloads, 0);
+        } finally {
+            await changed.close();
+        }
+    });
+
+    test('a corrupt session file falls back to the login form', async () => {
+        const sessionFile = path.join(downloadDir, '.auth', 'session.json');
+        fs.mkdirSync(path.dirname(sessionFile), { recursive: true });
+        fs.writeFileSync(sessionFile, '{"cookies": [');
+        const logins = site.state.logins;
+
+        const summary = await main({ grades: ['P1'], subjects: ['英'], n: 1, downloadDir, sessionFile, http: true, notify: false });
+
+        assert.strictEqual(summary.ok, true);
+        assert.strictEqual(site.state.logins, logins + 1);
+        const saved = JSON.parse(fs.readFileSync(sessionFile, 'utf8'));
+        assert.ok(saved.cookies.length > 0);
+    });
+
+    test('cookie jar follows domain, path and expiry', () => {
+        const jar = createCookieJar();
+        jar.store(['sid=abc; Path=/; HttpOnly', 'pref=1; Path=/paper', 'old=x; Max-Age=0'], 'http://example.com/login');
+        assert.strictEqual(jar.header('http://example.com/'), 'sid=abc');
+        assert.strictEqual(jar.header('http://example.com/paper/download.php'), 'sid=abc; pref=1');
+        assert.strictEqual(jar.header('http://other.example/'), '');
+        jar.store('sid=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/', 'http://example.com/logout');
+        assert.deepStrictEqual(jar.all().map(c => c.name), ['pref']);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * Item selection tests: every mode, both list orders, per-combination overrides
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getSelection, parseSelection, describeSelection, itemsNeeded, selectItems } = require('../utils/itemSelector');
+const { loadConfig } = require('../utils/config');
+
+describe('item selection', () => {
+    // Oldest first, as on the site: item N is the Nth working day's paper
+    const items = [
+        { index: 1, id: '101', title: 'P1 中 Paper 1 週末練習', date: '2025-09-29' },
+        { index: 2, id: '102', title: 'P1 中 Paper 2', date: '2025-09-30' },
+        { index: 3, id: '103', title: 'P1 中 Paper 3', date: '2025-10-02' },
+        { index: 4, id: '104', title: 'P1 中 Paper 4 週末練習', date: '2025-10-02' },
+        { index: 5, id: null, title: 'P1 中 Paper 5', date: null }
+    ];
+    const ids = selected => selected.map(item => item.id);
+    const newestFirst = { listOrder: 'newest-first' };
+
+    afterEach(() => {
+        loadConfig();
+    });
+
+    test('nth picks item N, counting from either end', () => {
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'nth' }, { n: 2 })), ['102']);
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'nth', ...newestFirst }, { n: 2 })), ['104']);
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'nth', ...newestFirst }, { n: 5 })), ['101']);
+    });
+
+    test('N beyond the list selects nothing (the runner reports not-found)', () => {
+        for (const n of [0, 6, 45]) {
+            assert.deepStrictEqual(selectItems(items, { mode: 'nth' }, { n }), [], `n=${n}`);
+            assert.deepStrictEqual(selectItems(items, { mode: 'nth', ...newestFirst }, { n }), [], `n=${n} newest-first`);
+        }
+        assert.deepStrictEqual(selectItems([], { mode: 'nth' }, { n: 1 }), []);
+    });
+
+    test('newest, title, date, ids and all', () => {
+        assert.deepStrictEqual(selectItems(items, { mode: 'newest' }, { n: 1 }), [items[4]]);
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'newest', ...newestFirst }, { n: 1 })), ['101']);
+
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'title', pattern: '週末' }, { n: 1 })), ['101', '104']);
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'title', pattern: 'paper [23]$' }, { n: 1 })), ['102', '103']);
+
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'date', date: '2025-10-02' }, { n: 1 })), ['103', '104']);
+        // Without a fixed date the task's day is used
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'date', date: null }, { n: 1, date: '2025-09-30' })), ['102']);
+        assert.deepStrictEqual(selectItems(items, { mode: 'date', date: '2025-10-01' }, { n: 1 }), []);
+
+        assert.deepStrictEqual(ids(selectItems(items, { mode: 'ids', ids: ['104', '101', '999'] }, { n: 1 })), ['101', '104']);
+        assert.deepStrictEqual(selectItems(items, { mode: 'ids', ids: ['999'] }, { n: 1 }), []);
+
+        const all = selectItems(items, { mode: 'all' }, { n: 1 });
+        assert.deepStrictEqual(all, items);
+        assert.notStrictEqual(all, items);
+    });
+
+    test('itemsNeeded() lets listing stop early only when the answer is near the top', () => {
+        assert.strictEqual(itemsNeeded({ mode: 'nth' }, 12), 12);
+        assert.strictEqual(itemsNeeded({ mode: 'nth', ...newestFirst }, 12), undefined);
+        assert.strictEqual(itemsNeeded({ mode: 'newest' }, 12), undefined);
+        assert.strictEqual(itemsNeeded({ mode: 'newest', ...newestFirst }, 12), 1);
+        for (const mode of ['title', 'date', 'ids', 'all']) {
+            assert.strictEqual(itemsNeeded({ mode }, 12), undefined, mode);
+        }
+    });
+
+    test('parseSelection() reads --select values', () => {
+        assert.deepStrictEqual(parseSelection('newest'), { mode: 'newest' });
+        assert.deepStrictEqual(parseSelection('title: 週末|Review '), { mode: 'title', pattern: '週末|Review' });
+        assert.deepStrictEqual(parseSelection('date:2025-10-02'), { mode: 'date', date: '2025-10-02' });
+        assert.deepStrictEqual(parseSelection('date'), { mode: 'date', date: null });
+        assert.deepStrictEqual(parseSelection('ids:101, 104,'), { mode: 'ids', ids: ['101', '104'] });
+
+        assert.throws(() => parseSelection('first'), /mode must be one of nth, newest, title, date, ids, all, got "first"/);
+        assert.throws(() => parseSelection('title:'), /mode "title" needs a "pattern"/);
+        assert.throws(() => parseSelection('title:(['), /bad pattern/);
+        assert.throws(() => parseSelection('date:02/10/2025'), /date must be YYYY-MM-DD/);
+        assert.throws(() => parseSelection('ids:'), /mode "ids" needs "ids"/);
+        assert.throws(() => parseSelection('all:5'), /--select all takes no argument/);
+    });
+
+    test('getSelection() applies overrides by grade, subject and combination, then --select', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-select-'));
+        try {
+            const file = path.join(dir, 'config.json');
+            fs.writeFileSync(file, JSON.stringify({
+                selection: {
+                    mode: 'nth',
+                    overrides: {
+                        P6: { mode: 'newest' },
+                        English: { mode: 'title', pattern: 'Reading' },
+                        'P6/英': { listOrder: 'newest-first' }
+                    }
+                }
+            }));
+            loadConfig({ file, env: {} });
+
+            assert.strictEqual(getSelection('P1', '中').mode, 'nth');
+            assert.strictEqual(getSelection('P6', '中').mode, 'newest');
+            assert.deepStrictEqual([getSelection('P1', '英').mode, getSelection('P1', '英').pattern], ['title', 'Reading']);
+            const combined = getSelection('P6', '英');
+            assert.deepStrictEqual([combined.mode, combined.pattern, combined.listOrder], ['title', 'Reading', 'newest-first']);
+            assert.strictEqual(getSelection('P6', '英', { mode: 'ids', ids: [101] }).mode, 'ids');
+            assert.deepStrictEqual(getSelection('P6', '英', { mode: 'ids', ids: [101] }).ids, ['101']);
+
+            assert.strictEqual(describeSelection(getSelection('P1', '中'), 7), 'item #7');
+            assert.strictEqual(describeSelection({ ...getSelection('P1', '中'), ...newestFirst }, 7), 'item #7 from the end');
+            assert.strictEqual(describeSelection(combined, 7), 'title /Reading/');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Logger tests: JSON lines with context fields, per-scope levels, file rotation
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-log-'));
+process.env.LOG_FORMAT = 'json';
+process.env.LOG_LEVEL = 'warn';
+process.env.LOG_LEVELS = 'download=debug';
+process.env.LOG_FILE = path.join(logDir, 'run.log');
+
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const { createLogger, createFileSink, withLogContext } = require('../utils/logger');
+
+/**
+ * Capture console.log / console.warn output while fn runs
+ */
+async function capture(fn) {
+    const lines = [];
+    const { log, warn } = console;
+    console.log = line => lines.push(line);
+    console.warn = line => lines.push(line);
+    try {
+        await fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+    return lines.map(line => JSON.parse(line));
+}
+
+describe('logger', () => {
+    after(() => fs.rmSync(logDir, { recursive: true, force: true }));
+
+    test('JSON records carry run, combination and step; scope levels apply', async () => {
+        const records = await capture(() => withLogContext({ runId: 'R1' }, async () => {
+            createLogger('nav').info('dropped by the global level');
+            createLogger('nav').warn('kept');
+            await withLogContext({ combination: 'P1-中 #3' }, () => withLogContext({ step: 'download' }, async () => {
+                await new Promise(resolve => setImmediate(resolve));
+                createLogger('download').debug('saved', 42);
+            }));
+        }));
+
+        assert.deepStrictEqual(records.map(r => [r.scope, r.level, r.msg]), [['nav', 'warn', 'kept'], ['download', 'debug', 'saved 42']]);
+        assert.strictEqual(records[0].runId, 'R1');
+        assert.strictEqual(records[0].combination, null);
+        assert.deepStrictEqual([records[1].runId, records[1].combination, records[1].step], ['R1', 'P1-中 #3', 'download']);
+
+        const fileLines = fs.readFileSync(process.env.LOG_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(fileLines.map(r => r.msg), ['kept', 'saved 42']);
+    });
+
+    test('file sink rotates by size and keeps maxFiles rotated files', () => {
+        const file = path.join(logDir, 'sized.log');
+        const sink = createFileSink({ path: file, maxBytes: 100, daily: true, maxFiles: 2 });
+        for (let i = 0; i < 10; i++) sink.write(`line ${i} `.padEnd(40, '.'));
+
+        const rotated = fs.readdirSync(logDir).filter(name => /^sized\.\d{4}-\d{2}-\d{2}(\.\d+)?\.log$/.test(name));
+        assert.strictEqual(rotated.length, 2);
+        assert.ok(fs.statSync(file).size <= 100);
+        assert.match(fs.readFileSync(file, 'utf8'), /line 9/);
+    });
+
+    test('an invalid config is read once, not on every log line, until it is reloaded', () => {
+        const configFile = path.join(logDir, 'broken.json');
+        fs.writeFileSync(configFile, '{ "log": ');
+        // Count reads of the config file in a fresh process, where no config has loaded yet
+        const script = `
+            const fs = require('fs');
+            let reads = 0;
+            const readFileSync = fs.readFileSync;
+            fs.readFileSync = (file, ...rest) => {
+                if (file === process.env.CONFIG_FILE) reads++;
+                return readFileSync(file, ...rest);
+            };
+            const log = require(${JSON.stringify(require.resolve('../utils/logger'))}).createLogger('test');
+            const { loadConfig } = require(${JSON.stringify(require.resolve('../utils/config'))});
+            const counts = [];
+            for (let i = 0; i < 20; i++) log.info('line', i);
+            counts.push(reads);
+            try { loadConfig(); } catch {}
+            for (let i = 0; i < 20; i++) log.info('line', i);
+            counts.push(reads);
+            process.stdout.write(JSON.stringify(counts));
+        `;
+        const env = { ...process.env, CONFIG_FILE: configFile, LOG_LEVEL: 'error', LOG_FILE: '' };
+        const counts = JSON.parse(execFileSync(process.execPath, ['-e', script], { env, encoding: 'utf8' }));
+        // After the reload the logger tries the config once more, then keeps the fallback again
+        assert.deepStrictEqual(counts, [1, 3]);
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * List pagination tests: numbering across pages, the stop conditions and
+ * the next-page modes, with fake pages and against the mock site over HTTP
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockSite } = require('../mock/mockSite');
+const { loadConfig } = require('../utils/config');
+const { collectListPages } = require('../utils/navigationHandler');
+const { openHttpSession } = require('../utils/httpSession');
+const httpAdapter = require('../utils/httpSiteAdapter');
+const { selectItems } = require('../utils/itemSelector');
+
+/**
+ * Page over fixed lists of item ids, one list per URL ending in `?page=N`
+ */
+function fakeList(pages) {
+    let url = 'http://list/?page=1';
+    const page = {
+        visited: [url],
+        url: () => url,
+        goto: async next => { url = next; page.visited.push(next); }
+    };
+    const readPage = async current => {
+        const ids = pages[Number(new URL(current.url()).searchParams.get('page')) - 1] || [];
+        return ids.map((id, i) => ({ index: i + 1, id, title: `Paper ${id}`, href: `/paper/?id=${id}` }));
+    };
+    const nextPageUrl = async (current, pageNumber) => `http://list/?page=${pageNumber + 1}`;
+    return { page, readPage, nextPageUrl };
+}
+
+describe('list pagination', () => {
+    let tmpDir;
+
+    /**
+     * Load a config with the given `site` settings
+     */
+    const withSite = site => {
+        const file = path.join(tmpDir, 'config.json');
+        fs.writeFileSync(file, JSON.stringify({ site }));
+        loadConfig({ file, env: {} });
+    };
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-pages-'));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        loadConfig();
+    });
+
+    test('items are numbered across pages and say where they came from', async () => {
+        loadConfig({ env: {} });
+        const list = fakeList([['a', 'b', 'c'], ['d', 'e', 'f'], ['g']]);
+        const items = await collectListPages(list.page, list);
+
+        assert.deepStrictEqual(items.map(item => item.id), ['a', 'b', 'c', 'd', 'e', 'f', 'g']);
+        assert.deepStrictEqual(items.map(item => item.index), [1, 2, 3, 4, 5, 6, 7]);
+        assert.deepStrictEqual(items.map(item => [item.page, item.pageIndex]), [[1, 1], [1, 2], [1, 3], [2, 1], [2, 2], [2, 3], [3, 1]]);
+        assert.strictEqual(items[4].pageUrl, 'http://list/?page=2');
+        // The empty page after the last one ends the list
+        assert.strictEqual(list.page.visited.length, 4);
+    });
+
+    test('paging stops at `limit`, at a repeated page, at no next page and at site.maxPages', async () => {
+        loadConfig({ env: {} });
+        let list = fakeList([['a', 'b', 'c'], ['d', 'e', 'f'], ['g']]);
+        const acquired = [];
+        const limited = await collectListPages(list.page, { ...list, limit: 4, limiter: { acquire: async () => acquired.push(list.page.url()) } });
+        assert.deepStrictEqual(limited.map(item => item.id), ['a', 'b', 'c', 'd', 'e', 'f']);
+        assert.strictEqual(list.page.visited.length, 2);
+        // The limiter is taken before each further page, not the first
+        assert.deepStrictEqual(acquired, ['http://list/?page=1']);
+
+        // A site that serves the last page again for any later page number
+        list = fakeList([['a', 'b'], ['c'], ['c'], ['c']]);
+        assert.deepStrictEqual((await collectListPages(list.page, list)).map(item => item.id), ['a', 'b', 'c']);
+        assert.strictEqual(list.page.visited.length, 3);
+
+        list = fakeList([['a', 'b'], ['c']]);
+        const single = await collectListPages(list.page, { ...list, nextPageUrl: async () => null });
+        assert.deepStrictEqual(single.map(item => item.id), ['a', 'b']);
+        const same = await collectListPages(list.page, { ...list, nextPageUrl: async current => current.url() });
+        assert.deepStrictEqual(same.map(item => item.id), ['a', 'b']);
+
+        withSite({ maxPages: 2 });
+        list = fakeList([['a'], ['b'], ['c'], ['d']]);
+        assert.deepStrictEqual((await collectListPages(list.page, list)).map(item => item.id), ['a', 'b']);
+        assert.strictEqual(list.page.visited.length, 2);
+    });
+
+    describe('against the mock site', () => {
+        let site;
+        let session;
+
+        const listPages = () => site.state.requests.filter(request => request.startsWith('GET /?grade=')).length;
+
+        /**
+         * List P1 中 over the HTTP-only session and count the list pages fetched
+         */
+        const list = async (options = {}) => {
+            site.state.requests.length = 0;
+            const items = await httpAdapter.listItems(session.page, { baseUrl: site.url, grade: 'P1', subject: '中', ...options });
+            return { items, pages: listPages() };
+        };
+
+        before(async () => {
+            site = await startMockSite({ itemsPerList: 25, pageSize: 10 });
+            loadConfig({ env: {} });
+            session = await openHttpSession({ loginUrl: site.loginUrl, username: 'teacher@example.com', password: 'secret', adapter: httpAdapter, sessionFile: null });
+        });
+
+        after(async () => {
+            await site.close();
+        });
+
+        test('follows the 下一頁 link through a multi-page list', async () => {
+            loadConfig({ env: {} });
+            const { items, pages } = await list();
+            assert.strictEqual(pages, 3);
+            assert.strictEqual(items.length, 25);
+            assert.deepStrictEqual(items.map(item => item.id), Array.from({ length: 25 }, (_, i) => site.paperId('P1', 'Chinese', i + 1)));
+            assert.deepStrictEqual([items[10].index, items[10].page, items[10].pageIndex], [11, 2, 1]);
+            assert.match(items[24].pageUrl, /[?&]page=3$/);
+            assert.strictEqual(items[24].date, site.paperDate(25));
+        });
+
+        test('item N on a later page is found, and N beyond the list is not', async () => {
+            loadConfig({ env: {} });
+            let { items, pages } = await list({ limit: 12 });
+            assert.strictEqual(pages, 2);
+            assert.deepStrictEqual(selectItems(items, { mode: 'nth' }, { n: 12 }).map(item => item.id), [site.paperId('P1', 'Chinese', 12)]);
+
+            ({ items, pages } = await list({ limit: 26 }));
+            assert.strictEqual(pages, 3);
+            assert.deepStrictEqual(selectItems(items, { mode: 'nth' }, { n: 26 }), []);
+        });
+
+        test('param pagination and site.maxPages', async () => {
+            withSite({ pagination: 'param' });
+            let { items, pages } = await list();
+            assert.strictEqual(items.length, 25);
+            // The page after the last one comes back empty and ends the list
+            assert.strictEqual(pages, 4);
+
+            withSite({ pagination: 'none' });
+            ({ items, pages } = await list());
+            assert.deepStrictEqual([items.length, pages], [10, 1]);
+
+            withSite({ maxPages: 2 });
+            ({ items, pages } = await list());
+            assert.deepStrictEqual([items.length, pages], [20, 2]);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Notification tests: run summaries sent to the local webhook and SMTP stand-ins
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockWebhook, startMockSmtp } = require('../mock/mockNotify');
+const { makePdf } = require('../mock/mockSite');
+const { notifyRunSummary } = require('../utils/notifier');
+
+describe('run summary notifications', () => {
+    let webhook;
+    let smtp;
+    let downloadDir;
+    let pdfPath;
+    
+    before(async () => {
+        webhook = await startMockWebhook();
+        smtp = await startMockSmtp();
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-notify-'));
+        pdfPath = path.join(downloadDir, '2025-10-02', 'P1-中-2025-10-02-1001.pdf');
+        fs.mkdirSync(path.dirname(pdfPath), { recursive: true });
+        fs.writeFileSync(pdfPath, makePdf('P1 Chinese'));
+    });
+    
+    after(async () => {
+        await webhook.close();
+        await smtp.close();
+    });
+    
+    /**
+     * Summary with one download, one known paper and one failure
+     */
+    function makeSummary({ failed = true } = {}) {
+        const results = [
+            { grade: 'P1', subject: '中', n: 5, date: null, status: 'downloaded', id: '1001', filePath: pdfPath, strategy: 'direct-post' },
+            { grade: 'P1', subject: '英', n: 5, date: null, status: 'known', id: '1002', filePath: path.join(downloadDir, 'old.pdf'), strategy: null }
+        ];
+        if (failed) {
+            results.push({ grade: 'P1', subject: '數', n: 5, date: null, status: 'failed', step: 'download', kind: 'download', message: 'all download strategies failed' });
+        }
+        return {
+            ok: true,
+            n: 5,
+            startedAt: '2025-10-02T00:00:00.000Z',
+            finishedAt: '2025-10-02T00:01:00.000Z',
+            total: results.length,
+            downloaded: 1,
+            known: 1,
+            failed: failed ? 1 : 0,
+            retries: 0,
+            strategies: { 'direct-post': 1 },
+            failures: [],
+            results
+        };
+    }
+    
+    /**
+     * Notification settings with only the given channels
+     */
+    function notifyOptions({ on = 'always', webhookUrl = null, format = 'generic', email = false, attachPdfs = false } = {}) {
+        return {
+            on,
+            attachPdfs,
+            maxAttachmentBytes: 10 * 1024 * 1024,
+            webhook: { url: webhookUrl, format },
+            email: email
+                ? { host: smtp.host, port: smtp.port, secure: false, user: 'bot', password: 'pw', from: 'bot@example.com', to: ['teacher@example.com'] }
+                : { host: null, port: 587, secure: false, user: null, password: null, from: null, to: [] }
+        };
+    }
+    
+    test('posts a generic JSON summary with per-combination results', async () => {
+        webhook.requests.length = 0;
+        const sent = await notifyRunSummary(makeSummary(), { label: 'run', downloadDir, notify: notifyOptions({ webhookUrl: webhook.url }) });
+        
+        assert.deepStrictEqual(sent, ['webhook']);
+        assert.strictEqual(webhook.requests.length, 1);
+        const { body } = webhook.requests[0];
+        assert.strictEqual(body.event, 'run-summary');
+        assert.match(body.headline, /PARTIAL: 1 downloaded, 1 known, 1 failed of 3/);
+        assert.strictEqual(body.summary.results.length, 3);
+        assert.strictEqual(body.summary.results[0].file, '2025-10-02/P1-中-2025-10-02-1001.pdf');
+        assert.strictEqual(body.summary.results[2].message, 'all download strategies failed');
+    });
+    
+    test('posts Slack and Teams compatible payloads', async () => {
+        webhook.requests.length = 0;
+        await notifyRunSummary(makeSummary(), { label: 'run', downloadDir, notify: notifyOptions({ webhookUrl: webhook.url, format: 'slack' }) });
+        await notifyRunSummary(makeSummary(), { label: 'run', downloadDir, notify: notifyOptions({ webhookUrl: webhook.url, format: 'teams' }) });
+        
+        const [slack, teams] = webhook.requests.map(r => r.body);
+        assert.match(slack.text, /✗ P1-數 #5: failed at download/);
+        assert.strictEqual(teams['@type'], 'MessageCard');
+        assert.match(teams.text, /✓ P1-中 #5: downloaded 2025-10-02\/P1-中-2025-10-02-1001.pdf \[direct-post\]/);
+    });
+    
+    test('notify.on=failure only sends for failed runs', async () => {
+        webhook.requests.length = 0;
+        const notify = notifyOptions({ on: 'failure', webhookUrl: webhook.url });
+        
+        assert.deepStrictEqual(await notifyRunSummary(makeSummary({ failed: false }), { label: 'run', downloadDir, notify }), []);
+        assert.deepStrictEqual(await notifyRunSummary(makeSummary(), { label: 'run', downloadDir, notify }), ['webhook']);
+        assert.deepStrictEqual(await notifyRunSummary({ ...makeSummary({ failed: false }), ok: false, error: 'Login failed' }, { label: 'run', downloadDir, notify }), ['webhook']);
+        assert.strictEqual(webhook.requests.length, 2);
+    });
+    
+    test('emails the summary with the downloaded PDFs attached', async () => {
+        smtp.messages.length = 0;
+        const sent = await notifyRunSummary(makeSummary(), { label: 'run', downloadDir, notify: notifyOptions({ email: true, attachPdfs: true }) });
+        
+        assert.deepStrictEqual(sent, ['email']);
+        assert.strictEqual(smtp.messages.length, 1);
+        const [mail] = smtp.messages;
+        assert.strictEqual(mail.auth, 'bot');
+        assert.deepStrictEqual(mail.to, ['teacher@example.com']);
+        assert.match(mail.data, /Subject: .*PARTIAL/);
+        assert.match(mail.data, /Content-Type: application\/pdf/);
+        assert.match(mail.data, /Content-Disposition: attachment/);
+        assert.match(mail.data, /P1-=E6=95=B8 #5|P1-數 #5/);
+    });
+    
+    test('a failing webhook does not throw', async () => {
+        const broken = await startMockWebhook({ status: 500 });
+        try {
+            const sent = await notifyRunSummary(makeSummary(), { label: 'run', downloadDir, notify: notifyOptions({ webhookUrl: broken.url }) });
+            assert.deepStrictEqual(sent, []);
+            assert.strictEqual(broken.requests.length, 1);
+        } finally {
+            await broken.close();
+        }
+    });
+});
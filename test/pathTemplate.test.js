@@ -0,0 +1,71 @@
+/**
+ * Filename template tests: placeholder rendering, unsafe characters, collision suffixes
+ */
+'use strict';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_TEMPLATE, validateTemplate, renderTemplate, reserveUniquePath, releasePath, sanitizeValue } = require('../utils/pathTemplate');
+
+describe('filename templates', () => {
+    const fields = { grade: 'P3', subject: '數', date: '2025-10-08', id: '1201', n: 21, title: 'Fractions' };
+
+    test('placeholders render in every segment; the subject works in either language', () => {
+        assert.strictEqual(renderTemplate(DEFAULT_TEMPLATE, fields), path.join('2025-10-08', 'P3-數-2025-10-08-1201.pdf'));
+        assert.strictEqual(renderTemplate('{grade}/{subject}/{n}-{title}.pdf', fields), path.join('P3', 'Maths', '21-Fractions.pdf'));
+        assert.strictEqual(renderTemplate('{subjectZh}/{id}.pdf', { ...fields, subject: 'Maths' }), path.join('數', '1201.pdf'));
+
+        // Separators left by empty placeholders are collapsed
+        assert.strictEqual(renderTemplate('{date}/{grade}-{title}-{id}.pdf', { ...fields, title: null }), path.join('2025-10-08', 'P3-1201.pdf'));
+        assert.strictEqual(renderTemplate('{title}/{id}.pdf', { ...fields, title: '' }), path.join('_', '1201.pdf'));
+    });
+
+    test('unsafe characters in values are replaced and long values cut', () => {
+        assert.strictEqual(sanitizeValue('a/b\\c:d*e?f"g<h>i|j'), 'a_b_c_d_e_f_g_h_i_j');
+        assert.strictEqual(sanitizeValue('  Unit   3\n\u0007Review  '), 'Unit 3Review');
+        assert.strictEqual(sanitizeValue(null), '');
+        assert.strictEqual(sanitizeValue('x'.repeat(300)).length, 120);
+
+        // A title cannot add folders or climb out of the download dir
+        const rendered = renderTemplate('{grade}/{title}.pdf', { ...fields, title: '../../etc/passwd' });
+        assert.strictEqual(rendered, path.join('P3', 'etc_passwd.pdf'));
+        assert.ok(!rendered.split(path.sep).includes('..'));
+    });
+
+    test('templates are validated', () => {
+        assert.throws(() => validateTemplate('{date}/{teacher}.pdf'), /Unknown template placeholder\(s\): \{teacher\}/);
+        assert.throws(() => validateTemplate('../{id}.pdf'), /relative path inside the download dir/);
+        assert.throws(() => validateTemplate('/srv/{id}.pdf'), /relative path inside the download dir/);
+        assert.throws(() => validateTemplate('{date}/{id}'), /must end with \.pdf/);
+    });
+
+    describe('collision suffixes', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-template-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('existing files and reserved paths get -2, -3, ...', () => {
+            const wanted = path.join(dir, 'P3-數.pdf');
+            fs.writeFileSync(wanted, 'taken');
+
+            const first = reserveUniquePath(wanted);
+            const second = reserveUniquePath(wanted);
+            assert.deepStrictEqual([first, second], [path.join(dir, 'P3-數-2.pdf'), path.join(dir, 'P3-數-3.pdf')]);
+
+            // A released path is free again; the file being renamed may keep its name
+            releasePath(first);
+            assert.strictEqual(reserveUniquePath(wanted), first);
+            assert.strictEqual(reserveUniquePath(wanted, { allowExisting: wanted }), wanted);
+            [first, second, wanted].forEach(releasePath);
+        });
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * PDF validator tests: validatePdfBuffer() on pdf-lib documents and damaged copies
+ */
+'use strict';
+
+const { test, describe, before, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { PDFDocument } = require('pdf-lib');
+const { loadConfig } = require('../utils/config');
+const { validatePdfBuffer } = require('../utils/pdfValidator');
+
+/**
+ * A pdf-lib document with `pages` pages, saved with or without object streams
+ */
+async function buildPdf(pages, { useObjectStreams = true } = {}) {
+    const doc = await PDFDocument.create();
+    for (let i = 0; i < pages; i++) {
+        doc.addPage([595, 842]).drawText(`Page ${i + 1}: ${'_'.repeat(60)}`, { x: 72, y: 760, size: 12 });
+    }
+    return Buffer.from(await doc.save({ useObjectStreams, addDefaultPage: false }));
+}
+
+describe('validatePdfBuffer()', () => {
+    let compact;
+    let classic;
+
+    before(async () => {
+        compact = await buildPdf(3);
+        classic = await buildPdf(2, { useObjectStreams: false });
+    });
+
+    afterEach(() => {
+        loadConfig();
+    });
+
+    test('accepts pdf-lib output with an xref stream or a classic xref table', () => {
+        assert.deepStrictEqual(validatePdfBuffer(compact, { minBytes: 0 }), { ok: true, pageCount: 3, size: compact.length });
+        assert.deepStrictEqual(validatePdfBuffer(classic, { minBytes: 0 }), { ok: true, pageCount: 2, size: classic.length });
+    });
+
+    test('rejects a truncated file', () => {
+        const truncated = classic.subarray(0, Math.floor(classic.length / 2));
+        assert.deepStrictEqual(validatePdfBuffer(truncated, { minBytes: 0 }),
+            { ok: false, reason: 'missing %%EOF trailer (truncated?)', size: truncated.length });
+    });
+
+    test('rejects a file without startxref', () => {
+        const text = classic.toString('latin1');
+        const broken = Buffer.from(text.replace(/startxref\s+\d+\s+%%EOF/, '%%EOF'), 'latin1');
+        assert.strictEqual(validatePdfBuffer(broken, { minBytes: 0 }).reason, 'missing startxref');
+
+        const pastEnd = Buffer.from(text.replace(/startxref\s+\d+/, 'startxref\n999999'), 'latin1');
+        assert.strictEqual(validatePdfBuffer(pastEnd, { minBytes: 0 }).reason, 'startxref 999999 beyond end of file');
+    });
+
+    test('rejects a document with zero pages', async () => {
+        const empty = await buildPdf(0, { useObjectStreams: false });
+        assert.deepStrictEqual(validatePdfBuffer(empty, { minBytes: 0 }), { ok: false, reason: 'no pages found', size: empty.length });
+    });
+
+    test('rejects files under the size limit from config', () => {
+        loadConfig({ env: { PDF_MIN_BYTES: String(classic.length + 1) } });
+        assert.deepStrictEqual(validatePdfBuffer(classic),
+            { ok: false, reason: `too small (${classic.length} bytes < ${classic.length + 1})`, size: classic.length });
+
+        loadConfig({ env: { PDF_MIN_BYTES: String(classic.length) } });
+        assert.strictEqual(validatePdfBuffer(classic).ok, true);
+
+        loadConfig({ env: {} });
+        const tiny = Buffer.from('%PDF-1.4\n%%EOF\n', 'latin1');
+        assert.strictEqual(validatePdfBuffer(tiny).reason, `too small (${tiny.length} bytes < 1024)`);
+    });
+});
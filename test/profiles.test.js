@@ -0,0 +1,115 @@
+/**
+ * Credential profile tests: one login, folder and summary per account (HTTP-only mode against the mock site)
+ */
+'use strict';
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockSite } = require('../mock/mockSite');
+const { loadConfig } = require('../utils/config');
+const { getProfile } = require('../utils/profiles');
+const { acquireRunLock, getLockPath } = require('../utils/runLock');
+
+describe('credential profiles', () => {
+    let site;
+    let tmpDir;
+    let downloadDir;
+    let configFile;
+    let main;
+
+    before(async () => {
+        site = await startMockSite();
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-profiles-'));
+        configFile = path.join(tmpDir, 'config.json');
+        fs.writeFileSync(configFile, JSON.stringify({
+            profiles: {
+                lower: { username: 'teacher@example.com', grades: ['P1', 'P2'] },
+                'upper-primary': { grades: ['P5', 'P6'], subjects: ['中', 'English'] }
+            }
+        }));
+        process.env.LOGIN_URL = site.loginUrl;
+        process.env.PROFILE_LOWER_PASSWORD = 'secret';
+        process.env.PROFILE_UPPER_PRIMARY_USERNAME = 'teacher@example.com';
+        process.env.PROFILE_UPPER_PRIMARY_PASSWORD = 'wrong';
+        process.env.SESSION_FILE = 'off';
+        process.env.RATE_LIMIT_RPM = '0';
+        process.env.RATE_LIMIT_JITTER_MS = '0';
+        process.env.RETRY_BASE_MS = '10';
+        process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+        main = require('../index');
+    });
+
+    after(async () => {
+        await site.close();
+        loadConfig();
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        downloadDir = fs.mkdtempSync(path.join(tmpDir, 'downloads-'));
+        loadConfig({ file: configFile });
+    });
+
+    test('each profile logs in on its own and downloads into its own folder', async () => {
+        const summary = await main({ subjects: ['中'], n: 3, downloadDir, http: true, notify: false });
+
+        assert.deepStrictEqual(summary.accounts.map(a => [a.profile, a.ok, a.downloaded, a.total]), [
+            ['lower', true, 2, 2],
+            ['upper-primary', false, 0, 2]
+        ]);
+        assert.strictEqual(summary.ok, false);
+        assert.match(summary.error, /^upper-primary: Login failed/);
+        assert.deepStrictEqual(summary.results.map(r => [r.profile, r.grade]), [['lower', 'P1'], ['lower', 'P2']]);
+
+        // Ledger and report live in the profile folder
+        const lowerDir = path.join(downloadDir, 'lower');
+        assert.ok(summary.results.every(r => r.filePath.startsWith(lowerDir + path.sep)));
+        const ledger = JSON.parse(fs.readFileSync(path.join(lowerDir, 'download-ledger.json'), 'utf8'));
+        assert.strictEqual(Object.keys(ledger.entries).length, 2);
+        const report = JSON.parse(fs.readFileSync(summary.accounts[0].report.jsonPath, 'utf8'));
+        assert.strictEqual(report.profile, 'lower');
+    });
+
+    test('a subset of profiles and the grade filter narrow the accounts', async () => {
+        const subset = await main({ profiles: ['upper-primary'], grades: ['P6'], n: 3, downloadDir, http: true, notify: false });
+        assert.deepStrictEqual(subset.accounts.map(a => [a.profile, a.total]), [['upper-primary', 2]]);
+
+        // Only lower has P1; upper-primary is skipped without logging in
+        const filtered = await main({ grades: ['P1'], subjects: ['常'], n: 3, downloadDir, http: true, notify: false });
+        assert.deepStrictEqual(filtered.accounts.map(a => [a.profile, a.ok, a.downloaded]), [['lower', true, 1]]);
+        assert.strictEqual(filtered.ok, true);
+
+        await assert.rejects(main({ profiles: ['nobody'], downloadDir, notify: false }), /Unknown profile\(s\): nobody/);
+    });
+
+    test('the lock on the parent folder blocks a profiled run', async () => {
+        const release = await acquireRunLock(getLockPath(downloadDir), 'daemon');
+        try {
+            await assert.rejects(main({ n: 3, downloadDir, http: true, notify: false }), { name: 'LockError' });
+        } finally {
+            await release();
+        }
+        assert.strictEqual(fs.existsSync(path.join(downloadDir, 'lower')), false);
+    });
+
+    test('profile settings and session files', () => {
+        process.env.SESSION_FILE = './.auth/session.json';
+        let profile;
+        try {
+            profile = getProfile('upper-primary', { downloadDir: '/data' });
+        } finally {
+            process.env.SESSION_FILE = 'off';
+        }
+        assert.deepStrictEqual(profile, {
+            name: 'upper-primary',
+            username: null,
+            grades: ['P5', 'P6'],
+            subjects: ['中', 'English'],
+            downloadDir: path.join('/data', 'upper-primary'),
+            sessionFile: path.join('.auth', 'session-upper-primary.json')
+        });
+    });
+});
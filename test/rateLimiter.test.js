@@ -0,0 +1,107 @@
+/**
+ * Rate limiter tests: request spacing, burst, arrival order and 429/5xx backoff (fake clock)
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter } = require('../utils/rateLimiter');
+
+/**
+ * Clock that only moves when the limiter waits
+ */
+function fakeClock() {
+    let time = 0;
+    return {
+        now: () => time,
+        wait: async ms => { time += Math.max(0, ms); }
+    };
+}
+
+/**
+ * Acquire `count` slots at once and return the time each was granted
+ */
+async function grantTimes(limiter, clock, count) {
+    const times = [];
+    await Promise.all(Array.from({ length: count }, () => limiter.acquire().then(() => times.push(clock.now()))));
+    return times;
+}
+
+describe('rate limiter', () => {
+    test('spaces requests at requestsPerMinute after the burst', async () => {
+        const clock = fakeClock();
+        const limiter = createRateLimiter({ requestsPerMinute: 60, burst: 2, jitterMs: 0, ...clock });
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 5), [0, 0, 1000, 2000, 3000]);
+
+        // An idle period refills the bucket, up to the burst size
+        await clock.wait(10000);
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 3), [13000, 13000, 14000]);
+    });
+
+    test('0 requests per minute means no limit', async () => {
+        const clock = fakeClock();
+        const limiter = createRateLimiter({ requestsPerMinute: 0, jitterMs: 0, ...clock });
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 10), Array(10).fill(0));
+    });
+
+    test('callers are served in arrival order', async () => {
+        const clock = fakeClock();
+        const limiter = createRateLimiter({ requestsPerMinute: 120, burst: 1, jitterMs: 0, ...clock });
+        const order = [];
+        await Promise.all([1, 2, 3, 4].map(i => limiter.acquire().then(() => order.push(i))));
+        assert.deepStrictEqual(order, [1, 2, 3, 4]);
+        assert.strictEqual(clock.now(), 1500);
+    });
+
+    test('429 and 5xx pause every caller, doubling until a success resets it', async () => {
+        const clock = fakeClock();
+        const limiter = createRateLimiter({ requestsPerMinute: 0, jitterMs: 0, backoffBaseMs: 5000, backoffMaxMs: 15000, ...clock });
+
+        limiter.observe(429);
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 2), [5000, 5000]);
+        limiter.observe(503);
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [15000]);
+        // Capped at backoffMaxMs
+        limiter.observe(500);
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [30000]);
+
+        // 4xx other than 429 neither pauses nor resets; a success resets
+        limiter.observe(404);
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [30000]);
+        limiter.observe(200);
+        limiter.observe(502);
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [35000]);
+    });
+
+    test('Retry-After wins over the computed backoff, within backoffMaxMs', async () => {
+        const clock = fakeClock();
+        const limiter = createRateLimiter({ requestsPerMinute: 0, jitterMs: 0, backoffBaseMs: 5000, backoffMaxMs: 60000, ...clock });
+
+        limiter.observe(429, '2');
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [2000]);
+        limiter.observe(429, '3600');
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [62000]);
+        limiter.observe(429, 'soon');
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [62000 + 20000]);
+    });
+
+    test('attach() watches navigation responses only', async () => {
+        const clock = fakeClock();
+        const limiter = createRateLimiter({ requestsPerMinute: 0, jitterMs: 0, backoffBaseMs: 1000, ...clock });
+        const listeners = [];
+        limiter.attach({ on: (event, listener) => listeners.push([event, listener]) });
+        assert.deepStrictEqual(listeners.map(([event]) => event), ['response']);
+
+        const response = (navigation, status) => ({
+            request: () => ({ isNavigationRequest: () => navigation }),
+            status: () => status,
+            headers: () => ({})
+        });
+        listeners[0][1](response(false, 503));
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [0]);
+        listeners[0][1](response(true, 503));
+        assert.deepStrictEqual(await grantTimes(limiter, clock, 1), [1000]);
+    });
+});
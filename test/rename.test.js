@@ -0,0 +1,104 @@
+/**
+ * Rename tests: moving an archive to a new template, dry run and --apply
+ */
+'use strict';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { makePdf } = require('../mock/mockSite');
+const { loadConfig } = require('../utils/config');
+const { loadLedger } = require('../utils/downloadLedger');
+const { writePaperMetadata, getDayIndexPath, getSidecarPath } = require('../utils/paperMetadata');
+const { renameArchive } = require('../utils/archiveRenamer');
+
+describe('archive rename', () => {
+    const TEMPLATE = '{grade}/{subject}/{date}-{id}.pdf';
+    const metadata = { title: null, description: null, publishedAt: null, tags: [] };
+    let downloadDir;
+    let ledger;
+
+    /**
+     * Save a paper like a run does: PDF, ledger entry, sidecar and day index
+     */
+    const savePaper = async (relative, { id, grade, subject, date }) => {
+        const filePath = path.join(downloadDir, relative);
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, makePdf(`Paper ${id}`));
+        await ledger.record({ id, grade, subject, filePath });
+        await writePaperMetadata({ saved: { id, filePath }, metadata, task: { grade, subject, n: 1, date }, sourceUrl: `http://site/${id}`, downloadDir });
+        return filePath;
+    };
+
+    const exists = relative => fs.existsSync(path.join(downloadDir, relative));
+
+    beforeEach(async () => {
+        process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+        delete process.env.LEDGER_FILE;
+        loadConfig();
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-rename-'));
+        ledger = await loadLedger(downloadDir);
+    });
+
+    afterEach(() => {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+    });
+
+    test('dry run plans the moves without touching the archive', async () => {
+        await savePaper('2025-10-06/P1-中-2025-10-06-1001.pdf', { id: '1001', grade: 'P1', subject: '中', date: '2025-10-06' });
+        fs.writeFileSync(path.join(downloadDir, '2025-10-06', 'P2-英-2025-10-06-1002.pdf'), makePdf('Legacy'));
+        fs.writeFileSync(path.join(downloadDir, 'notes.pdf'), makePdf('Not a paper'));
+        const before = fs.readFileSync(getDayIndexPath(downloadDir, '2025-10-06'), 'utf8');
+
+        const { moves, skipped } = await renameArchive(downloadDir, TEMPLATE, { ledger });
+
+        assert.deepStrictEqual(moves.map(m => path.relative(downloadDir, m.to)).sort(), [
+            path.join('P1', 'Chinese', '2025-10-06-1001.pdf'),
+            path.join('P2', 'English', '2025-10-06-1002.pdf')
+        ]);
+        assert.deepStrictEqual(skipped, [path.join(downloadDir, 'notes.pdf')]);
+        assert.ok(exists('2025-10-06/P1-中-2025-10-06-1001.pdf'));
+        assert.ok(!exists('P1'));
+        assert.strictEqual(fs.readFileSync(getDayIndexPath(downloadDir, '2025-10-06'), 'utf8'), before);
+    });
+
+    test('--apply moves files and sidecars and keeps ledger and day indexes in sync', async () => {
+        const chinese = await savePaper('2025-10-06/P1-中-2025-10-06-1001.pdf', { id: '1001', grade: 'P1', subject: '中', date: '2025-10-06' });
+        await savePaper('2025-10-07/P1-中-2025-10-07-1101.pdf', { id: '1101', grade: 'P1', subject: '中', date: '2025-10-07' });
+        fs.writeFileSync(path.join(downloadDir, '2025-10-06', 'P2-英-2025-10-06-1002.pdf'), makePdf('Legacy'));
+
+        // A reference (same content as 1001) only has its day index entry
+        await ledger.record({ id: '1201', grade: 'P1', subject: '中', filePath: chinese, duplicateOf: '1001' });
+        await writePaperMetadata({ saved: { id: '1201', filePath: chinese, duplicateOf: '1001', reference: true }, metadata,
+            task: { grade: 'P1', subject: '中', n: 1, date: '2025-10-08' }, sourceUrl: 'http://site/1201', downloadDir });
+
+        const { moves } = await renameArchive(downloadDir, TEMPLATE, { apply: true, ledger });
+        assert.strictEqual(moves.length, 3);
+
+        const moved = path.join(downloadDir, 'P1', 'Chinese', '2025-10-06-1001.pdf');
+        assert.ok(fs.existsSync(moved));
+        assert.ok(exists('P2/English/2025-10-06-1002.pdf'));
+        assert.ok(!exists('2025-10-06/P1-中-2025-10-06-1001.pdf'));
+        assert.ok(!exists('2025-10-07/P1-中-2025-10-07-1101.pdf'));
+
+        // Sidecar moved with its PDF and points at the new file
+        const sidecar = JSON.parse(fs.readFileSync(getSidecarPath(moved), 'utf8'));
+        assert.strictEqual(sidecar.file, 'P1/Chinese/2025-10-06-1001.pdf');
+
+        // Ledger entries, the reference included, follow the file
+        assert.strictEqual(ledger.get('1001').path, moved);
+        assert.strictEqual(ledger.get('1201').path, moved);
+        const reloaded = await loadLedger(downloadDir);
+        assert.strictEqual(reloaded.get('1101').path, path.join(downloadDir, 'P1', 'Chinese', '2025-10-07-1101.pdf'));
+
+        // Day indexes stay under <date>/ and list the new paths
+        const index = date => JSON.parse(fs.readFileSync(getDayIndexPath(downloadDir, date), 'utf8')).papers.map(p => [p.id, p.file]);
+        assert.deepStrictEqual(index('2025-10-06'), [['1001', 'P1/Chinese/2025-10-06-1001.pdf']]);
+        assert.deepStrictEqual(index('2025-10-08'), [['1201', 'P1/Chinese/2025-10-06-1001.pdf']]);
+
+        // Nothing left to move
+        assert.deepStrictEqual((await renameArchive(downloadDir, TEMPLATE, { ledger })).moves, []);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Retry policy tests: error classification, retryable kinds, attempt limit and backoff delays
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { withRetry, backoffDelay, getRetryPolicy, DEFAULT_RETRYABLE } = require('../utils/retryPolicy');
+const { StepError, classifyError } = require('../utils/errors');
+const { loadConfig } = require('../utils/config');
+
+/**
+ * Error with a code, as thrown by Node sockets
+ */
+function codeError(code) {
+    return Object.assign(new Error(`connect ${code}`), { code });
+}
+
+/**
+ * Error as thrown by axios for an HTTP status
+ */
+function httpError(status) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+}
+
+describe('retry policy', () => {
+    const policy = { maxAttempts: 3, baseDelayMs: 0, maxDelayMs: 0, retryOn: ['timeout', 'network', 'http', 'download'] };
+
+    afterEach(() => {
+        mock.restoreAll();
+        loadConfig();
+    });
+
+    test('classifyError() tells timeouts, network and HTTP errors apart', () => {
+        const timeout = new Error('page.goto: Timeout 30000ms exceeded');
+        timeout.name = 'TimeoutError';
+        assert.strictEqual(classifyError(timeout), 'timeout');
+        assert.strictEqual(classifyError(codeError('ECONNABORTED')), 'timeout');
+
+        for (const code of ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']) {
+            assert.strictEqual(classifyError(codeError(code)), 'network', code);
+        }
+        assert.strictEqual(classifyError(new Error('page.goto: net::ERR_CONNECTION_RESET')), 'network');
+        assert.strictEqual(classifyError(new Error('socket hang up')), 'network');
+
+        assert.deepStrictEqual([429, 500, 502, 503].map(status => classifyError(httpError(status))), ['http', 'http', 'http', 'http']);
+        assert.deepStrictEqual([403, 404].map(status => classifyError(httpError(status))), ['unknown', 'unknown']);
+
+        assert.strictEqual(classifyError(new StepError('N out of range', { kind: 'not-found' })), 'not-found');
+        assert.strictEqual(classifyError(new Error('boom')), 'unknown');
+        assert.strictEqual(classifyError(null), 'unknown');
+    });
+
+    test('retryable kinds are retried until one attempt succeeds', async () => {
+        const retries = [];
+        const failures = [codeError('ECONNRESET'), httpError(503)];
+        const result = await withRetry(async attempt => {
+            if (failures.length) throw failures.shift();
+            return `ok on attempt ${attempt}`;
+        }, policy, { onRetry: ({ attempt, kind }) => retries.push([attempt, kind]) });
+
+        assert.strictEqual(result, 'ok on attempt 3');
+        assert.deepStrictEqual(retries, [[1, 'network'], [2, 'http']]);
+    });
+
+    test('non-retryable kinds fail on the first attempt', async () => {
+        for (const error of [new StepError('N out of range', { kind: 'not-found' }), new Error('boom'), httpError(404)]) {
+            let attempts = 0;
+            await assert.rejects(withRetry(async () => {
+                attempts++;
+                throw error;
+            }, policy), error);
+            assert.strictEqual(attempts, 1, error.message);
+        }
+    });
+
+    test('maxAttempts counts the first attempt and ends with the last error', async () => {
+        let attempts = 0;
+        await assert.rejects(withRetry(async attempt => {
+            attempts++;
+            throw new StepError(`failed ${attempt}`, { kind: 'download' });
+        }, policy), /^StepError: failed 3$/);
+        assert.strictEqual(attempts, 3);
+
+        attempts = 0;
+        await assert.rejects(withRetry(async () => {
+            attempts++;
+            throw codeError('ECONNRESET');
+        }, { ...policy, maxAttempts: 1 }), /ECONNRESET/);
+        assert.strictEqual(attempts, 1);
+    });
+
+    test('backoffDelay() doubles per attempt, is capped by maxDelayMs and jittered by +/-20%', () => {
+        const backoff = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+        mock.method(Math, 'random', () => 0.5);
+        assert.deepStrictEqual([1, 2, 3, 4, 10].map(attempt => backoffDelay(backoff, attempt)), [1000, 2000, 4000, 5000, 5000]);
+
+        mock.method(Math, 'random', () => 0);
+        assert.deepStrictEqual([1, 4].map(attempt => backoffDelay(backoff, attempt)), [800, 4000]);
+        mock.method(Math, 'random', () => 0.9999);
+        assert.deepStrictEqual([1, 4].map(attempt => backoffDelay(backoff, attempt)), [1200, 6000]);
+    });
+
+    test('getRetryPolicy() reads config and env', () => {
+        loadConfig({ env: {} });
+        assert.deepStrictEqual(getRetryPolicy().retryOn, DEFAULT_RETRYABLE);
+        assert.ok(!DEFAULT_RETRYABLE.includes('not-found'));
+
+        loadConfig({ env: { RETRY_MAX_ATTEMPTS: '5', RETRY_BASE_MS: '10', RETRY_MAX_MS: '40', RETRY_ON: 'timeout, http' } });
+        assert.deepStrictEqual(getRetryPolicy(), { maxAttempts: 5, baseDelayMs: 10, maxDelayMs: 40, retryOn: ['timeout', 'http'], finalPass: true });
+    });
+});
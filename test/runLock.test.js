@@ -0,0 +1,63 @@
+/**
+ * Run lock tests: one holder at a time, stale and half-written locks
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { acquireRunLock, withRunLock, readLock, LockError } = require('../utils/runLock');
+
+describe('run lock', () => {
+    let tmpDir;
+    let lockFile;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-lock-'));
+        lockFile = path.join(tmpDir, '.run.lock');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('two concurrent acquirers: exactly one gets the lock', async () => {
+        const results = await Promise.allSettled([acquireRunLock(lockFile, 'run'), acquireRunLock(lockFile, 'daemon')]);
+        const won = results.filter(r => r.status === 'fulfilled');
+        const lost = results.filter(r => r.status === 'rejected');
+        assert.strictEqual(won.length, 1);
+        assert.strictEqual(lost.length, 1);
+        assert.ok(lost[0].reason instanceof LockError);
+        assert.match(lost[0].reason.message, new RegExp(`in progress \\(pid ${process.pid} `));
+
+        // No temp files are left next to the lock
+        assert.deepStrictEqual(fs.readdirSync(tmpDir), ['.run.lock']);
+
+        await won[0].value();
+        assert.strictEqual(await readLock(lockFile), null);
+        await withRunLock(lockFile, 'run', async () => assert.strictEqual((await readLock(lockFile)).pid, process.pid));
+    });
+
+    test('a lock left by a dead process is replaced', async () => {
+        fs.writeFileSync(lockFile, JSON.stringify({ pid: 2 ** 22 + 1, host: os.hostname(), startedAt: '2025-10-01T00:00:00.000Z', label: 'run' }));
+        const release = await acquireRunLock(lockFile);
+        assert.strictEqual((await readLock(lockFile)).pid, process.pid);
+        await release();
+    });
+
+    test('an unreadable lock counts as held until it is old', async () => {
+        fs.writeFileSync(lockFile, '');
+        await assert.rejects(acquireRunLock(lockFile), /unreadable lock/);
+        assert.strictEqual(fs.readFileSync(lockFile, 'utf8'), '');
+
+        const old = new Date(Date.now() - 60000);
+        fs.utimesSync(lockFile, old, old);
+        const release = await acquireRunLock(lockFile);
+        assert.strictEqual((await readLock(lockFile)).pid, process.pid);
+        await release();
+    });
+});
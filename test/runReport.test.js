@@ -0,0 +1,66 @@
+/**
+ * Run report tests: totals, HTML page and the index of earlier reports
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../utils/config');
+const { createSummary } = require('../utils/combinationRunner');
+const { writeRunReport, buildRunReport, getReportDir } = require('../utils/runReport');
+
+describe('run reports', () => {
+    let downloadDir;
+
+    /**
+     * Summary of a backfill of two combinations over three days, one task failed
+     */
+    const backfillSummary = () => {
+        const summary = createSummary();
+        for (const subject of ['中', '英']) {
+            for (const [n, date] of [[3, '2025-09-12'], [4, '2025-09-15'], [5, '2025-09-16']]) {
+                const failed = subject === '英' && n === 5;
+                summary.results.push({ grade: 'P1', subject, n, date, status: failed ? 'failed' : 'downloaded', step: failed ? 'select' : undefined, kind: failed ? 'not-found' : undefined });
+            }
+        }
+        Object.assign(summary, { ok: true, total: summary.results.length, downloaded: 5, failed: 1, finishedAt: new Date().toISOString() });
+        return summary;
+    };
+
+    beforeEach(() => {
+        downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-report-'));
+        loadConfig({ env: {} });
+    });
+
+    afterEach(() => {
+        fs.rmSync(downloadDir, { recursive: true, force: true });
+        loadConfig();
+    });
+
+    test('totals count tasks, one per combination and day in a backfill', () => {
+        const report = buildRunReport(backfillSummary(), { label: 'backfill', downloadDir });
+        assert.deepStrictEqual(report.totals, { tasks: 6, downloaded: 5, known: 0, duplicates: 0, failed: 1, retries: 0 });
+        assert.strictEqual(report.entries.length, 6);
+        assert.deepStrictEqual([report.status, report.exitCode], ['partial', 2]);
+    });
+
+    test('the page shows the totals and the index lists earlier reports', async () => {
+        const reportDir = getReportDir(downloadDir);
+        fs.mkdirSync(reportDir, { recursive: true });
+        const old = { version: 1, runId: '20250901T000000-0000', label: 'run', startedAt: '2025-09-01T00:00:00.000Z', status: 'ok', totals: { tasks: 24, downloaded: 24, known: 0, failed: 0, retries: 0 } };
+        fs.writeFileSync(path.join(reportDir, `${old.runId}-run.json`), JSON.stringify(old));
+
+        const summary = backfillSummary();
+        const written = await writeRunReport(summary, { label: 'backfill', downloadDir });
+        assert.match(fs.readFileSync(written.htmlPath, 'utf8'), /5 downloaded, 0 known, 1 failed of 6; 0 retries/);
+
+        const index = fs.readFileSync(path.join(reportDir, 'index.html'), 'utf8');
+        assert.ok(index.indexOf(summary.runId) < index.indexOf(old.runId), 'newest first');
+        assert.ok(index.includes(old.runId));
+    });
+});
@@ -0,0 +1,151 @@
+/**
+ * Scheduler tests: run times, pending days, state across runs and retries (Hong Kong time, fake clock)
+ */
+'use strict';
+
+process.env.TZ = 'Asia/Hong_Kong';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScheduler, readSchedulerState, pendingDays, nextRunTime, parseTimeOfDay } = require('../utils/scheduler');
+const { createCalendar } = require('../utils/holidayCalendar');
+
+describe('scheduler', () => {
+    let tmpDir;
+    let stateFile;
+    let lockFile;
+
+    /**
+     * Run a scheduler with a fixed clock until runDays stops it, or for `ms` when it never runs
+     * @returns {Promise<string[][]>} Days of every runDays call
+     */
+    const runOnce = async (clock, result, { ms = 50 } = {}) => {
+        const calls = [];
+        const scheduler = createScheduler({
+            runDays: async days => {
+                calls.push(days);
+                scheduler.stop();
+                return result;
+            },
+            calendar: createCalendar(),
+            stateFile,
+            lockFile,
+            time: '07:30',
+            catchUpDays: 5,
+            now: () => new Date(clock)
+        });
+        const timer = setTimeout(() => scheduler.stop(), ms);
+        try {
+            await scheduler.start();
+        } finally {
+            clearTimeout(timer);
+        }
+        return calls;
+    };
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-scheduler-'));
+        stateFile = path.join(tmpDir, 'scheduler-state.json');
+        lockFile = path.join(tmpDir, '.run.lock');
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    // 2025-10-01 (Wed) is a holiday, 2025-10-04/05 a weekend, 2025-10-11 (Sat) a make-up day
+    const calendar = createCalendar({ holidays: ['2025-10-01'], makeupDays: ['2025-10-11'] });
+    const at = local => new Date(`${local}+08:00`);
+
+    test('parseTimeOfDay() accepts H:MM and HH:MM only', () => {
+        assert.deepStrictEqual(parseTimeOfDay('07:30'), { hours: 7, minutes: 30 });
+        assert.deepStrictEqual(parseTimeOfDay(' 7:05 '), { hours: 7, minutes: 5 });
+        assert.deepStrictEqual(parseTimeOfDay('23:59'), { hours: 23, minutes: 59 });
+        for (const bad of ['24:00', '7:60', '0730', '7.30', '', '07:30:00']) {
+            assert.throws(() => parseTimeOfDay(bad), /Invalid time .*, expected HH:MM/, bad);
+        }
+    });
+
+    test('nextRunTime() skips weekends and holidays and is strictly after `from`', () => {
+        assert.deepStrictEqual(nextRunTime(at('2025-09-30T07:00:00'), '07:30', calendar), at('2025-09-30T07:30:00'));
+        // At the run time itself the next one is the following working day, past the holiday
+        assert.deepStrictEqual(nextRunTime(at('2025-09-30T07:30:00'), '07:30', calendar), at('2025-10-02T07:30:00'));
+        assert.deepStrictEqual(nextRunTime(at('2025-10-03T18:00:00'), '07:30', calendar), at('2025-10-06T07:30:00'));
+        assert.deepStrictEqual(nextRunTime(at('2025-10-10T18:00:00'), '07:30', calendar), at('2025-10-11T07:30:00'));
+
+        const closed = { isWorkingDay: () => false };
+        assert.throws(() => nextRunTime(at('2025-10-10T18:00:00'), '07:30', closed), /No working day within a year/);
+    });
+
+    test('pendingDays() without a previous run: only today, once its run time has passed', () => {
+        assert.deepStrictEqual(pendingDays(null, at('2025-10-02T07:29:00'), '07:30', calendar, 5), []);
+        assert.deepStrictEqual(pendingDays(null, at('2025-10-02T07:30:00'), '07:30', calendar, 5), ['2025-10-02']);
+        assert.deepStrictEqual(pendingDays(null, at('2025-10-01T09:00:00'), '07:30', calendar, 5), []);
+        assert.deepStrictEqual(pendingDays(null, at('2025-10-04T09:00:00'), '07:30', calendar, 5), []);
+        assert.deepStrictEqual(pendingDays(null, at('2025-10-11T09:00:00'), '07:30', calendar, 5), ['2025-10-11']);
+    });
+
+    test('pendingDays() after an existing lastDay: missed working days, then today', () => {
+        assert.deepStrictEqual(pendingDays('2025-10-02', at('2025-10-02T09:00:00'), '07:30', calendar, 5), []);
+        // Before today's run time only the missed days are due
+        assert.deepStrictEqual(pendingDays('2025-09-29', at('2025-10-03T07:00:00'), '07:30', calendar, 5), ['2025-09-30', '2025-10-02']);
+        assert.deepStrictEqual(pendingDays('2025-10-02', at('2025-10-07T08:00:00'), '07:30', calendar, 5), ['2025-10-03', '2025-10-06', '2025-10-07']);
+        assert.deepStrictEqual(pendingDays('2025-10-09', at('2025-10-13T08:00:00'), '07:30', calendar, 5), ['2025-10-10', '2025-10-11', '2025-10-13']);
+    });
+
+    test('pendingDays() limits catch-up to the last catchUpDays missed days', () => {
+        const now = at('2025-10-10T08:00:00');
+        assert.deepStrictEqual(pendingDays('2025-09-26', now, '07:30', calendar, 2), ['2025-10-08', '2025-10-09', '2025-10-10']);
+        assert.deepStrictEqual(pendingDays('2025-09-26', now, '07:30', calendar, 0), ['2025-10-10']);
+        assert.deepStrictEqual(pendingDays('2025-09-26', now, '07:30', calendar, 20), [
+            '2025-09-29', '2025-09-30', '2025-10-02', '2025-10-03', '2025-10-06',
+            '2025-10-07', '2025-10-08', '2025-10-09', '2025-10-10'
+        ]);
+    });
+
+    test('a failed run keeps lastDay and retries the days after a backoff', async () => {
+        fs.writeFileSync(stateFile, JSON.stringify({ lastDay: '2025-10-07' }));
+        const failed = { ok: false, error: 'site down' };
+
+        assert.deepStrictEqual(await runOnce('2025-10-08T08:00:00+08:00', failed), [['2025-10-08']]);
+        let state = await readSchedulerState(stateFile);
+        assert.strictEqual(state.lastDay, '2025-10-07');
+        assert.strictEqual(state.lastRun.status, 'failed');
+        assert.deepStrictEqual(state.retry, { attempt: 1, at: new Date('2025-10-08T08:05:00+08:00').toISOString() });
+
+        // Not before the retry time; the daemon sleeps until then
+        assert.deepStrictEqual(await runOnce('2025-10-08T08:02:00+08:00', failed), []);
+        state = await readSchedulerState(stateFile);
+        assert.strictEqual(state.retry.attempt, 1);
+
+        // Failing again doubles the delay
+        assert.deepStrictEqual(await runOnce('2025-10-08T08:05:00+08:00', failed), [['2025-10-08']]);
+        state = await readSchedulerState(stateFile);
+        assert.deepStrictEqual(state.retry, { attempt: 2, at: new Date('2025-10-08T08:15:00+08:00').toISOString() });
+
+        // A successful run moves lastDay on and clears the retry
+        assert.deepStrictEqual(await runOnce('2025-10-08T08:15:00+08:00', { ok: true, failed: 0 }), [['2025-10-08']]);
+        state = await readSchedulerState(stateFile);
+        assert.deepStrictEqual([state.lastDay, state.retry, state.lastRun.status], ['2025-10-08', null, 'ok']);
+    });
+
+    test('a partial run is retried three times, then the day counts as done', async () => {
+        fs.writeFileSync(stateFile, JSON.stringify({ lastDay: '2025-10-07' }));
+        const partial = { ok: true, failed: 1 };
+
+        const clocks = ['2025-10-08T08:00:00', '2025-10-08T08:05:00', '2025-10-08T08:15:00'];
+        for (const [i, clock] of clocks.entries()) {
+            assert.deepStrictEqual(await runOnce(`${clock}+08:00`, partial), [['2025-10-08']]);
+            const state = await readSchedulerState(stateFile);
+            assert.deepStrictEqual([state.lastDay, state.retry.attempt, state.lastRun.status], ['2025-10-07', i + 1, 'partial']);
+        }
+
+        assert.deepStrictEqual(await runOnce('2025-10-08T08:35:00+08:00', partial), [['2025-10-08']]);
+        const state = await readSchedulerState(stateFile);
+        assert.deepStrictEqual([state.lastDay, state.retry], ['2025-10-08', null]);
+    });
+});
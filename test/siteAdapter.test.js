@@ -0,0 +1,66 @@
+/**
+ * Site adapter tests: resolving built-in names, module paths and the configured adapter
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveSiteAdapter, validateAdapter } = require('../utils/siteAdapter');
+const { loadConfig } = require('../utils/config');
+const paperSite = require('../utils/paperSiteAdapter');
+
+describe('site adapters', () => {
+    let tmpDir;
+
+    /**
+     * Write an adapter module exporting `methods` (as no-op functions) and return its path
+     */
+    const writeAdapter = (name, methods) => {
+        const file = path.join(tmpDir, `${name}.js`);
+        fs.writeFileSync(file, `module.exports = { ${methods.map(method => `${method}: async () => null`).join(', ')} };\n`);
+        return file;
+    };
+
+    before(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'adp-adapter-'));
+    });
+
+    after(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+        loadConfig();
+    });
+
+    test('the configured adapter is selected', () => {
+        loadConfig({ env: {} });
+        assert.strictEqual(resolveSiteAdapter(), paperSite);
+
+        const file = writeAdapter('other-site', ['login', 'isLoggedIn', 'listItems', 'openItem', 'fetchPdf']);
+        loadConfig({ env: { SITE_ADAPTER: file } });
+        const adapter = resolveSiteAdapter();
+        assert.strictEqual(adapter.name, 'other-site');
+        assert.strictEqual(typeof adapter.fetchPdf, 'function');
+
+        // An explicit name (--site) wins over the config
+        assert.strictEqual(resolveSiteAdapter('paper-site'), paperSite);
+    });
+
+    test('an unknown adapter name is an error', () => {
+        assert.throws(() => resolveSiteAdapter('other-site'),
+            /^Error: Unknown site adapter "other-site" \(built-in: paper-site, or a module path\)$/);
+        assert.throws(() => resolveSiteAdapter(path.join(tmpDir, 'missing.js')), /Cannot find module/);
+    });
+
+    test('an adapter missing required methods is rejected', () => {
+        const file = writeAdapter('partial-site', ['login', 'listItems']);
+        assert.throws(() => resolveSiteAdapter(file), new RegExp(`Site adapter ".*partial-site\\.js" is missing: isLoggedIn, openItem, fetchPdf$`));
+        assert.throws(() => validateAdapter(null, 'none'), /is missing: login, isLoggedIn, listItems, openItem, fetchPdf/);
+    });
+});
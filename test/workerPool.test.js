@@ -0,0 +1,88 @@
+/**
+ * Worker pool tests: page count, concurrency limit, task order and cleanup
+ */
+'use strict';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { runWorkerPool } = require('../utils/workerPool');
+
+/**
+ * Session whose context hands out numbered fake pages
+ */
+function fakeSession() {
+    const pages = [];
+    const newPage = () => {
+        const page = { id: pages.length + 1, closed: false, close: async () => { page.closed = true; } };
+        pages.push(page);
+        return page;
+    };
+    return { page: newPage(), context: { newPage: async () => newPage() }, pages };
+}
+
+/**
+ * Handler that records which page ran which task and the highest concurrency seen
+ */
+function trackingHandler() {
+    const state = { active: 0, maxActive: 0, runs: [] };
+    state.handler = async (page, task, index) => {
+        state.active++;
+        state.maxActive = Math.max(state.maxActive, state.active);
+        state.runs.push([task, page.id, index]);
+        // Let every worker start its next task before this one ends
+        await new Promise(resolve => setImmediate(resolve));
+        state.active--;
+    };
+    return state;
+}
+
+describe('worker pool', () => {
+    test('runs every task once with at most `workers` at a time', async () => {
+        const session = fakeSession();
+        const tracker = trackingHandler();
+        const tasks = ['a', 'b', 'c', 'd', 'e', 'f', 'g'];
+
+        await runWorkerPool(session, tasks, tracker.handler, { workers: 3 });
+
+        assert.strictEqual(tracker.maxActive, 3);
+        assert.deepStrictEqual(tracker.runs.map(([task]) => task).sort(), tasks);
+        assert.deepStrictEqual(tracker.runs.map(([, , index]) => index).sort(), [0, 1, 2, 3, 4, 5, 6]);
+        // The first round goes to the three pages in order
+        assert.deepStrictEqual(tracker.runs.slice(0, 3).map(([task, page]) => [task, page]), [['a', 1], ['b', 2], ['c', 3]]);
+        assert.deepStrictEqual(new Set(tracker.runs.map(([, page]) => page)), new Set([1, 2, 3]));
+    });
+
+    test('opens no more pages than tasks, and closes only the pages it opened', async () => {
+        const session = fakeSession();
+        const tracker = trackingHandler();
+
+        await runWorkerPool(session, ['a', 'b'], tracker.handler, { workers: 5 });
+
+        assert.strictEqual(session.pages.length, 2);
+        assert.deepStrictEqual(session.pages.map(page => page.closed), [false, true]);
+        assert.strictEqual(tracker.maxActive, 2);
+
+        const single = fakeSession();
+        await runWorkerPool(single, [], trackingHandler().handler, { workers: 4 });
+        assert.strictEqual(single.pages.length, 1);
+    });
+
+    test('every page is attached to the shared limiter', async () => {
+        const session = fakeSession();
+        const attached = [];
+        await runWorkerPool(session, ['a', 'b', 'c'], async () => {}, { workers: 2, limiter: { attach: page => attached.push(page.id) } });
+        assert.deepStrictEqual(attached, [1, 2]);
+    });
+
+    test('a failing task stops the pool and still closes the extra pages', async () => {
+        const session = fakeSession();
+        const handler = async (page, task) => {
+            await new Promise(resolve => setImmediate(resolve));
+            if (task === 'b') throw new Error('boom');
+        };
+        await assert.rejects(runWorkerPool(session, ['a', 'b', 'c', 'd'], handler, { workers: 2 }), /boom/);
+        assert.deepStrictEqual(session.pages.map(page => page.closed), [false, true]);
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Archive deduper
+ * Finds byte-identical PDFs in an existing archive and collapses them into
+ * hardlinks to one copy in the content store (see contentStore.js)
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const { listPdfFiles } = require('./archiveRenamer');
+const { hashFile } = require('./downloadLedger');
+const { getDedupeOptions, addToStore, findOrphanObjects } = require('./contentStore');
+const { createLogger } = require('./logger');
+const log = createLogger('dedupe');
+
+/**
+ * Scan an archive for duplicate content
+ * A group is reported when files with the same SHA-256 are separate copies on
+ * disk (files already hardlinked to each other count as one copy).
+ * With `apply`, every file is added to the store, which turns the extra copies
+ * into hardlinks, and stored objects no file links to any more are removed.
+ * @param {string} downloadDir - Download directory path
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] - Collapse the duplicates (default: only report)
+ * @returns {Promise<{files: number, groups: Array<{sha256: string, size: number, copies: number, files: string[]}>, reclaimable: number, linked: number, orphans: string[]}>}
+ *   reclaimable: bytes taken by extra copies; linked: files replaced by a hardlink; orphans: unused stored objects
+ */
+async function dedupeArchive(downloadDir, { apply = false } = {}) {
+    const { storeDir } = getDedupeOptions(downloadDir);
+    const files = await listPdfFiles(downloadDir);
+    const byHash = new Map();
+
+    for (const file of files) {
+        const stat = await fs.stat(file);
+        const sha256 = await hashFile(file);
+        if (!byHash.has(sha256)) byHash.set(sha256, []);
+        byHash.get(sha256).push({ file, size: stat.size, inode: `${stat.dev}:${stat.ino}` });
+    }
+
+    const groups = [];
+    for (const [sha256, copies] of byHash) {
+        const inodes = new Set(copies.map(copy => copy.inode)).size;
+        if (inodes < 2) continue;
+        groups.push({ sha256, size: copies[0].size, copies: inodes, files: copies.map(copy => copy.file).sort() });
+    }
+    const reclaimable = groups.reduce((sum, group) => sum + group.size * (group.copies - 1), 0);
+
+    for (const group of groups) {
+        log.info(`${apply ? 'Link' : 'Duplicate'} (${group.copies} copies, ${group.sha256.slice(0, 12)}):`, group.files.join(', '));
+    }
+
+    let linked = 0;
+    if (apply) {
+        for (const [sha256, copies] of byHash) {
+            for (const { file } of copies) {
+                const stored = await addToStore(file, { storeDir, sha256 });
+                if (stored.duplicate && stored.linked) linked++;
+            }
+        }
+    }
+
+    const orphans = await findOrphanObjects(storeDir);
+    for (const object of orphans) {
+        log.info(`${apply ? 'Remove' : 'Unused'} stored object:`, object);
+        if (apply) await fs.rm(object, { force: true });
+    }
+
+    return { files: files.length, groups, reclaimable, linked, orphans };
+}
+
+module.exports = {
+    dedupeArchive
+};
@@ -0,0 +1,148 @@
+/**
+ * Archive renamer
+ * Moves existing PDFs (and their sidecars) to the layout of a new filename template
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { renderTemplate, validateTemplate, reserveUniquePath, releasePath } = require('./pathTemplate');
+const { getSidecarPath, rebuildDayIndexes, toRelative } = require('./paperMetadata');
+const { QUARANTINE_DIR } = require('./pdfValidator');
+const { STORE_DIR_NAME } = require('./contentStore');
+const { BOOKLETS_DIR_NAME } = require('./bookletBuilder');
+const { createLogger } = require('./logger');
+const log = createLogger('rename');
+
+// Default layout before sidecars existed: P1-中-2025-10-02-12345.pdf
+const LEGACY_NAME = /^(P\d)-(.+?)-(\d{4}-\d{2}-\d{2})(?:-([^.]+))?\.pdf$/i;
+
+// Top-level folders holding PDFs that are not archive papers
+const SKIP_DIRS = [QUARANTINE_DIR, STORE_DIR_NAME, BOOKLETS_DIR_NAME];
+
+/**
+ * List all PDFs under a directory (quarantine, content store and booklets excluded)
+ * @param {string} dir - Directory
+ * @param {string} root - Download directory (for the quarantine check)
+ * @returns {Promise<string[]>} File paths
+ */
+async function listPdfFiles(dir, root = dir) {
+    const files = [];
+    let entries = [];
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return files;
+        throw error;
+    }
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (dir === root && SKIP_DIRS.includes(entry.name)) continue;
+            files.push(...await listPdfFiles(full, root));
+        } else if (entry.isFile() && /\.pdf$/i.test(entry.name)) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+/**
+ * Read the record describing a PDF: its sidecar, else the legacy file name
+ * @param {string} filePath - PDF path
+ * @returns {Promise<{record: Object|null, hasSidecar: boolean}>}
+ */
+async function readRecord(filePath) {
+    try {
+        const record = JSON.parse(await fs.readFile(getSidecarPath(filePath), 'utf8'));
+        return { record, hasSidecar: true };
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn('Unreadable sidecar, falling back to file name:', getSidecarPath(filePath));
+        }
+    }
+    const match = LEGACY_NAME.exec(path.basename(filePath));
+    if (!match) return { record: null, hasSidecar: false };
+    const [, grade, subject, date, id] = match;
+    return { record: { grade, subject, date, id: id || null }, hasSidecar: false };
+}
+
+/**
+ * Remove empty folders left behind after moves (never the download dir itself)
+ * @param {string} dir - Folder to start from
+ * @param {string} root - Download directory
+ */
+async function pruneEmptyDirs(dir, root) {
+    let current = path.resolve(dir);
+    const stop = path.resolve(root);
+    while (current.startsWith(stop) && current !== stop) {
+        const entries = await fs.readdir(current).catch(() => null);
+        if (!entries || entries.length > 0) return;
+        await fs.rmdir(current);
+        current = path.dirname(current);
+    }
+}
+
+/**
+ * Rename an archive to a new template
+ * @param {string} downloadDir - Download directory path
+ * @param {string} template - New filename template
+ * @param {Object} [options]
+ * @param {boolean} [options.apply] - Perform the moves (default: only plan)
+ * @param {Object} [options.ledger] - Download ledger to keep in sync
+ * @returns {Promise<{moves: Array<{from: string, to: string}>, skipped: string[]}>}
+ */
+async function renameArchive(downloadDir, template, { apply = false, ledger } = {}) {
+    validateTemplate(template);
+    const moves = [];
+    const skipped = [];
+    const records = [];
+    
+    for (const from of await listPdfFiles(downloadDir)) {
+        const { record, hasSidecar } = await readRecord(from);
+        if (!record) {
+            log.warn('Skip (no sidecar, unknown name pattern):', from);
+            skipped.push(from);
+            continue;
+        }
+        
+        const desired = path.join(downloadDir, renderTemplate(template, record));
+        const to = desired === from ? from : reserveUniquePath(desired, { allowExisting: from });
+        if (to !== from) moves.push({ from, to, record, hasSidecar });
+        if (hasSidecar) records.push({ record, path: to });
+    }
+    
+    for (const move of moves) {
+        log.info(`${apply ? 'Move' : 'Would move'}: ${move.from} -> ${move.to}`);
+        if (!apply) {
+            releasePath(move.to);
+            continue;
+        }
+        
+        await fs.mkdir(path.dirname(move.to), { recursive: true });
+        await fs.rename(move.from, move.to);
+        if (move.hasSidecar) {
+            await fs.rename(getSidecarPath(move.from), getSidecarPath(move.to));
+        }
+        releasePath(move.to);
+        if (ledger && move.record.id) await ledger.relocate(move.record.id, move.to);
+        await pruneEmptyDirs(path.dirname(move.from), downloadDir);
+    }
+    
+    if (apply && moves.length > 0) {
+        // Sidecars and day indexes refer to files relative to the download dir
+        for (const { record, path: filePath } of records) {
+            record.file = toRelative(downloadDir, filePath);
+            await fs.writeFile(getSidecarPath(filePath), JSON.stringify(record, null, 2));
+        }
+        const moved = new Map(moves.map(({ from, to }) => [toRelative(downloadDir, from), toRelative(downloadDir, to)]));
+        await rebuildDayIndexes(downloadDir, records.map(r => r.record), { moved });
+    }
+    
+    return { moves: moves.map(({ from, to }) => ({ from, to })), skipped };
+}
+
+module.exports = {
+    renameArchive,
+    listPdfFiles
+};
@@ -0,0 +1,386 @@
+/**
+ * Printable booklets
+ * Merges a day's papers of one grade into a single PDF in subject order
+ * (config `subjects`, by default 中 英 數 常), with a generated cover page
+ * listing titles, ids and page numbers, and bookmarks per subject.
+ * A bundle over several date folders (e.g. a week) gets bookmarks per day.
+ * Papers are found through the day indexes (`<downloadDir>/<date>/index.json`).
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { PDFDocument, PDFName, PDFHexString, StandardFonts, rgb } = require('pdf-lib');
+const { getConfig } = require('./config');
+const { getSubjects } = require('./navigationHandler');
+const { getDayIndexPath } = require('./paperMetadata');
+const { parseDateKey, toDateKey } = require('./holidayCalendar');
+const { createLogger } = require('./logger');
+const log = createLogger('booklet');
+
+const BOOKLETS_DIR_NAME = 'booklets';
+const PAGE_SIZE = [595.28, 841.89]; // A4
+const MARGIN = 56;
+
+/**
+ * Booklet options (config `booklet`)
+ * @param {string} downloadDir - Download directory
+ * @returns {{enabled: boolean, dir: string, cover: boolean, bookmarks: boolean, font: string|null}}
+ */
+function getBookletOptions(downloadDir) {
+    const { booklet } = getConfig();
+    return { ...booklet, dir: booklet.dir || path.join(downloadDir, BOOKLETS_DIR_NAME) };
+}
+
+/**
+ * Papers recorded in a day index
+ * @param {string} downloadDir - Download directory
+ * @param {string} date - Date folder (YYYY-MM-DD)
+ * @returns {Promise<Object[]>} Sidecar records (empty when the day has no index)
+ */
+async function readDayPapers(downloadDir, date) {
+    try {
+        const { papers = [] } = JSON.parse(await fs.readFile(getDayIndexPath(downloadDir, date), 'utf8'));
+        return papers;
+    } catch (error) {
+        if (error.code !== 'ENOENT') log.warn(`Day index ${date} unreadable:`, error?.message || error);
+        return [];
+    }
+}
+
+/**
+ * Monday to Sunday of the week holding a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {{from: string, to: string}}
+ */
+function weekOf(date) {
+    const day = parseDateKey(date);
+    const monday = new Date(day.getFullYear(), day.getMonth(), day.getDate() - ((day.getDay() + 6) % 7));
+    const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+    return { from: toDateKey(monday), to: toDateKey(sunday) };
+}
+
+/**
+ * One section per configured subject, in config order, holding that subject's papers
+ * (subjects not in the config come last)
+ * @param {Object[]} papers - Sidecar records of one grade
+ * @returns {Array<{subject: string, english: string, papers: Object[]}>}
+ */
+function subjectSections(papers) {
+    const subjects = getSubjects();
+    const order = Object.keys(subjects);
+    const extra = [...new Set(papers.map(p => p.subject))].filter(s => !order.includes(s));
+    return [...order, ...extra].map(subject => ({
+        subject,
+        english: subjects[subject] || subject,
+        papers: papers
+            .filter(p => p.subject === subject)
+            .sort((a, b) => (a.n ?? 0) - (b.n ?? 0) || String(a.file).localeCompare(String(b.file)))
+    }));
+}
+
+/**
+ * Text the font can draw within a width; other characters become "?",
+ * too long text is cut with "..."
+ * @param {Object} cover - {font, charset} from embedCoverFont
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @param {number} width - Available width
+ * @returns {string}
+ */
+function fitText({ font, charset }, text, size, width) {
+    let fitted = Array.from(String(text)).map(ch => (charset.has(ch.codePointAt(0)) ? ch : '?')).join('');
+    while (fitted.length > 3 && font.widthOfTextAtSize(fitted, size) > width) {
+        fitted = `${Array.from(fitted).slice(0, -4).join('')}...`;
+    }
+    return fitted;
+}
+
+/**
+ * Embed the cover font: config `booklet.font` (a TTF/OTF with CJK glyphs), else Helvetica
+ * @param {PDFDocument} doc - Target document
+ * @param {string|null} fontFile - Font path
+ * @returns {Promise<{font: Object, charset: Set<number>, custom: boolean}>}
+ */
+async function embedCoverFont(doc, fontFile) {
+    if (fontFile) {
+        try {
+            doc.registerFontkit(require('@pdf-lib/fontkit'));
+            const font = await doc.embedFont(await fs.readFile(fontFile), { subset: true });
+            return { font, charset: new Set(font.getCharacterSet()), custom: true };
+        } catch (error) {
+            log.warn('Booklet font not usable, using Helvetica:', error?.message || error);
+        }
+    }
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    return { font, charset: new Set(font.getCharacterSet()), custom: false };
+}
+
+/**
+ * Add an outline (bookmark tree) to a document
+ * @param {PDFDocument} doc - Document
+ * @param {Array<{title: string, page: number, children?: Array}>} items - Top-level items (page is 0-based)
+ */
+function addOutline(doc, items) {
+    const { context } = doc;
+    const pages = doc.getPages();
+
+    // Returns the first/last refs and the number of visible descendants
+    const build = (list, parentRef) => {
+        const refs = list.map(() => context.nextRef());
+        let count = 0;
+        list.forEach((item, i) => {
+            const dict = context.obj({
+                Title: PDFHexString.fromText(item.title),
+                Parent: parentRef,
+                Dest: [pages[item.page].ref, 'Fit']
+            });
+            if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+            if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+            count++;
+            if (item.children?.length) {
+                const sub = build(item.children, refs[i]);
+                dict.set(PDFName.of('First'), sub.first);
+                dict.set(PDFName.of('Last'), sub.last);
+                dict.set(PDFName.of('Count'), context.obj(sub.count));
+                count += sub.count;
+            }
+            context.assign(refs[i], dict);
+        });
+        return { first: refs[0], last: refs[refs.length - 1], count };
+    };
+
+    const outlinesRef = context.nextRef();
+    const top = build(items, outlinesRef);
+    context.assign(outlinesRef, context.obj({ Type: 'Outlines', First: top.first, Last: top.last, Count: top.count }));
+    doc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Split cover lines into pages
+ * @param {Array<{size: number, gap?: number}>} lines - Lines with font size and space above
+ * @returns {Array<Array>} Lines per page
+ */
+function paginateLines(lines) {
+    const pages = [[]];
+    let used = 0;
+    for (const line of lines) {
+        const height = line.size * 1.5 + (line.gap || 0);
+        if (used + height > PAGE_SIZE[1] - 2 * MARGIN && pages[pages.length - 1].length) {
+            pages.push([]);
+            used = 0;
+        }
+        pages[pages.length - 1].push(line);
+        used += height;
+    }
+    return pages;
+}
+
+/**
+ * Merge papers into one booklet
+ * @param {Object} booklet
+ * @param {string} booklet.heading - Cover heading
+ * @param {Array<{label: string|null, sections: Array}>} booklet.groups - Groups (days) of subject sections;
+ *   a null label means a single day without a bookmark level of its own
+ * @param {string} booklet.downloadDir - Download directory (paper `file` paths are relative to it)
+ * @param {string} booklet.outFile - Output PDF
+ * @param {Object} booklet.options - From getBookletOptions
+ * @returns {Promise<{file: string, pages: number, papers: number}|null>} Null when no paper could be read
+ */
+async function buildBooklet({ heading, groups, downloadDir, outFile, options }) {
+    const doc = await PDFDocument.create();
+    doc.setTitle(heading);
+    doc.setCreator('auto-download-pdf');
+
+    // Load every paper first; unreadable ones are listed on the cover but left out
+    const papers = groups.flatMap(group => group.sections.flatMap(section => section.papers));
+    for (const paper of papers) {
+        try {
+            paper.source = await PDFDocument.load(await fs.readFile(path.join(downloadDir, paper.file)), { ignoreEncryption: true });
+        } catch (error) {
+            paper.problem = error.code === 'ENOENT' ? 'missing' : 'unreadable';
+            log.warn(`Paper ${paper.id || paper.file} ${paper.problem}, left out of the booklet:`, error?.message || error);
+        }
+    }
+    const included = papers.filter(paper => paper.source);
+    if (included.length === 0) return null;
+
+    // Cover lines (page numbers are filled in once the cover length is known)
+    const cover = await embedCoverFont(doc, options.cover ? options.font : null);
+    const { font, custom } = cover;
+    const sectionLabel = section => (custom ? `${section.subject} ${section.english}` : section.english);
+    const lines = [{ text: heading, size: 20 }];
+    for (const group of groups) {
+        if (group.label) lines.push({ text: group.label, size: 14, gap: 10 });
+        for (const section of group.sections) {
+            lines.push({ text: sectionLabel(section), size: 12, gap: 6, indent: group.label ? 12 : 0 });
+            if (section.papers.length === 0) {
+                lines.push({ text: 'not downloaded', size: 10, indent: group.label ? 24 : 12, muted: true });
+            }
+            for (const paper of section.papers) {
+                lines.push({ text: `${paper.title || 'Paper'}${paper.id ? `  (id ${paper.id})` : ''}`, size: 10, indent: group.label ? 24 : 12, paper });
+            }
+        }
+    }
+    const coverPages = options.cover ? paginateLines(lines) : [];
+    coverPages.forEach(() => doc.addPage(PAGE_SIZE));
+
+    // Paper pages, remembering where each paper starts
+    for (const paper of included) {
+        paper.page = doc.getPageCount();
+        const copied = await doc.copyPages(paper.source, paper.source.getPageIndices());
+        copied.forEach(page => doc.addPage(page));
+    }
+
+    coverPages.forEach((pageLines, i) => {
+        const page = doc.getPage(i);
+        let y = PAGE_SIZE[1] - MARGIN;
+        for (const line of pageLines) {
+            y -= line.size * 1.5 + (line.gap || 0);
+            const color = line.muted ? rgb(0.45, 0.45, 0.45) : rgb(0, 0, 0);
+            const width = PAGE_SIZE[0] - 2 * MARGIN - (line.indent || 0) - 60;
+            page.drawText(fitText(cover, line.text, line.size, width), { x: MARGIN + (line.indent || 0), y, size: line.size, font, color });
+            if (line.paper) {
+                const right = line.paper.source ? `p. ${line.paper.page + 1}` : line.paper.problem;
+                page.drawText(right, { x: PAGE_SIZE[0] - MARGIN - font.widthOfTextAtSize(right, line.size), y, size: line.size, font, color });
+            }
+        }
+    });
+
+    if (options.bookmarks) {
+        const firstPage = list => list.map(paper => paper.page).find(page => page !== undefined);
+        const sectionItems = sections => sections
+            .filter(section => firstPage(section.papers) !== undefined)
+            .map(section => ({
+                title: `${section.subject} ${section.english}`,
+                page: firstPage(section.papers),
+                children: section.papers.length > 1
+                    ? section.papers.filter(p => p.source).map(p => ({ title: p.title || p.id || p.file, page: p.page }))
+                    : []
+            }));
+        const items = coverPages.length ? [{ title: 'Cover', page: 0 }] : [];
+        for (const group of groups) {
+            const children = sectionItems(group.sections);
+            if (children.length === 0) continue;
+            if (group.label) items.push({ title: group.label, page: children[0].page, children });
+            else items.push(...children);
+        }
+        addOutline(doc, items);
+    }
+
+    await fs.mkdir(path.dirname(outFile), { recursive: true });
+    const tmpPath = `${outFile}.tmp`;
+    await fs.writeFile(tmpPath, await doc.save());
+    await fs.rename(tmpPath, outFile);
+    return { file: outFile, pages: doc.getPageCount(), papers: included.length };
+}
+
+/**
+ * Grades to build for: the given list, else every grade with papers
+ * @param {Object[]} papers - Sidecar records
+ * @param {string[]} [grades] - Requested grades
+ * @returns {string[]}
+ */
+function gradesOf(papers, grades) {
+    const present = [...new Set(papers.map(p => p.grade))];
+    const order = getConfig().grades;
+    return (grades && grades.length ? grades : present)
+        .filter(grade => present.includes(grade))
+        .sort((a, b) => order.indexOf(a) - order.indexOf(b));
+}
+
+/**
+ * Build one booklet per grade for a day: `<booklet.dir>/<grade>-<date>.pdf`
+ * @param {string} downloadDir - Download directory
+ * @param {string} date - Date folder (YYYY-MM-DD)
+ * @param {Object} [filter]
+ * @param {string[]} [filter.grades] - Only these grades (default: every grade with papers that day)
+ * @returns {Promise<Array<{grade: string, file: string, pages: number, papers: number}>>} Built booklets
+ */
+async function buildDayBooklets(downloadDir, date, { grades } = {}) {
+    const options = getBookletOptions(downloadDir);
+    const papers = await readDayPapers(downloadDir, date);
+    const built = [];
+    for (const grade of gradesOf(papers, grades)) {
+        const result = await buildBooklet({
+            heading: `${grade} papers ${date}`,
+            groups: [{ label: null, sections: subjectSections(papers.filter(p => p.grade === grade)) }],
+            downloadDir,
+            outFile: path.join(options.dir, `${grade}-${date}.pdf`),
+            options
+        });
+        if (result) built.push({ grade, ...result });
+    }
+    if (built.length === 0) log.warn(`No papers for a booklet on ${date}`);
+    return built;
+}
+
+/**
+ * Build one bundle per grade over the date folders from..to (e.g. a week):
+ * `<booklet.dir>/<grade>-<from>_<to>.pdf`, with bookmarks per day and subject
+ * @param {string} downloadDir - Download directory
+ * @param {string} from - First date (YYYY-MM-DD)
+ * @param {string} to - Last date (YYYY-MM-DD)
+ * @param {Object} [filter]
+ * @param {string[]} [filter.grades] - Only these grades
+ * @returns {Promise<Array<{grade: string, file: string, pages: number, papers: number}>>} Built bundles
+ */
+async function buildRangeBooklets(downloadDir, from, to, { grades } = {}) {
+    if (parseDateKey(to) < parseDateKey(from)) {
+        throw new Error(`Invalid date range ${from}..${to}`);
+    }
+    const options = getBookletOptions(downloadDir);
+    const days = [];
+    for (let day = parseDateKey(from); day <= parseDateKey(to); day.setDate(day.getDate() + 1)) {
+        const papers = await readDayPapers(downloadDir, toDateKey(day));
+        if (papers.length) days.push({ date: toDateKey(day), papers });
+    }
+
+    const built = [];
+    for (const grade of gradesOf(days.flatMap(day => day.papers), grades)) {
+        const groups = days
+            .map(day => ({ label: day.date, sections: subjectSections(day.papers.filter(p => p.grade === grade)) }))
+            .filter(group => group.sections.some(section => section.papers.length));
+        const result = await buildBooklet({
+            heading: `${grade} papers ${from} to ${to}`,
+            groups,
+            downloadDir,
+            outFile: path.join(options.dir, `${grade}-${from}_${to}.pdf`),
+            options
+        });
+        if (result) built.push({ grade, ...result });
+    }
+    if (built.length === 0) log.warn(`No papers for a bundle from ${from} to ${to}`);
+    return built;
+}
+
+/**
+ * Rebuild the day booklets after a run (config `booklet.enabled`); never throws
+ * @param {string} downloadDir - Download directory
+ * @param {string[]} dates - Date folders that got new papers
+ * @param {string[]} [grades] - Grades of the run
+ * @returns {Promise<string[]>} Booklet files
+ */
+async function buildBookletsAfterRun(downloadDir, dates, grades) {
+    const files = [];
+    for (const date of dates) {
+        try {
+            const built = await buildDayBooklets(downloadDir, date, { grades });
+            built.forEach(b => log.info(`Booklet ${b.grade} ${date}: ${b.papers} paper(s), ${b.pages} pages:`, b.file));
+            files.push(...built.map(b => b.file));
+        } catch (error) {
+            log.error(`Booklets for ${date} failed:`, error?.message || error);
+        }
+    }
+    return files;
+}
+
+module.exports = {
+    getBookletOptions,
+    weekOf,
+    buildDayBooklets,
+    buildRangeBooklets,
+    buildBookletsAfterRun,
+    BOOKLETS_DIR_NAME
+};
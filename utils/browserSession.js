@@ -0,0 +1,165 @@
+/**
+ * Browser session helpers
+ * Launches Playwright, opens a page and logs in through the site adapter;
+ * in HTTP-only mode opens a browserless session instead (see httpSession.js)
+ */
+'use strict';
+
+const { chromium } = require('playwright');
+const { getConfig } = require('./config');
+const { resolveSiteAdapter } = require('./siteAdapter');
+const { getSessionPath, findStorageState, saveStorageState, clearStorageState } = require('./sessionStore');
+const { openHttpSession } = require('./httpSession');
+const { getProfile, getProfileEnvPrefix } = require('./profiles');
+const { createLogger } = require('./logger');
+const log = createLogger('session');
+
+/**
+ * Read and validate login settings from env
+ * The single account uses USERNAME1 (USERNAME is taken by the OS on Windows) and PASSWORD;
+ * a profile uses PROFILE_<NAME>_USERNAME (or `profiles.<name>.username`) and PROFILE_<NAME>_PASSWORD
+ * @param {string|null} [profileName] - Credential profile (see profiles.js)
+ * @returns {{username: string, password: string, loginUrl: string, downloadDir: string}}
+ */
+function readLoginEnv(profileName = null) {
+    const profile = profileName ? getProfile(profileName) : null;
+    const prefix = profile ? getProfileEnvPrefix(profile.name) : '';
+    const usernameVar = profile ? `${prefix}USERNAME` : 'USERNAME1';
+    const passwordVar = profile ? `${prefix}PASSWORD` : 'PASSWORD';
+    const username = (profile && profile.username) || process.env[usernameVar];
+    const password = process.env[passwordVar];
+    const loginUrl = process.env.LOGIN_URL;
+    const downloadDir = profile ? profile.downloadDir : getConfig().downloadDir;
+    
+    const missing = [[usernameVar, username], [passwordVar, password], ['LOGIN_URL', loginUrl]]
+        .filter(([, value]) => !value)
+        .map(([name]) => name);
+    if (missing.length) {
+        throw new Error(`Missing env: ${missing.join(', ')}`);
+    }
+    
+    return { username, password, loginUrl, downloadDir };
+}
+
+/**
+ * Launch browser, open a page and log in.
+ * A saved session is tried first; the login form is only used when it is missing or expired.
+ * @param {Object} options
+ * @param {string} options.loginUrl - Login page URL
+ * @param {string} options.username - User email
+ * @param {string} options.password - User password
+ * @param {boolean} [options.headless] - Run browser headless (default: config `browser.headless`)
+ * @param {string|null} [options.sessionFile] - Saved session file (default: SESSION_FILE env)
+ * @param {Object} [options.adapter] - Site adapter doing the login (default: configured adapter)
+ * @returns {Promise<{browser: Object, context: Object, page: Object, baseUrl: string, adapter: Object}>} Session
+ */
+async function openSession({ loginUrl, username, password, headless, sessionFile = getSessionPath(), adapter = resolveSiteAdapter() }) {
+    const session = { browser: null, context: null, page: null, baseUrl: new URL(loginUrl).origin, adapter };
+    const browserOptions = getConfig().browser;
+    
+    try {
+        log.info('Launching browser...');
+        session.browser = await chromium.launch({ 
+            headless: headless ?? browserOptions.headless,
+            slowMo: browserOptions.slowMo // Delay between actions, easier to watch
+        });
+        
+        const storageState = await findStorageState(sessionFile);
+        session.context = await session.browser.newContext({
+            acceptDownloads: true,
+            viewport: { ...browserOptions.viewport },
+            ...(storageState ? { storageState } : {})
+        });
+        
+        session.page = await session.context.newPage();
+        
+        // Reuse saved session if the site still shows us as logged in
+        if (storageState) {
+            log.info('Try saved session:', sessionFile);
+            await session.page.goto(session.baseUrl, { waitUntil: 'networkidle' });
+            if (await adapter.isLoggedIn(session.page)) {
+                log.info('Saved session valid, skip login');
+                return session;
+            }
+            log.info('Saved session expired, logging in again');
+            await session.context.clearCookies();
+            await clearStorageState(sessionFile);
+        }
+        
+        const loginSuccess = await adapter.login(session.page, { loginUrl, username, password });
+        if (!loginSuccess) {
+            throw new Error('Login failed');
+        }
+        
+        try {
+            await saveStorageState(session.context, sessionFile);
+        } catch (error) {
+            log.warn('Could not save session state:', error?.message || error);
+        }
+        
+        return session;
+    } catch (error) {
+        await closeSession(session);
+        throw error;
+    }
+}
+
+/**
+ * Open the session for a run.
+ * HTTP-only mode (config `http.enabled` / HTTP_ONLY, or `http`) uses the adapter's
+ * `httpAdapter` without a browser; its `fallback()` opens the browser session on
+ * first use (config `http.fallback`) for combinations whose HTML did not match.
+ * When the login page itself does not match, the whole run uses the browser.
+ * @param {Object} options - As openSession, plus:
+ * @param {boolean} [options.http] - HTTP-only mode (default: config `http.enabled`)
+ * @returns {Promise<Object>} Session from openSession or openHttpSession (with `fallback` in HTTP-only mode)
+ */
+async function openRunSession({ http = getConfig().http.enabled, ...options }) {
+    const adapter = options.adapter || resolveSiteAdapter();
+    if (http && !adapter.httpAdapter) {
+        log.warn(`Site adapter ${adapter.name} has no HTTP-only variant, using the browser`);
+    } else if (http) {
+        const fallbackEnabled = getConfig().http.fallback;
+        try {
+            const session = await openHttpSession({ ...options, adapter: adapter.httpAdapter });
+            if (fallbackEnabled) {
+                let browserSession = null;
+                session.fallback = () => {
+                    browserSession = browserSession || openSession({ ...options, adapter });
+                    return browserSession;
+                };
+                session.closeFallback = async () => {
+                    if (browserSession) await closeSession(await browserSession.catch(() => null));
+                };
+            }
+            return session;
+        } catch (error) {
+            if (error.kind !== 'markup' || !fallbackEnabled) throw error;
+            log.warn('Login page does not match the HTTP-only adapter, using the browser:', error.message);
+        }
+    }
+    return openSession({ ...options, adapter });
+}
+
+/**
+ * Close page, context and browser of a session (ignores missing parts),
+ * and the browser fallback of an HTTP-only session
+ * @param {Object} session - Session from openSession or openRunSession
+ */
+async function closeSession(session) {
+    if (!session) return;
+    if (session.closeFallback) await session.closeFallback();
+    if (session.page) await session.page.close();
+    if (session.context) await session.context.close();
+    if (session.browser) {
+        await session.browser.close();
+        log.info('Browser closed');
+    }
+}
+
+module.exports = {
+    readLoginEnv,
+    openSession,
+    openRunSession,
+    closeSession
+};
@@ -0,0 +1,344 @@
+/**
+ * Combination runner shared by the daily run and backfill
+ * Processes grade/subject/N tasks in the worker pool with per-step retries,
+ * a final retry pass over failed tasks and, in HTTP-only mode, a browser pass
+ * over tasks whose HTML did not match
+ */
+'use strict';
+
+const crypto = require('crypto');
+const path = require('path');
+const { extractPaperMetadata, writePaperMetadata } = require('./paperMetadata');
+const { dedupeDownload } = require('./contentStore');
+const { StepError, classifyError } = require('./errors');
+const { withRetry } = require('./retryPolicy');
+const { runWorkerPool } = require('./workerPool');
+const { selectItems, describeSelection, itemsNeeded } = require('./itemSelector');
+const { artifactName, captureFailure, startTracing } = require('./failureArtifacts');
+const { createLogger, withLogContext } = require('./logger');
+const log = createLogger('runner');
+
+/**
+ * Create an empty run summary
+ * `results` gets one entry per selected item: {grade, subject, n, date, status, item, title, id,
+ * filePath, strategy, size, sha256, duplicateOf, retries, durationMs} with status downloaded | known | planned,
+ * plus one entry per failed task (status failed, with step, kind, message and artifacts)
+ * @returns {Object} Summary
+ */
+function createSummary() {
+    const startedAt = new Date();
+    return {
+        ok: false,
+        runId: `${startedAt.toISOString().replace(/[-:]/g, '').replace(/\..*$/, '')}-${crypto.randomBytes(2).toString('hex')}`,
+        startedAt: startedAt.toISOString(),
+        finishedAt: null,
+        total: 0,
+        downloaded: 0,
+        known: 0,
+        duplicates: 0,
+        failed: 0,
+        retries: 0,
+        strategies: {},
+        failures: [],
+        results: []
+    };
+}
+
+/**
+ * Process one task: open list, select items (see itemSelector.js), then for each
+ * selected item skip it if known, else open it and download
+ * Site-specific steps go through ctx.adapter (see siteAdapter.js).
+ * Throws StepError when a step fails after its retries
+ * @param {Object} page - Playwright page object
+ * @param {{grade: string, subject: string, n: number, date?: string, select?: Object}} task - Task
+ *   (select defaults to the Nth item)
+ * @param {Object} ctx - Run context (adapter, baseUrl, ledger, downloadDir, strategies, template, limiter, policy, dryRun, summary)
+ * @param {{retries: number, items?: Map}} [stats] - Per-task counters, updated in place;
+ *   `items` collects each item's outcome as soon as it is known, so items done before
+ *   a later failure are not lost
+ * @returns {Promise<Array<{status: string, item: Object, id?: string, saved?: Object}>>} One outcome per
+ *   selected item, status: downloaded | known | planned
+ */
+async function processTask(page, task, ctx, stats = { retries: 0 }) {
+    const { adapter } = ctx;
+    const { grade, subject, n, date } = task;
+    const select = task.select || { mode: 'nth' };
+    const label = `${grade}-${subject} #${n}`;
+    const retryOptions = step => ({
+        label: `${label} ${step}`,
+        onRetry: () => {
+            ctx.summary.retries++;
+            stats.retries++;
+        }
+    });
+    // Run one step with retries; its log records carry the step name
+    const step = (name, fn) => withLogContext({ step: name }, () => withRetry(fn, ctx.policy, retryOptions(name)));
+    
+    const openList = async () => {
+        await ctx.limiter.acquire();
+        return adapter.listItems(page, { baseUrl: ctx.baseUrl, grade, subject, limit: itemsNeeded(select, n), limiter: ctx.limiter });
+    };
+    
+    // Open the list page for this combination
+    const items = await step('navigate', openList);
+    let onList = true;
+    
+    const selected = selectItems(items, select, task);
+    if (selected.length === 0) {
+        const reason = select.mode === 'nth'
+            ? `index ${n} out of range, items: ${items.length}`
+            : `no item matches ${describeSelection(select, n)}, items: ${items.length}`;
+        throw new StepError(reason, { step: 'select', kind: 'not-found' });
+    }
+    if (select.mode !== 'nth') {
+        log.info(`${label}: ${describeSelection(select, n)} selects item(s) ${selected.map(item => item.index).join(', ')}`);
+    }
+    
+    const processItem = async item => {
+        const itemLabel = select.mode === 'nth' ? label : `${grade}-${subject} item ${item.index}`;
+        
+        // Skip papers already recorded in the ledger
+        const itemId = item.id;
+        if (itemId && await ctx.ledger.has(itemId)) {
+            const entry = ctx.ledger.get(itemId);
+            log.info(`Skip ${itemLabel}: paper ${itemId} already downloaded`, entry.path);
+            return { status: 'known', item, id: itemId, saved: { id: itemId, filePath: entry.path, size: entry.size, sha256: entry.sha256 } };
+        }
+        
+        if (ctx.dryRun) {
+            log.info(`Would download ${itemLabel}:`, itemId ? `paper ${itemId}` : 'unknown id');
+            return { status: 'planned', item, id: itemId };
+        }
+        
+        // Open the item (retries start again from the list page, as do later items
+        // unless the adapter knows the item's list page URL)
+        await step('click', async attempt => {
+            if (attempt > 1 || (!onList && !item.pageUrl)) await openList();
+            onList = true;
+            await ctx.limiter.acquire();
+            await adapter.openItem(page, item);
+            onList = false;
+        });
+        
+        // Scrape metadata before download strategies may navigate away
+        const sourceUrl = page.url();
+        const metadata = await (adapter.readMetadata || extractPaperMetadata)(page);
+        
+        // Download PDF (retries reload the detail page for a fresh token)
+        const downloaded = await step('download', async attempt => {
+            if (attempt > 1) await page.reload({ waitUntil: 'networkidle' });
+            const result = await adapter.fetchPdf(page, {
+                grade,
+                subject,
+                downloadDir: ctx.downloadDir,
+                date,
+                strategies: ctx.strategies,
+                limiter: ctx.limiter,
+                template: ctx.template,
+                title: metadata.title,
+                n: item.index
+            });
+            if (!result) {
+                throw new StepError('all download strategies failed', { step: 'download', kind: 'download' });
+            }
+            return result;
+        });
+        
+        // Same content as an earlier paper: hardlink or ledger reference (see contentStore.js)
+        const saved = await dedupeDownload(downloaded, ctx);
+        const entry = await ctx.ledger.record({ id: saved.id, grade, subject, filePath: saved.filePath, sha256: saved.sha256, duplicateOf: saved.duplicateOf });
+        if (entry) Object.assign(saved, { size: entry.size, sha256: entry.sha256 });
+        try {
+            await writePaperMetadata({ saved, metadata, task: { ...task, n: item.index }, sourceUrl, downloadDir: ctx.downloadDir });
+        } catch (error) {
+            log.warn(`Metadata for ${itemLabel} not written:`, error?.message || error);
+        }
+        return { status: 'downloaded', item, saved };
+    };
+    
+    const outcomes = [];
+    for (const item of selected) {
+        const outcome = await processItem(item);
+        outcomes.push(outcome);
+        
+        // A paper downloaded in the first pass stays "downloaded" when the final pass finds it known
+        const key = item.id || `#${item.index}`;
+        if (stats.items && stats.items.get(key)?.status !== 'downloaded') stats.items.set(key, outcome);
+    }
+    return outcomes;
+}
+
+/**
+ * Run tasks through the worker pool, then retry failed ones once more
+ * @param {Object} session - Session from openSession or openRunSession
+ * @param {Array} tasks - Tasks ({grade, subject, n, date?})
+ * @param {Object} ctx - Run context (see processTask) plus workers, artifacts
+ *   ({enabled, trace, dir} from getArtifactOptions; omitted = no failure artifacts)
+ *   and fallback (session.fallback of an HTTP-only session: tasks failing with kind
+ *   "markup" are run again at the end through the browser session it opens)
+ * @returns {Promise<void>} Results are accumulated into ctx.summary
+ */
+async function runTasks(session, tasks, ctx) {
+    const { summary, artifacts } = ctx;
+    let failedTasks = [];
+    const deferred = [];
+    const taskStats = new Map(tasks.map(task => [task, { retries: 0, durationMs: 0, items: new Map() }]));
+    
+    // Traces are recorded per browser context, so traced runs use one page
+    let workers = ctx.workers;
+    const tracer = artifacts?.trace ? await startTracing(session.context) : null;
+    if (tracer) {
+        workers = 1;
+        log.info('Tracing each combination (one worker); traces are kept for failures in', artifacts.dir);
+    }
+    
+    /**
+     * Save screenshot / HTML / URL and the trace of a failed task
+     * @returns {Promise<Object|null>} Artifact paths
+     */
+    const saveArtifacts = async (page, task, error) => {
+        const name = artifactName(task, error.step);
+        const saved = artifacts?.enabled ? await captureFailure(page, { dir: artifacts.dir, name, error }) : null;
+        const trace = tracer
+            ? await tracer.keep(saved ? saved.info.replace(/\.json$/, '.trace.zip') : path.join(artifacts.dir, `${name}.trace.zip`))
+            : null;
+        if (!saved && !trace) return null;
+        const files = { ...saved, ...(trace ? { trace } : {}) };
+        log.error('Failure artifacts:', [files.screenshot, files.html, files.trace].filter(Boolean).join(', ') || files.info);
+        return files;
+    };
+    
+    // taskCtx is ctx, or ctx with the browser adapter in the fallback pass
+    const handler = (page, task, progress, taskCtx = ctx) => withLogContext({ combination: `${task.grade}-${task.subject} #${task.n}` }, async () => {
+        const { grade, subject, n } = task;
+        const stats = taskStats.get(task);
+        const started = Date.now();
+        log.info(`=== Process ${progress}: ${grade} - ${subject} #${n} ===`);
+        if (tracer && taskCtx === ctx) await tracer.begin(`${grade}-${subject} #${n}`);
+        
+        try {
+            await processTask(page, task, taskCtx, stats);
+            if (tracer) await tracer.discard();
+            stats.durationMs += Date.now() - started;
+        } catch (error) {
+            stats.durationMs += Date.now() - started;
+            const kind = classifyError(error);
+            const failure = { task, step: error.step || 'unknown', kind, message: error?.message || String(error) };
+            if (kind === 'markup' && ctx.fallback && taskCtx === ctx) {
+                log.warn(`${grade}-${subject} #${n}: page HTML does not match at ${failure.step}, will use the browser:`, failure.message);
+                if (tracer) await tracer.discard();
+                deferred.push(failure);
+                return;
+            }
+            log.error(`Failed ${grade}-${subject} #${n} at ${failure.step} (${kind}):`, failure.message);
+            failedTasks.push({ ...failure, artifacts: await saveArtifacts(page, task, error) });
+            
+            // Try to go back to main page
+            try {
+                await page.goto(ctx.baseUrl, { waitUntil: 'networkidle' });
+            } catch (navError) {
+                log.error('Failed to return to home:', navError?.message || navError);
+            }
+        }
+    });
+    
+    try {
+        await runWorkerPool(session, tasks, (page, task, i) => handler(page, task, `${i + 1}/${tasks.length}`), {
+            workers,
+            limiter: ctx.limiter
+        });
+        
+        // Final pass over failures that are worth another try
+        const retryable = failedTasks.filter(f => ctx.policy.retryOn.includes(f.kind));
+        if (ctx.policy.finalPass && retryable.length > 0) {
+            log.info(`=== Final retry pass: ${retryable.length} failed task(s) ===`);
+            failedTasks = failedTasks.filter(f => !retryable.includes(f));
+            summary.retries += retryable.length;
+            retryable.forEach(f => { taskStats.get(f.task).retries++; });
+            await runWorkerPool(session, retryable.map(f => f.task), (page, task, i) => handler(page, task, `retry ${i + 1}/${retryable.length}`), {
+                workers,
+                limiter: ctx.limiter
+            });
+        }
+        
+        // HTTP-only mode: combinations whose HTML did not match go through the browser
+        if (deferred.length > 0) {
+            log.info(`=== Browser fallback: ${deferred.length} task(s) ===`);
+            let browser = null;
+            try {
+                browser = await ctx.fallback();
+            } catch (error) {
+                log.error('Browser fallback not available:', error?.message || error);
+                const reason = String(error?.message || error).split('\n')[0];
+                failedTasks.push(...deferred.map(f => ({ ...f, message: `${f.message} (browser fallback failed: ${reason})` })));
+            }
+            if (browser) {
+                const browserCtx = { ...ctx, adapter: browser.adapter };
+                await runWorkerPool(browser, deferred.map(f => f.task), (page, task, i) => handler(page, task, `fallback ${i + 1}/${deferred.length}`, browserCtx), {
+                    workers: ctx.workers,
+                    limiter: ctx.limiter
+                });
+            }
+        }
+    } finally {
+        if (tracer) await tracer.stop();
+    }
+    
+    // One entry per selected item, plus one for a task that failed, in task order
+    const failedByTask = new Map(failedTasks.map(f => [f.task, f]));
+    for (const task of tasks) {
+        const { retries, durationMs, items } = taskStats.get(task);
+        const base = { grade: task.grade, subject: task.subject, n: task.n, date: task.date || null };
+        for (const { status, item, id, saved } of items.values()) {
+            summary.results.push({
+                ...base,
+                status,
+                item: item.index,
+                title: item.title || null,
+                id: saved?.id ?? id ?? null,
+                filePath: saved?.filePath || null,
+                strategy: status === 'downloaded' ? saved.strategy : null,
+                size: saved?.size ?? null,
+                sha256: saved?.sha256 ?? null,
+                duplicateOf: saved?.duplicateOf ?? null,
+                retries,
+                durationMs
+            });
+            if (status === 'known') summary.known++;
+            if (status === 'downloaded') {
+                summary.downloaded++;
+                if (saved.duplicateOf) summary.duplicates++;
+                summary.strategies[saved.strategy] = (summary.strategies[saved.strategy] || 0) + 1;
+            }
+        }
+        const failure = failedByTask.get(task);
+        if (failure) {
+            summary.results.push({
+                ...base,
+                status: 'failed',
+                step: failure.step,
+                kind: failure.kind,
+                message: failure.message,
+                artifacts: failure.artifacts || null,
+                retries,
+                durationMs
+            });
+        }
+    }
+    
+    summary.failed += failedTasks.length;
+    summary.failures.push(...failedTasks.map(({ task, step, kind, message }) => ({
+        grade: task.grade,
+        subject: task.subject,
+        n: task.n,
+        step,
+        kind,
+        message
+    })));
+}
+
+module.exports = {
+    createSummary,
+    processTask,
+    runTasks
+};
@@ -0,0 +1,568 @@
+/**
+ * Configuration
+ * One validated JSON config file, with env vars layered on top
+ * (CLI flags are applied by the callers on top of this)
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ERROR_KINDS } = require('./errors');
+
+const DEFAULT_CONFIG_FILE = './config.json';
+
+/**
+ * Built-in defaults; also define which keys a config file may contain
+ */
+const DEFAULTS = {
+    grades: ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'],
+    subjects: {
+        '中': 'Chinese',
+        '英': 'English',
+        '數': 'Maths',
+        '常': 'GS'
+    },
+    baseDate: '2025-09-10',
+    downloadDir: './downloads',
+    filenameTemplate: '{date}/{grade}-{subjectZh}-{date}-{id}.pdf',
+    workers: 2,
+    strategies: [],
+    lockFile: null,
+    profiles: {},
+    schedule: {
+        time: '07:30',
+        catchUpDays: 5,
+        stateFile: null
+    },
+    selection: {
+        mode: 'nth',
+        pattern: null,
+        date: null,
+        ids: [],
+        listOrder: 'oldest-first',
+        overrides: {}
+    },
+    browser: {
+        headless: false,
+        slowMo: 100,
+        viewport: { width: 1280, height: 720 }
+    },
+    report: {
+        enabled: true,
+        dir: null
+    },
+    artifacts: {
+        enabled: true,
+        trace: false,
+        dir: null
+    },
+    booklet: {
+        enabled: false,
+        dir: null,
+        cover: true,
+        bookmarks: true,
+        font: null
+    },
+    dedupe: {
+        mode: 'hardlink',
+        storeDir: null
+    },
+    http: {
+        enabled: false,
+        fallback: true,
+        timeoutMs: 60000
+    },
+    validation: {
+        minBytes: 1024
+    },
+    log: {
+        level: 'info',
+        scopes: {},
+        format: 'text',
+        file: {
+            path: null,
+            format: 'json',
+            maxBytes: 10 * 1024 * 1024,
+            daily: true,
+            maxFiles: 14,
+            maxAgeDays: 30
+        }
+    },
+    notify: {
+        on: 'always',
+        attachPdfs: false,
+        maxAttachmentBytes: 10 * 1024 * 1024,
+        webhook: {
+            url: null,
+            format: 'generic'
+        },
+        email: {
+            host: null,
+            port: 587,
+            secure: false,
+            user: null,
+            from: null,
+            to: []
+        }
+    },
+    rateLimit: {
+        requestsPerMinute: 20,
+        burst: 2,
+        jitterMs: 2000,
+        backoffMs: 5000
+    },
+    retry: {
+        maxAttempts: 3,
+        baseDelayMs: 2000,
+        maxDelayMs: 30000,
+        retryOn: ['navigation', 'click', 'download', 'timeout', 'network', 'http'],
+        finalPass: true
+    },
+    site: {
+        adapter: 'paper-site',
+        listPath: '/?grade={grade}&subject={subject}',
+        downloadPath: '/paper/download.php',
+        pagination: 'auto',
+        pageParam: 'page',
+        maxPages: 20
+    },
+    selectors: {
+        emailInput: 'input[type="email"]',
+        passwordInput: 'input[type="password"]',
+        loginButton: 'button[name="login"]',
+        accountLinks: 'a:has-text("我的帳戶"), a:has-text("登出")',
+        listItem: '.sheet',
+        itemLink: 'a',
+        itemDate: 'time',
+        nextPage: 'a[rel="next"], a:has-text("下一頁"), a:has-text("Next")',
+        downloadForm: 'form#dlform',
+        downloadButton: 'button:has-text("下載 PDF 檔")'
+    }
+};
+
+// Keys whose value is a free-form map rather than a fixed set of keys
+const FREE_MAPS = new Set(['subjects', 'profiles', 'selection.overrides', 'log.scopes']);
+
+const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+// Lists whose entries must come from a fixed set
+const LIST_VALUES = {
+    'retry.retryOn': ERROR_KINDS
+};
+
+const isInt = v => Number.isInteger(v);
+const isNonNegative = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isNonEmptyString = v => typeof v === 'string' && v.trim() !== '';
+const isStringList = v => Array.isArray(v) && v.every(isNonEmptyString);
+const isRegExp = v => {
+    try {
+        return isNonEmptyString(v) && Boolean(new RegExp(v));
+    } catch {
+        return false;
+    }
+};
+// One selection override: any of the selection.* keys except overrides
+const isSelection = v => isPlainObject(v) &&
+    Object.entries(v).every(([key, value]) => key !== 'overrides' && CHECKS[`selection.${key}`] && CHECKS[`selection.${key}`][0](value));
+// One credential profile; passwords are never read from the config file
+const PROFILE_KEYS = {
+    username: isNonEmptyString,
+    grades: v => isStringList(v) && v.length > 0,
+    subjects: v => isStringList(v) && v.length > 0,
+    downloadDir: isNonEmptyString,
+    sessionFile: isNonEmptyString
+};
+const isProfile = v => isPlainObject(v) && Object.entries(v).every(([key, value]) => PROFILE_KEYS[key] && PROFILE_KEYS[key](value));
+
+/**
+ * Value checks by dotted path: [predicate, expectation text]
+ */
+const CHECKS = {
+    grades: [v => isStringList(v) && v.length > 0, 'a non-empty array of grade names'],
+    subjects: [v => v && typeof v === 'object' && !Array.isArray(v) && Object.keys(v).length > 0 &&
+        Object.entries(v).every(([k, e]) => isNonEmptyString(k) && isNonEmptyString(e)), 'a non-empty map of Chinese name -> URL name'],
+    baseDate: [v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)), 'a date YYYY-MM-DD'],
+    downloadDir: [isNonEmptyString, 'a path'],
+    filenameTemplate: [v => isNonEmptyString(v) && /\.pdf$/i.test(v), 'a template ending in .pdf'],
+    workers: [v => isInt(v) && v >= 1, 'an integer >= 1'],
+    strategies: [isStringList, 'an array of strategy names'],
+    lockFile: [v => v === null || isNonEmptyString(v), 'a path or null (<downloadDir>/.run.lock)'],
+    profiles: [v => isPlainObject(v) && Object.entries(v).every(([name, profile]) => /^[A-Za-z0-9_-]+$/.test(name) && isProfile(profile)),
+        'a map of profile name (letters, digits, - and _) -> {username, grades, subjects, downloadDir, sessionFile}'],
+    'schedule.time': [v => typeof v === 'string' && /^([01]?\d|2[0-3]):[0-5]\d$/.test(v), 'a local time HH:MM'],
+    'schedule.catchUpDays': [v => isInt(v) && v >= 0, 'an integer >= 0'],
+    'schedule.stateFile': [v => v === null || isNonEmptyString(v), 'a path or null (<downloadDir>/scheduler-state.json)'],
+    'selection.mode': [v => ['nth', 'newest', 'title', 'date', 'ids', 'all'].includes(v), 'one of nth, newest, title, date, ids, all'],
+    'selection.pattern': [v => v === null || isRegExp(v), 'a regular expression or null'],
+    'selection.date': [v => v === null || (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v)), 'a date YYYY-MM-DD or null (the target day)'],
+    'selection.ids': [v => Array.isArray(v) && v.every(id => isNonEmptyString(id) || isInt(id)), 'an array of paper ids'],
+    'selection.listOrder': [v => ['oldest-first', 'newest-first'].includes(v), 'one of oldest-first, newest-first'],
+    'selection.overrides': [v => isPlainObject(v) && Object.values(v).every(isSelection),
+        'a map of grade, subject or "grade/subject" -> {mode, pattern, date, ids}'],
+    'browser.headless': [v => typeof v === 'boolean', 'true or false'],
+    'browser.slowMo': [isNonNegative, 'a number >= 0'],
+    'browser.viewport.width': [v => isInt(v) && v > 0, 'a positive integer'],
+    'browser.viewport.height': [v => isInt(v) && v > 0, 'a positive integer'],
+    'report.enabled': [v => typeof v === 'boolean', 'true or false'],
+    'report.dir': [v => v === null || isNonEmptyString(v), 'a path or null (<downloadDir>/reports)'],
+    'artifacts.enabled': [v => typeof v === 'boolean', 'true or false'],
+    'artifacts.trace': [v => typeof v === 'boolean', 'true or false'],
+    'artifacts.dir': [v => v === null || isNonEmptyString(v), 'a path or null (<downloadDir>/artifacts)'],
+    'booklet.enabled': [v => typeof v === 'boolean', 'true or false'],
+    'booklet.dir': [v => v === null || isNonEmptyString(v), 'a path or null (<downloadDir>/booklets)'],
+    'booklet.cover': [v => typeof v === 'boolean', 'true or false'],
+    'booklet.bookmarks': [v => typeof v === 'boolean', 'true or false'],
+    'booklet.font': [v => v === null || isNonEmptyString(v), 'a TTF/OTF font path or null (Helvetica)'],
+    'dedupe.mode': [v => ['hardlink', 'reference', 'off'].includes(v), 'one of hardlink, reference, off'],
+    'dedupe.storeDir': [v => v === null || isNonEmptyString(v), 'a path or null (<downloadDir>/.store)'],
+    'http.enabled': [v => typeof v === 'boolean', 'true or false'],
+    'http.fallback': [v => typeof v === 'boolean', 'true or false'],
+    'http.timeoutMs': [v => isNonNegative(v) && v > 0, 'a number of milliseconds > 0'],
+    'validation.minBytes': [v => isInt(v) && v >= 0, 'an integer >= 0 (bytes)'],
+    'log.level': [v => LOG_LEVELS.includes(v), `one of ${LOG_LEVELS.join(', ')}`],
+    'log.scopes': [v => isPlainObject(v) && Object.values(v).every(level => LOG_LEVELS.includes(level)),
+        'a map of logger scope -> level'],
+    'log.format': [v => ['text', 'json'].includes(v), 'one of text, json'],
+    'log.file.path': [v => v === null || isNonEmptyString(v), 'a path or null (no log file)'],
+    'log.file.format': [v => ['text', 'json'].includes(v), 'one of text, json'],
+    'log.file.maxBytes': [isNonNegative, 'a number >= 0 (0 = no size limit)'],
+    'log.file.daily': [v => typeof v === 'boolean', 'true or false'],
+    'log.file.maxFiles': [v => isInt(v) && v >= 0, 'an integer >= 0 (0 = keep all)'],
+    'log.file.maxAgeDays': [isNonNegative, 'a number >= 0 (0 = keep all)'],
+    'notify.on': [v => ['always', 'failure', 'never'].includes(v), 'one of always, failure, never'],
+    'notify.attachPdfs': [v => typeof v === 'boolean', 'true or false'],
+    'notify.maxAttachmentBytes': [isNonNegative, 'a number >= 0'],
+    'notify.webhook.url': [v => v === null || /^https?:\/\/\S+$/.test(v), 'an http(s) URL or null'],
+    'notify.webhook.format': [v => ['generic', 'slack', 'teams'].includes(v), 'one of generic, slack, teams'],
+    'notify.email.host': [v => v === null || isNonEmptyString(v), 'a host name or null'],
+    'notify.email.port': [v => isInt(v) && v > 0 && v < 65536, 'a port number'],
+    'notify.email.secure': [v => typeof v === 'boolean', 'true or false'],
+    'notify.email.user': [v => v === null || isNonEmptyString(v), 'a user name or null'],
+    'notify.email.from': [v => v === null || isNonEmptyString(v), 'an address or null'],
+    'notify.email.to': [isStringList, 'an array of addresses'],
+    'rateLimit.requestsPerMinute': [isNonNegative, 'a number >= 0 (0 = unlimited)'],
+    'rateLimit.burst': [v => isNonNegative(v) && v >= 1, 'a number >= 1'],
+    'rateLimit.jitterMs': [isNonNegative, 'a number >= 0'],
+    'rateLimit.backoffMs': [isNonNegative, 'a number >= 0'],
+    'retry.maxAttempts': [v => isInt(v) && v >= 1, 'an integer >= 1'],
+    'retry.baseDelayMs': [isNonNegative, 'a number >= 0'],
+    'retry.maxDelayMs': [isNonNegative, 'a number >= 0'],
+    'retry.retryOn': [isStringList, 'an array of error kinds'],
+    'retry.finalPass': [v => typeof v === 'boolean', 'true or false'],
+    'site.adapter': [isNonEmptyString, 'an adapter name or module path'],
+    'site.listPath': [v => isNonEmptyString(v) && v.startsWith('/'), 'a path starting with /'],
+    'site.downloadPath': [v => isNonEmptyString(v) && v.startsWith('/'), 'a path starting with /'],
+    'site.pagination': [v => ['auto', 'next', 'param', 'none'].includes(v), 'one of auto, next, param, none'],
+    'site.pageParam': [v => isNonEmptyString(v) && /^[\w-]+$/.test(v), 'a URL parameter name'],
+    'site.maxPages': [v => isInt(v) && v >= 1, 'an integer >= 1']
+};
+
+/**
+ * Env vars mapped onto config paths, with how to parse them
+ */
+const ENV_MAP = [
+    ['DOWNLOAD_DIR', 'downloadDir', 'string'],
+    ['BASE_DATE', 'baseDate', 'string'],
+    ['FILENAME_TEMPLATE', 'filenameTemplate', 'string'],
+    ['WORKERS', 'workers', 'number'],
+    ['DOWNLOAD_STRATEGIES', 'strategies', 'list'],
+    ['SITE_ADAPTER', 'site.adapter', 'string'],
+    ['LOCK_FILE', 'lockFile', 'string'],
+    ['SCHEDULE_TIME', 'schedule.time', 'string'],
+    ['SCHEDULE_CATCH_UP_DAYS', 'schedule.catchUpDays', 'number'],
+    ['SELECT_MODE', 'selection.mode', 'keyword'],
+    ['SELECT_PATTERN', 'selection.pattern', 'string'],
+    ['SELECT_DATE', 'selection.date', 'string'],
+    ['SELECT_IDS', 'selection.ids', 'list'],
+    ['LIST_ORDER', 'selection.listOrder', 'keyword'],
+    ['HEADLESS', 'browser.headless', 'boolean'],
+    ['SLOW_MO', 'browser.slowMo', 'number'],
+    ['REPORT_ENABLED', 'report.enabled', 'boolean'],
+    ['REPORT_DIR', 'report.dir', 'string'],
+    ['ARTIFACTS_ENABLED', 'artifacts.enabled', 'boolean'],
+    ['ARTIFACTS_TRACE', 'artifacts.trace', 'boolean'],
+    ['ARTIFACTS_DIR', 'artifacts.dir', 'string'],
+    ['BOOKLET_ENABLED', 'booklet.enabled', 'boolean'],
+    ['BOOKLET_DIR', 'booklet.dir', 'string'],
+    ['BOOKLET_FONT', 'booklet.font', 'string'],
+    ['DEDUPE_MODE', 'dedupe.mode', 'keyword'],
+    ['DEDUPE_STORE_DIR', 'dedupe.storeDir', 'string'],
+    ['HTTP_ONLY', 'http.enabled', 'boolean'],
+    ['HTTP_FALLBACK', 'http.fallback', 'boolean'],
+    ['HTTP_TIMEOUT_MS', 'http.timeoutMs', 'number'],
+    ['PDF_MIN_BYTES', 'validation.minBytes', 'number'],
+    ['LOG_LEVEL', 'log.level', 'keyword'],
+    ['LOG_LEVELS', 'log.scopes', 'map'],
+    ['LOG_FORMAT', 'log.format', 'keyword'],
+    ['LOG_FILE', 'log.file.path', 'string'],
+    ['LOG_FILE_FORMAT', 'log.file.format', 'keyword'],
+    ['LOG_FILE_MAX_BYTES', 'log.file.maxBytes', 'number'],
+    ['LOG_FILE_MAX_FILES', 'log.file.maxFiles', 'number'],
+    ['LOG_FILE_MAX_AGE_DAYS', 'log.file.maxAgeDays', 'number'],
+    ['NOTIFY_ON', 'notify.on', 'keyword'],
+    ['NOTIFY_ATTACH_PDFS', 'notify.attachPdfs', 'boolean'],
+    ['NOTIFY_WEBHOOK_URL', 'notify.webhook.url', 'string'],
+    ['NOTIFY_WEBHOOK_FORMAT', 'notify.webhook.format', 'keyword'],
+    ['SMTP_HOST', 'notify.email.host', 'string'],
+    ['SMTP_PORT', 'notify.email.port', 'number'],
+    ['SMTP_SECURE', 'notify.email.secure', 'boolean'],
+    ['SMTP_USER', 'notify.email.user', 'string'],
+    ['NOTIFY_EMAIL_FROM', 'notify.email.from', 'string'],
+    ['NOTIFY_EMAIL_TO', 'notify.email.to', 'list'],
+    ['RATE_LIMIT_RPM', 'rateLimit.requestsPerMinute', 'number'],
+    ['RATE_LIMIT_BURST', 'rateLimit.burst', 'number'],
+    ['RATE_LIMIT_JITTER_MS', 'rateLimit.jitterMs', 'number'],
+    ['RATE_LIMIT_BACKOFF_MS', 'rateLimit.backoffMs', 'number'],
+    ['RETRY_MAX_ATTEMPTS', 'retry.maxAttempts', 'number'],
+    ['RETRY_BASE_MS', 'retry.baseDelayMs', 'number'],
+    ['RETRY_MAX_MS', 'retry.maxDelayMs', 'number'],
+    ['RETRY_ON', 'retry.retryOn', 'list'],
+    ['RETRY_FINAL_PASS', 'retry.finalPass', 'boolean']
+];
+
+/**
+ * Thrown for invalid config files or env values; lists every problem
+ */
+class ConfigError extends Error {
+    constructor(source, problems) {
+        super(`Invalid configuration in ${source}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Edit distance between two short strings
+ */
+function distance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const next = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = row[j];
+            row[j] = next;
+        }
+    }
+    return row[b.length];
+}
+
+/**
+ * Suggest the closest known key for a likely typo
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Allowed keys
+ * @returns {string|undefined}
+ */
+function suggest(key, known) {
+    const lower = key.toLowerCase();
+    return known.find(k => distance(k.toLowerCase(), lower) <= 2);
+}
+
+/**
+ * Collect problems in a partial config: unknown keys and bad values
+ * @param {Object} partial - Parsed config (any subset of DEFAULTS)
+ * @param {Object} [shape] - Matching part of DEFAULTS
+ * @param {string} [prefix] - Dotted path prefix
+ * @returns {string[]} Problems
+ */
+function findProblems(partial, shape = DEFAULTS, prefix = '') {
+    const problems = [];
+    for (const [key, value] of Object.entries(partial)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (!(key in shape)) {
+            const hint = suggest(key, Object.keys(shape));
+            problems.push(`unknown key "${keyPath}"${hint ? ` (did you mean "${prefix ? `${prefix}.` : ''}${hint}"?)` : ''}`);
+            continue;
+        }
+        if (isPlainObject(shape[key]) && !FREE_MAPS.has(keyPath)) {
+            if (!isPlainObject(value)) {
+                problems.push(`"${keyPath}" must be an object`);
+            } else {
+                problems.push(...findProblems(value, shape[key], keyPath));
+            }
+            continue;
+        }
+        const check = CHECKS[keyPath];
+        if (check && !check[0](value)) {
+            problems.push(`"${keyPath}" must be ${check[1]}, got ${JSON.stringify(value)}`);
+        } else if (LIST_VALUES[keyPath]) {
+            const allowed = LIST_VALUES[keyPath];
+            for (const entry of value.filter(v => !allowed.includes(v))) {
+                const hint = suggest(entry, allowed);
+                problems.push(`"${keyPath}" has unknown entry "${entry}"${hint ? ` (did you mean "${hint}"?)` : ''}, expected one of ${allowed.join(', ')}`);
+            }
+        } else if (!check && isNonEmptyString(shape[key]) && !isNonEmptyString(value)) {
+            problems.push(`"${keyPath}" must be a non-empty string, got ${JSON.stringify(value)}`);
+        }
+    }
+    return problems;
+}
+
+/**
+ * Deep-merge `source` into `target` (arrays and free maps are replaced)
+ */
+function merge(target, source, prefix = '') {
+    for (const [key, value] of Object.entries(source)) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value) && isPlainObject(target[key]) && !FREE_MAPS.has(keyPath)) {
+            merge(target[key], value, keyPath);
+        } else {
+            target[key] = clone(value);
+        }
+    }
+    return target;
+}
+
+/**
+ * Set a dotted path on an object
+ */
+function setPath(obj, keyPath, value) {
+    const keys = keyPath.split('.');
+    let node = obj;
+    for (const key of keys.slice(0, -1)) {
+        node[key] = node[key] || {};
+        node = node[key];
+    }
+    node[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Build a partial config from env vars
+ * @param {Object} env - Environment (process.env)
+ * @returns {Object} Partial config
+ */
+function readEnvOverrides(env) {
+    const partial = {};
+    const problems = [];
+    for (const [name, keyPath, type] of ENV_MAP) {
+        const raw = env[name];
+        if (raw === undefined || raw === '') continue;
+        let value = raw;
+        if (type === 'number') {
+            value = Number(raw);
+            if (!Number.isFinite(value)) {
+                problems.push(`${name}=${raw} is not a number`);
+                continue;
+            }
+        } else if (type === 'boolean') {
+            const lower = raw.toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(lower)) value = true;
+            else if (['false', '0', 'no', 'off'].includes(lower)) value = false;
+            else {
+                problems.push(`${name}=${raw} is not true/false`);
+                continue;
+            }
+        } else if (type === 'keyword') {
+            value = raw.trim().toLowerCase();
+        } else if (type === 'list') {
+            value = raw.split(',').map(s => s.trim()).filter(Boolean);
+        } else if (type === 'map') {
+            // key=value pairs, e.g. LOG_LEVELS=download=debug,nav=info
+            value = {};
+            const bad = [];
+            for (const pair of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+                const [key, val] = pair.split('=').map(s => s.trim());
+                if (key && val) value[key] = val.toLowerCase();
+                else bad.push(pair);
+            }
+            if (bad.length) {
+                problems.push(`${name}=${raw}: expected key=value pairs, got "${bad.join('", "')}"`);
+                continue;
+            }
+        }
+        setPath(partial, keyPath, value);
+    }
+    if (problems.length) throw new ConfigError('environment', problems);
+    return partial;
+}
+
+/**
+ * Read and validate a JSON config file
+ * @param {string} file - File path
+ * @returns {Object} Partial config
+ */
+function readConfigFile(file) {
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new ConfigError(file, [error.code === 'ENOENT' ? 'file not found' : `not valid JSON: ${error.message}`]);
+    }
+    if (!isPlainObject(parsed)) {
+        throw new ConfigError(file, ['top level must be an object']);
+    }
+    const problems = findProblems(parsed);
+    if (problems.length) throw new ConfigError(file, problems);
+    return parsed;
+}
+
+let current = null;
+let loadCount = 0;
+
+/**
+ * Load configuration: defaults < config file < env
+ * @param {Object} [options]
+ * @param {string} [options.file] - Config file (default: CONFIG_FILE env, else ./config.json if present)
+ * @param {Object} [options.env] - Environment (default: process.env)
+ * @returns {Object} Frozen config, also returned by getConfig() afterwards
+ */
+function loadConfig({ file, env = process.env } = {}) {
+    loadCount++;
+    const config = clone(DEFAULTS);
+    
+    const configFile = file || env.CONFIG_FILE || (fs.existsSync(DEFAULT_CONFIG_FILE) ? DEFAULT_CONFIG_FILE : null);
+    if (configFile) {
+        merge(config, readConfigFile(configFile));
+        config.source = path.resolve(configFile);
+    }
+    
+    const fromEnv = readEnvOverrides(env);
+    const envProblems = findProblems(fromEnv);
+    if (envProblems.length) throw new ConfigError('environment', envProblems);
+    merge(config, fromEnv);
+    
+    current = deepFreeze(config);
+    return current;
+}
+
+/**
+ * Current configuration (loaded on first use)
+ * @returns {Object}
+ */
+function getConfig() {
+    return current || loadConfig();
+}
+
+/**
+ * Number of loadConfig() calls so far, failed ones included.
+ * Lets callers that cache derived settings notice a reload without loading the config themselves.
+ * @returns {number}
+ */
+function getLoadCount() {
+    return loadCount;
+}
+
+function deepFreeze(obj) {
+    Object.values(obj).forEach(value => {
+        if (value && typeof value === 'object') deepFreeze(value);
+    });
+    return Object.freeze(obj);
+}
+
+module.exports = {
+    DEFAULTS,
+    ConfigError,
+    loadConfig,
+    getConfig,
+    getLoadCount,
+    findProblems
+};
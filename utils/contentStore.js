@@ -0,0 +1,224 @@
+/**
+ * Content-addressed store
+ * Keeps one hardlink per distinct PDF content at `<storeDir>/<ab>/<sha256>.pdf`
+ * (storeDir defaults to `<downloadDir>/.store`). A download whose content is
+ * already stored becomes a hardlink to the stored object, so a paper the site
+ * republishes under a new id takes no extra space.
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getConfig } = require('./config');
+const { hashFile } = require('./downloadLedger');
+const { createLogger } = require('./logger');
+const log = createLogger('store');
+
+const STORE_DIR_NAME = '.store';
+
+// Filesystems (or store locations) where hardlinks cannot be made
+const LINK_UNSUPPORTED = ['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK'];
+
+/**
+ * Dedupe options with the store folder resolved for a download directory
+ * @param {string} downloadDir - Download directory
+ * @returns {{mode: string, storeDir: string}}
+ */
+function getDedupeOptions(downloadDir) {
+    const { dedupe } = getConfig();
+    return { ...dedupe, storeDir: dedupe.storeDir || path.join(downloadDir, STORE_DIR_NAME) };
+}
+
+/**
+ * Path of the stored object for a content hash
+ * @param {string} storeDir - Store folder
+ * @param {string} sha256 - Hex digest
+ * @returns {string}
+ */
+function getObjectPath(storeDir, sha256) {
+    return path.join(storeDir, sha256.slice(0, 2), `${sha256}.pdf`);
+}
+
+/**
+ * stat() that returns null for a missing file
+ * @param {string} filePath - File path
+ * @returns {Promise<fs.Stats|null>}
+ */
+async function statOrNull(filePath) {
+    try {
+        return await fs.stat(filePath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Replace a file by a hardlink to `target` (link to a temp name, then rename over it)
+ * @param {string} target - Existing file
+ * @param {string} filePath - File to replace
+ */
+async function replaceWithLink(target, filePath) {
+    const tmpPath = `${filePath}.link.tmp`;
+    await fs.rm(tmpPath, { force: true });
+    await fs.link(target, tmpPath);
+    await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Whether a stored object still holds the content its name says
+ * @param {string} object - Stored object path
+ * @param {fs.Stats} stat - Its stat
+ * @param {string} sha256 - Expected digest
+ * @param {number} size - Expected size
+ * @returns {Promise<boolean>}
+ */
+async function isIntact(object, stat, sha256, size) {
+    return stat.size === size && await hashFile(object) === sha256;
+}
+
+/**
+ * Add a saved file to the store
+ * New content is linked into the store; content that is already stored
+ * replaces the file with a hardlink to the stored object. Where hardlinks
+ * are not supported the file is kept as a copy. A stored object is re-hashed
+ * before anything is linked to it.
+ * @param {string} filePath - Saved PDF
+ * @param {Object} options
+ * @param {string} options.storeDir - Store folder
+ * @param {string} [options.sha256] - Digest when already computed
+ * @returns {Promise<{sha256: string, size: number, duplicate: boolean, linked: boolean}>}
+ *   duplicate: the content was stored before; linked: the file now shares the stored copy
+ */
+async function addToStore(filePath, { storeDir, sha256 }) {
+    const digest = sha256 || await hashFile(filePath);
+    const object = getObjectPath(storeDir, digest);
+    const stat = await fs.stat(filePath);
+    let existing = await statOrNull(object);
+
+    // A file edited in place changes every link; store the new file instead
+    const sameFile = existing && existing.ino === stat.ino && existing.dev === stat.dev;
+    if (existing && !sameFile && !await isIntact(object, existing, digest, stat.size)) {
+        log.warn('Stored object changed on disk, replacing it:', object);
+        await fs.rm(object, { force: true });
+        existing = null;
+    }
+
+    try {
+        if (!existing) {
+            await fs.mkdir(path.dirname(object), { recursive: true });
+            try {
+                await fs.link(filePath, object);
+                log.debug('Stored:', object);
+                return { sha256: digest, size: stat.size, duplicate: false, linked: true };
+            } catch (error) {
+                // Another worker stored the same content first
+                if (error.code !== 'EEXIST') throw error;
+                existing = await fs.stat(object);
+            }
+        }
+        if (existing.ino === stat.ino && existing.dev === stat.dev) {
+            return { sha256: digest, size: stat.size, duplicate: false, linked: true };
+        }
+        await replaceWithLink(object, filePath);
+        log.debug('Linked to stored copy:', filePath);
+        return { sha256: digest, size: stat.size, duplicate: true, linked: true };
+    } catch (error) {
+        if (!LINK_UNSUPPORTED.includes(error.code)) throw error;
+        log.warn('Hardlink not possible, keeping a copy:', error?.message || error);
+        return { sha256: digest, size: stat.size, duplicate: Boolean(existing), linked: false };
+    }
+}
+
+/**
+ * Deduplicate a fresh download by the configured `dedupe.mode`:
+ *   hardlink  - add it to the store (known content becomes a hardlink)
+ *   reference - when the ledger has a paper with the same content, delete the
+ *               new file and point the saved info at the existing one
+ *   off       - keep the file as saved
+ * Errors are logged and leave the file as saved.
+ * @param {Object} saved - Saved paper info from fetchPdf (filePath, sha256)
+ * @param {Object} ctx
+ * @param {string} ctx.downloadDir - Download directory
+ * @param {Object} ctx.ledger - Download ledger
+ * @returns {Promise<Object>} saved, plus `duplicateOf` (paper id with the same content)
+ *   and `reference` (true when the file was replaced by a ledger reference)
+ */
+async function dedupeDownload(saved, { downloadDir, ledger }) {
+    const { mode, storeDir } = getDedupeOptions(downloadDir);
+    if (mode === 'off') return saved;
+
+    try {
+        const sha256 = saved.sha256 || await hashFile(saved.filePath);
+        const original = await ledger.findByHash(sha256, saved.id);
+        const duplicateOf = original ? original.id : undefined;
+
+        if (mode === 'reference') {
+            if (!original) return { ...saved, sha256 };
+            await fs.rm(saved.filePath, { force: true });
+            log.info(`Paper ${saved.id} has the same content as paper ${original.id}, kept as a reference to:`, original.path);
+            return { ...saved, sha256, filePath: original.path, duplicateOf, reference: true };
+        }
+
+        const stored = await addToStore(saved.filePath, { storeDir, sha256 });
+        if (stored.duplicate) {
+            log.info(`Paper ${saved.id} has the same content as ${duplicateOf ? `paper ${duplicateOf}` : 'a stored paper'}${stored.linked ? ', hardlinked' : ''}`);
+        }
+        return { ...saved, sha256, duplicateOf };
+    } catch (error) {
+        log.warn('Dedupe failed, keeping the file as saved:', error?.message || error);
+        return saved;
+    }
+}
+
+/**
+ * Stored objects no archive file links to any more (link count 1)
+ * @param {string} storeDir - Store folder
+ * @returns {Promise<string[]>} Object paths
+ */
+async function findOrphanObjects(storeDir) {
+    const orphans = [];
+    const buckets = await fs.readdir(storeDir, { withFileTypes: true }).catch(() => []);
+    for (const bucket of buckets.filter(entry => entry.isDirectory())) {
+        for (const name of await fs.readdir(path.join(storeDir, bucket.name))) {
+            const object = path.join(storeDir, bucket.name, name);
+            const stat = await statOrNull(object);
+            if (stat && stat.isFile() && stat.nlink === 1) orphans.push(object);
+        }
+    }
+    return orphans;
+}
+
+/**
+ * Remove stored objects no archive file links to any more, such as the copy of
+ * a paper deleted from the archive. Runs at the end of a run or backfill in
+ * `hardlink` mode; a failure is logged and leaves the store as it is.
+ * @param {string} downloadDir - Download directory
+ * @returns {Promise<string[]>} Removed object paths
+ */
+async function pruneStore(downloadDir) {
+    const { mode, storeDir } = getDedupeOptions(downloadDir);
+    if (mode !== 'hardlink') return [];
+
+    const removed = [];
+    try {
+        for (const object of await findOrphanObjects(storeDir)) {
+            await fs.rm(object, { force: true });
+            removed.push(object);
+        }
+    } catch (error) {
+        log.warn('Store cleanup failed:', error?.message || error);
+    }
+    if (removed.length) log.info(`Removed ${removed.length} unused stored object(s) from`, storeDir);
+    return removed;
+}
+
+module.exports = {
+    getDedupeOptions,
+    getObjectPath,
+    addToStore,
+    dedupeDownload,
+    findOrphanObjects,
+    pruneStore,
+    STORE_DIR_NAME
+};
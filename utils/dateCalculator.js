@@ -4,26 +4,28 @@
  */
 'use strict';
 
+const { getConfig } = require('./config');
 const { createLogger } = require('./logger');
+const { createCalendar, loadCalendar, parseDateKey, toDateKey } = require('./holidayCalendar');
 const log = createLogger('date');
 
 // Load environment variables
 require('dotenv').config({ path: '../.env' });
 
 /**
- * Calculate working days between two dates (excluding weekends)
+ * Calculate working days between two dates (inclusive)
+ * Weekends and calendar holidays are excluded, make-up days are included
  * @param {Date} startDate - Start date
  * @param {Date} endDate - End date
+ * @param {Object} [calendar] - Holiday calendar (defaults to weekends only)
  * @returns {number} Number of working days
  */
-function calculateWorkingDays(startDate, endDate) {
+function calculateWorkingDays(startDate, endDate, calendar = createCalendar()) {
     let count = 0;
     const current = new Date(startDate);
     
     while (current <= endDate) {
-        const dayOfWeek = current.getDay();
-        // Skip weekends (0 = Sunday, 6 = Saturday)
-        if (dayOfWeek !== 0 && dayOfWeek !== 6) {
+        if (calendar.isWorkingDay(current)) {
             count++;
         }
         current.setDate(current.getDate() + 1);
@@ -33,27 +35,99 @@ function calculateWorkingDays(startDate, endDate) {
 }
 
 /**
- * Get the N value based on working days since base date from environment
+ * Get base date (config `baseDate` / BASE_DATE env, default 2025-09-10)
+ * @returns {Date} Base date at local midnight
+ */
+function getBaseDate() {
+    return parseDateKey(getConfig().baseDate);
+}
+
+/**
+ * Get the N value based on working days since the configured base date
+ * @param {Date} [date] - Day to compute N for (defaults to today)
+ * @param {Object} [calendar] - Holiday calendar (defaults to env-configured one)
  * @returns {number} The calculated N value
  */
-function getNValue() {
-    // Get base date from environment variable
-    const baseDateStr = process.env.BASE_DATE || '2025-09-10';
-    const [year, month, day] = baseDateStr.split('-').map(Number);
-    const baseDate = new Date(year, month - 1, day); // month is 0-indexed
-    const currentDate = new Date();
+function getNValue(date = new Date(), calendar = loadCalendar()) {
+    const baseDate = getBaseDate();
     
-    const workingDays = calculateWorkingDays(baseDate, currentDate);
+    const workingDays = calculateWorkingDays(baseDate, date, calendar);
     
     log.debug('Base date:', baseDate.toDateString());
-    log.debug('Current date:', currentDate.toDateString());
+    log.debug('Current date:', date.toDateString());
     log.debug('Working days interval:', workingDays);
     
     // Return at least 1 to avoid index issues
     return Math.max(1, workingDays);
 }
 
+/**
+ * Map an N value back to the working day it belongs to (inverse of getNValue)
+ * @param {number} n - Working-day index (1-based)
+ * @param {Object} [calendar] - Holiday calendar (defaults to env-configured one)
+ * @returns {Date} Logical date of item N
+ */
+function getDateForN(n, calendar = loadCalendar()) {
+    if (!Number.isInteger(n) || n < 1) {
+        throw new Error(`Invalid N value: ${n}`);
+    }
+    
+    const current = getBaseDate();
+    let count = 0;
+    // Hard stop so a calendar without working days cannot loop forever
+    for (let i = 0; i < 366 * 20; i++) {
+        if (calendar.isWorkingDay(current)) {
+            count++;
+            if (count === n) return new Date(current);
+        }
+        current.setDate(current.getDate() + 1);
+    }
+    
+    throw new Error(`N value ${n} is out of calendar range`);
+}
+
+/**
+ * List working days in an inclusive date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date
+ * @param {Object} [calendar] - Holiday calendar (defaults to env-configured one)
+ * @returns {Date[]} Working days
+ */
+function getWorkingDaysBetween(startDate, endDate, calendar = loadCalendar()) {
+    const days = [];
+    const current = new Date(startDate);
+    
+    while (current <= endDate) {
+        if (calendar.isWorkingDay(current)) {
+            days.push(new Date(current));
+        }
+        current.setDate(current.getDate() + 1);
+    }
+    
+    return days;
+}
+
 module.exports = {
     calculateWorkingDays,
-    getNValue
+    getBaseDate,
+    getNValue,
+    getDateForN,
+    getWorkingDaysBetween
 };
+
+// Print N for one or more dates: node utils/dateCalculator.js [YYYY-MM-DD ...]
+if (require.main === module) {
+    require('dotenv').config({ path: './.env' });
+    try {
+        const calendar = loadCalendar();
+        const args = process.argv.slice(2);
+        const dates = args.length ? args.map(parseDateKey) : [new Date()];
+        for (const date of dates) {
+            const working = calendar.isWorkingDay(date) ? 'working day' : 'non-working day';
+            console.log(`${toDateKey(date)}  N=${getNValue(date, calendar)}  (${working})`);
+        }
+    } catch (error) {
+        log.error(error?.message || error);
+        process.exitCode = 1;
+    }
+}
@@ -0,0 +1,206 @@
+/**
+ * Persistent download ledger
+ * Remembers which paper ids were already downloaded so reruns can skip them
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const log = createLogger('ledger');
+
+const LEDGER_VERSION = 1;
+const DEFAULT_LEDGER_NAME = 'download-ledger.json';
+
+/**
+ * Compute SHA-256 hex digest of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Check whether a file exists on disk
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>}
+ */
+async function fileExists(filePath) {
+    try {
+        await fs.promises.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Resolve the ledger file location for a download directory
+ * LEDGER_FILE env overrides the default `<downloadDir>/download-ledger.json`;
+ * with a credential profile the override gets the profile name before its
+ * extension (`ledger.json` -> `ledger.<profile>.json`), so accounts never share a ledger
+ * @param {string} downloadDir - Download directory path
+ * @param {string|null} [profile] - Credential profile name
+ * @returns {string} Ledger file path
+ */
+function getLedgerPath(downloadDir, profile = null) {
+    const override = process.env.LEDGER_FILE;
+    if (!override) return path.join(downloadDir, DEFAULT_LEDGER_NAME);
+    if (!profile) return override;
+    const ext = path.extname(override);
+    return `${override.slice(0, override.length - ext.length)}.${profile}${ext}`;
+}
+
+/**
+ * Load the ledger for a download directory (creates an empty one if missing)
+ * @param {string} downloadDir - Download directory path
+ * @param {Object} [options]
+ * @param {string|null} [options.profile] - Credential profile the ledger belongs to
+ * @returns {Promise<Object>} Ledger API
+ */
+async function loadLedger(downloadDir, { profile = null } = {}) {
+    const ledgerPath = getLedgerPath(downloadDir, profile);
+    let entries = {};
+    let pendingSave = Promise.resolve();
+
+    try {
+        const raw = await fs.promises.readFile(ledgerPath, 'utf8');
+        const data = JSON.parse(raw);
+        entries = data && typeof data.entries === 'object' && data.entries ? data.entries : {};
+        log.debug(`Loaded ledger with ${Object.keys(entries).length} entries:`, ledgerPath);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn('Ledger unreadable, starting empty:', error?.message || error);
+        }
+    }
+
+    /**
+     * Persist ledger atomically (write temp file then rename).
+     * Saves are chained so parallel workers never interleave writes.
+     */
+    function save() {
+        const run = pendingSave.then(async () => {
+            await fs.promises.mkdir(path.dirname(ledgerPath), { recursive: true });
+            const tmpPath = `${ledgerPath}.tmp`;
+            const body = JSON.stringify({ version: LEDGER_VERSION, entries }, null, 2);
+            await fs.promises.writeFile(tmpPath, body);
+            await fs.promises.rename(tmpPath, ledgerPath);
+        });
+        pendingSave = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Get ledger entry for a paper id
+     * @param {string} id - Paper id
+     * @returns {Object|null} Entry or null
+     */
+    function get(id) {
+        if (!id) return null;
+        return entries[String(id)] || null;
+    }
+
+    /**
+     * Check whether a paper id is known and its file is still on disk.
+     * Entries whose file disappeared are dropped so the paper is fetched again.
+     * @param {string} id - Paper id
+     * @returns {Promise<boolean>}
+     */
+    async function has(id) {
+        const entry = get(id);
+        if (!entry) return false;
+        if (await fileExists(entry.path)) return true;
+
+        log.warn(`Ledger entry ${id} points to missing file, will re-download:`, entry.path);
+        delete entries[String(id)];
+        await save();
+        return false;
+    }
+
+    /**
+     * First paper (other than `exceptId`) with the given content whose file is still on disk
+     * @param {string} sha256 - Hex digest
+     * @param {string} [exceptId] - Paper id to ignore
+     * @returns {Promise<Object|null>} Entry or null
+     */
+    async function findByHash(sha256, exceptId) {
+        const candidates = Object.values(entries).filter(entry => entry.sha256 === sha256 && entry.id !== String(exceptId));
+        for (const entry of candidates) {
+            if (await fileExists(entry.path)) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Record a downloaded paper (size and hash are read from the saved file unless given)
+     * @param {Object} info - Download info
+     * @param {string} info.id - Paper id
+     * @param {string} info.grade - Grade
+     * @param {string} info.subject - Subject
+     * @param {string} info.filePath - Saved file path
+     * @param {string} [info.sha256] - Digest when already computed
+     * @param {string} [info.duplicateOf] - Paper id with the same content
+     * @returns {Promise<Object>} Stored entry
+     */
+    async function record({ id, grade, subject, filePath, sha256, duplicateOf }) {
+        if (!id) {
+            log.debug('Skip ledger record: no paper id');
+            return null;
+        }
+        const stat = await fs.promises.stat(filePath);
+        const entry = {
+            id: String(id),
+            grade,
+            subject,
+            downloadedAt: new Date().toISOString(),
+            path: filePath,
+            size: stat.size,
+            sha256: sha256 || await hashFile(filePath),
+            ...(duplicateOf ? { duplicateOf: String(duplicateOf) } : {})
+        };
+        entries[entry.id] = entry;
+        await save();
+        log.debug('Ledger recorded:', entry.id, entry.path);
+        return entry;
+    }
+
+    /**
+     * Point an existing entry at a moved file (with the entries referring to the same file)
+     * @param {string} id - Paper id
+     * @param {string} newPath - New file path
+     * @returns {Promise<boolean>} False if the id is unknown
+     */
+    async function relocate(id, newPath) {
+        const entry = get(id);
+        if (!entry) return false;
+        const oldPath = entry.path;
+        Object.values(entries).filter(other => other.path === oldPath).forEach(other => { other.path = newPath; });
+        await save();
+        return true;
+    }
+
+    return {
+        path: ledgerPath,
+        get,
+        has,
+        findByHash,
+        record,
+        relocate,
+        save,
+        size: () => Object.keys(entries).length
+    };
+}
+
+module.exports = {
+    loadLedger,
+    getLedgerPath,
+    hashFile
+};
@@ -0,0 +1,345 @@
+/**
+ * PDF download strategies
+ * Each strategy saves the PDF of the current detail page to ctx.filePath,
+ * or throws an Error whose message says why it could not
+ */
+
+const fs = require('fs').promises;
+const axios = require('axios');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('download');
+
+/**
+ * @typedef {Object} StrategyContext
+ * @property {Object} page - Playwright page on the detail page
+ * @property {string} filePath - Resolved target path
+ * @property {string} filename - Target file name (for logs)
+ * @property {Object} [limiter] - Rate limiter told about HTTP statuses
+ */
+
+/**
+ * Read the download form inputs (config `selectors.downloadForm`) from the page
+ * @param {Object} page - Playwright page object
+ * @param {string} selector - Input selector inside the form
+ * @returns {Promise<Object|null>} name -> value map, null if form missing
+ */
+async function readDownloadForm(page, selector = 'input') {
+    return page.evaluate(([formSelector, inputSelector]) => {
+        const form = document.querySelector(formSelector);
+        if (!form) return null;
+        const data = {};
+        form.querySelectorAll(inputSelector).forEach(input => {
+            if (input.name) {
+                data[input.name] = input.value ?? '';
+            }
+        });
+        return data;
+    }, [getConfig().selectors.downloadForm, selector]);
+}
+
+/**
+ * Absolute URL of the download endpoint (config `site.downloadPath`)
+ * @param {Object} page - Playwright page object
+ * @returns {string}
+ */
+function downloadUrlFor(page) {
+    return `${new URL(page.url()).origin}${getConfig().site.downloadPath}`;
+}
+
+/**
+ * Build a Cookie header from the page's browser context
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<string>} Cookie header value
+ */
+async function cookieHeader(page) {
+    const cookies = await page.context().cookies();
+    return cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+}
+
+/**
+ * Await an axios request and report its HTTP status to the rate limiter
+ * @param {Object} [limiter] - Rate limiter
+ * @param {Promise} request - axios promise
+ * @returns {Promise<Object>} axios response
+ */
+async function observeAxios(limiter, request) {
+    try {
+        const response = await request;
+        limiter?.observe(response.status, response.headers['retry-after']);
+        return response;
+    } catch (error) {
+        if (error.response) {
+            limiter?.observe(error.response.status, error.response.headers['retry-after']);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Replicate the exact POST that returns the PDF bytes and save directly
+ * @param {StrategyContext} ctx
+ */
+async function directPost({ page, filePath, limiter }) {
+    // Read hidden inputs from the form to replicate exact payload
+    const formData = await readDownloadForm(page);
+
+    if (!formData || !formData.id || !formData.token) {
+        throw new Error('download form missing required fields (id/token)');
+    }
+
+    const downloadUrl = downloadUrlFor(page);
+
+    // Use Playwright APIRequestContext bound to the same browser context
+    const api = page.context().request;
+
+    // Send as application/x-www-form-urlencoded via "form" option
+    const response = await api.post(downloadUrl, {
+        form: formData,
+        headers: {
+            Referer: page.url(),
+            Accept: 'application/pdf, */*'
+        }
+    });
+
+    limiter?.observe(response.status(), response.headers()['retry-after']);
+    if (!response.ok()) {
+        throw new Error(`HTTP ${response.status()} ${response.statusText()}`);
+    }
+
+    const headers = response.headers();
+    const contentType = headers['content-type'] || headers['Content-Type'] || '';
+    const buffer = await response.body();
+
+    // Validate content is real PDF
+    const head = buffer.slice(0, 4).toString('utf8');
+    if (!contentType.includes('application/pdf') && head !== '%PDF') {
+        throw new Error(`response is not a PDF (content-type: ${contentType || 'none'})`);
+    }
+
+    await fs.writeFile(filePath, buffer);
+}
+
+/**
+ * Click the site download button and catch the browser download event
+ * @param {StrategyContext} ctx
+ */
+async function downloadEvent({ page, filePath }) {
+    const downloadPromise = page.waitForEvent('download', { timeout: 5000 });
+    const downloadButton = page.locator(getConfig().selectors.downloadButton);
+    await downloadButton.click();
+    
+    const download = await downloadPromise;
+    await download.saveAs(filePath);
+}
+
+/**
+ * Click the site download button, then trigger a download from the PDF preview viewer
+ * @param {StrategyContext} ctx
+ */
+async function previewViewer({ page, filePath }) {
+    const downloadButton = page.locator(getConfig().selectors.downloadButton);
+    
+    // Click download button - this opens PDF preview in browser
+    await downloadButton.click();
+    log.debug('Clicked site download button, waiting preview');
+    
+    // Wait for page content to change (PDF preview loads)
+    await page.waitForLoadState('networkidle');
+    
+    // Check if page content indicates PDF preview
+    const pageContent = await page.content();
+    if (!pageContent.includes('application/pdf') && !pageContent.includes('embed')) {
+        throw new Error('no PDF preview detected');
+    }
+    log.debug('PDF preview detected');
+    
+    // Set up download listener
+    const downloadPromise = page.waitForEvent('download', { timeout: 15000 });
+    
+    // Try multiple methods to trigger download
+    let downloadTriggered = false;
+    
+    // Look for browser download button in PDF viewer
+    const browserDownloadSelectors = [
+        '[aria-label*="下载"], [aria-label*="Download"], [aria-label*="下載"]',
+        'button[title*="下载"], button[title*="Download"], button[title*="下載"]',
+        '[data-tooltip*="下载"], [data-tooltip*="Download"]',
+        'button[class*="download"]',
+        '#download, .download',
+        'a[download]'
+    ];
+    
+    for (const selector of browserDownloadSelectors) {
+        try {
+            const downloadBtn = page.locator(selector);
+            const count = await downloadBtn.count();
+            if (count > 0) {
+                log.debug('Found viewer download button:', selector);
+                await downloadBtn.first().click();
+                downloadTriggered = true;
+                break;
+            }
+        } catch (error) {
+            log.debug(`Viewer button ${selector} failed, trying the next one:`, error?.message || error);
+        }
+    }
+    
+    // Fall back to keyboard shortcuts
+    if (!downloadTriggered) {
+        log.debug('Try hotkey to download');
+        // Try Ctrl+S (Windows/Linux) or Cmd+S (Mac)
+        const isMac = process.platform === 'darwin';
+        await page.keyboard.press(isMac ? 'Meta+S' : 'Control+S');
+    }
+    
+    const download = await downloadPromise;
+    await download.saveAs(filePath);
+}
+
+/**
+ * Extract a PDF URL (embed/iframe/object/link) from the page and download it
+ * @param {StrategyContext} ctx
+ */
+async function urlExtract({ page, filePath, limiter }) {
+    // Look for PDF URL in page content
+    const pdfInfo = await page.evaluate(() => {
+        // Check for embed tags with PDF
+        const embeds = document.querySelectorAll('embed[type="application/pdf"]');
+        if (embeds.length > 0) {
+            return { url: embeds[0].src, method: 'embed' };
+        }
+        
+        // Check for iframe with PDF
+        const iframes = document.querySelectorAll('iframe');
+        for (const iframe of iframes) {
+            if (iframe.src && iframe.src.includes('.pdf')) {
+                return { url: iframe.src, method: 'iframe' };
+            }
+        }
+        
+        // Check for object tags
+        const objects = document.querySelectorAll('object[type="application/pdf"]');
+        if (objects.length > 0) {
+            return { url: objects[0].data, method: 'object' };
+        }
+        
+        // Check for any links to PDF files
+        const pdfLinks = document.querySelectorAll('a[href*=".pdf"]');
+        if (pdfLinks.length > 0) {
+            return { url: pdfLinks[0].href, method: 'link' };
+        }
+        
+        return null;
+    });
+    
+    if (!pdfInfo || !pdfInfo.url) {
+        throw new Error('no PDF URL found on page');
+    }
+    log.debug('Found PDF URL:', pdfInfo.method, pdfInfo.url);
+    
+    // Download PDF using the extracted URL
+    const response = await observeAxios(limiter, axios.get(pdfInfo.url, {
+        headers: {
+            'Cookie': await cookieHeader(page),
+            'User-Agent': await page.evaluate(() => navigator.userAgent),
+            'Referer': page.url()
+        },
+        responseType: 'arraybuffer',
+        timeout: 60000
+    }));
+    
+    await fs.writeFile(filePath, Buffer.from(response.data));
+}
+
+/**
+ * POST the download form with axios, reusing the browser cookies
+ * @param {StrategyContext} ctx
+ */
+async function httpPost({ page, filePath, limiter }) {
+    // Get form data for authenticated download
+    const formData = await readDownloadForm(page, 'input[type="hidden"]');
+    if (!formData) {
+        throw new Error('no download form data');
+    }
+    
+    const downloadUrl = downloadUrlFor(page);
+    
+    // Use axios to download PDF with proper headers
+    const userAgent = await page.evaluate(() => navigator.userAgent);
+    const referer = page.url();
+
+    // Ensure body is x-www-form-urlencoded
+    const urlBody = new URLSearchParams();
+    Object.entries(formData).forEach(([k, v]) => urlBody.append(k, v));
+
+    const response = await observeAxios(limiter, axios.post(downloadUrl, urlBody.toString(), {
+        headers: {
+            'Cookie': await cookieHeader(page),
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'User-Agent': userAgent,
+            'Referer': referer,
+            'Accept': 'application/pdf,text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8'
+        },
+        responseType: 'arraybuffer',
+        timeout: 60000,
+        maxRedirects: 5
+    }));
+    
+    // Verify response is PDF
+    const buffer = Buffer.from(response.data);
+    if (buffer.length === 0 || buffer.toString('utf8', 0, 4) !== '%PDF') {
+        throw new Error('response is not a PDF');
+    }
+    
+    await fs.writeFile(filePath, buffer);
+}
+
+/**
+ * Registered strategies by name, in default order
+ */
+const STRATEGIES = {
+    'direct-post': directPost,
+    'download-event': downloadEvent,
+    'preview-viewer': previewViewer,
+    'url-extract': urlExtract,
+    'http-post': httpPost
+};
+
+const DEFAULT_ORDER = Object.keys(STRATEGIES);
+
+/**
+ * Resolve the strategy chain from an explicit list or the config
+ * (`strategies` / DOWNLOAD_STRATEGIES env)
+ * @param {string[]|string} [names] - Strategy names in order (default: config, else all)
+ * @returns {string[]} Validated strategy names
+ */
+function resolveStrategyChain(names = getConfig().strategies) {
+    const list = typeof names === 'string'
+        ? names.split(',').map(s => s.trim()).filter(Boolean)
+        : names;
+    if (!list || list.length === 0) return DEFAULT_ORDER.slice();
+    
+    const unknown = list.filter(name => !STRATEGIES[name]);
+    if (unknown.length) {
+        throw new Error(`Unknown download strategy: ${unknown.join(', ')} (valid: ${DEFAULT_ORDER.join(', ')})`);
+    }
+    return list;
+}
+
+/**
+ * Format per-strategy success counts, e.g. "direct-post=20, http-post=4"
+ * @param {Object} counts - strategy name -> count
+ * @returns {string}
+ */
+function formatStrategyCounts(counts) {
+    const entries = Object.entries(counts);
+    return entries.length ? entries.map(([name, count]) => `${name}=${count}`).join(', ') : 'none';
+}
+
+module.exports = {
+    STRATEGIES,
+    DEFAULT_ORDER,
+    resolveStrategyChain,
+    formatStrategyCounts
+};
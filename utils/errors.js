@@ -0,0 +1,61 @@
+/**
+ * Error types for pipeline steps
+ * A StepError carries the step that failed and a kind used by the retry policy
+ */
+'use strict';
+
+/**
+ * Error kinds:
+ *   navigation  list page could not be opened
+ *   click       item link could not be opened
+ *   download    every download strategy failed
+ *   timeout     Playwright or HTTP timeout
+ *   network     connection reset / refused / DNS
+ *   http        HTTP 429 or 5xx
+ *   not-found   requested item does not exist (N out of range)
+ *   markup      HTML does not match what the HTTP-only adapter expects (the browser takes over)
+ *   unknown     anything else
+ */
+const ERROR_KINDS = ['navigation', 'click', 'download', 'timeout', 'network', 'http', 'not-found', 'markup', 'unknown'];
+
+/**
+ * Error of one pipeline step, with its kind
+ */
+class StepError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} [options]
+     * @param {string} [options.step] - Step name (navigate, click, download, ...)
+     * @param {string} [options.kind] - Error kind (see above)
+     * @param {Error} [options.cause] - Underlying error
+     */
+    constructor(message, { step = 'unknown', kind = 'unknown', cause } = {}) {
+        super(message);
+        this.name = 'StepError';
+        this.step = step;
+        this.kind = kind;
+        if (cause) this.cause = cause;
+    }
+}
+
+/**
+ * Work out the kind of an arbitrary error
+ * @param {Error} error - Error to classify
+ * @returns {string} Error kind
+ */
+function classifyError(error) {
+    if (!error) return 'unknown';
+    if (error instanceof StepError) return error.kind;
+    if (error.name === 'TimeoutError' || error.code === 'ECONNABORTED') return 'timeout';
+    if (['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'].includes(error.code)) return 'network';
+    const status = error.response?.status;
+    if (status === 429 || status >= 500) return 'http';
+    if (/net::ERR_|socket hang up/i.test(error.message || '')) return 'network';
+    return 'unknown';
+}
+
+module.exports = {
+    ERROR_KINDS,
+    StepError,
+    classifyError
+};
@@ -0,0 +1,39 @@
+/**
+ * Process exit codes shared by the CLI entry points
+ * Lets cron wrappers tell a clean run from a partial or failed one
+ */
+'use strict';
+
+const EXIT_CODES = {
+    OK: 0,       // Every selected combination downloaded or already present
+    FAILURE: 1,  // Fatal error: bad config, login failed, browser crashed
+    PARTIAL: 2,  // Run finished but some combinations failed
+    USAGE: 64    // Invalid command-line arguments
+};
+
+/**
+ * Map a run summary to an exit code
+ * @param {{ok: boolean, failed: number}} summary - Run summary
+ * @returns {number} Exit code
+ */
+function exitCodeFor(summary) {
+    if (!summary || !summary.ok) return EXIT_CODES.FAILURE;
+    return summary.failed > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+}
+
+/**
+ * Status word for an exit code, as used in reports and scheduler state
+ * @param {number} code - Exit code
+ * @returns {string} ok | partial | failed
+ */
+function statusForExitCode(code) {
+    if (code === EXIT_CODES.OK) return 'ok';
+    if (code === EXIT_CODES.PARTIAL) return 'partial';
+    return 'failed';
+}
+
+module.exports = {
+    EXIT_CODES,
+    exitCodeFor,
+    statusForExitCode
+};
@@ -0,0 +1,180 @@
+/**
+ * Failure artifacts
+ * Captures a full-page screenshot, the page HTML and URL when a combination fails,
+ * and optionally a Playwright trace per combination that is kept only on failure.
+ * Everything for one run goes to `<downloadDir>/artifacts/<runId>/`
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('artifacts');
+
+const ARTIFACTS_DIR_NAME = 'artifacts';
+
+/**
+ * Artifact options for a run
+ * @param {Object} options
+ * @param {string} options.downloadDir - Download directory
+ * @param {string} options.runId - Run id (names the per-run directory)
+ * @param {boolean} [options.trace] - Override config `artifacts.trace`
+ * @returns {{enabled: boolean, trace: boolean, dir: string}}
+ */
+function getArtifactOptions({ downloadDir, runId, trace }) {
+    const { artifacts } = getConfig();
+    return {
+        enabled: artifacts.enabled,
+        trace: trace ?? artifacts.trace,
+        dir: path.join(artifacts.dir || path.join(downloadDir, ARTIFACTS_DIR_NAME), runId)
+    };
+}
+
+/**
+ * File name for one failure, e.g. `P3-英-n5-download`
+ * @param {{grade: string, subject: string, n: number}} task - Task
+ * @param {string} step - Failed step
+ * @returns {string}
+ */
+function artifactName({ grade, subject, n }, step) {
+    return `${grade}-${subject}-n${n}-${step || 'unknown'}`.replace(/[\\/:*?"<>|\s]+/g, '_');
+}
+
+/**
+ * First `<base><suffix>` with no existing `<base>*.json`, so a failure in the
+ * final retry pass does not overwrite the first one
+ * @param {string} dir - Artifacts directory
+ * @param {string} base - Base name
+ * @returns {Promise<string>} Path without extension
+ */
+async function uniqueBase(dir, base) {
+    for (let i = 1; ; i++) {
+        const candidate = path.join(dir, i === 1 ? base : `${base}-${i}`);
+        try {
+            await fs.access(`${candidate}.json`);
+        } catch {
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Save screenshot, HTML and URL of a page after a failed step. Never throws;
+ * whatever could be captured is returned.
+ * @param {Object} page - Playwright page object
+ * @param {Object} options
+ * @param {string} options.dir - Artifacts directory of the run
+ * @param {string} options.name - Base file name (see artifactName)
+ * @param {Object} [options.error] - The failure (step, kind and message are recorded)
+ * @returns {Promise<{url: string|null, screenshot?: string, html?: string, info: string}|null>} File paths
+ */
+async function captureFailure(page, { dir, name, error }) {
+    try {
+        await fs.mkdir(dir, { recursive: true });
+        const base = await uniqueBase(dir, name);
+        const result = { url: null, info: `${base}.json` };
+
+        try {
+            result.url = page.url();
+        } catch {
+            // Page already closed
+        }
+        try {
+            await page.screenshot({ path: `${base}.png`, fullPage: true });
+            result.screenshot = `${base}.png`;
+        } catch (shotError) {
+            log.debug('Screenshot failed:', shotError?.message || shotError);
+        }
+        try {
+            await fs.writeFile(`${base}.html`, await page.content());
+            result.html = `${base}.html`;
+        } catch (htmlError) {
+            log.debug('HTML snapshot failed:', htmlError?.message || htmlError);
+        }
+
+        await fs.writeFile(result.info, JSON.stringify({
+            capturedAt: new Date().toISOString(),
+            url: result.url,
+            title: await page.title().catch(() => null),
+            step: error?.step || null,
+            kind: error?.kind || null,
+            message: error?.message || (error ? String(error) : null)
+        }, null, 2));
+        return result;
+    } catch (captureError) {
+        log.warn('Failure artifacts not saved:', captureError?.message || captureError);
+        return null;
+    }
+}
+
+/**
+ * Record a Playwright trace per task on one browser context.
+ * Each task gets its own trace chunk, which is written only when the task fails.
+ * Tracing is per context, so tasks must not overlap (the runner uses one worker).
+ * @param {Object} context - Playwright browser context
+ * @returns {Promise<{begin: Function, discard: Function, keep: Function, stop: Function}|null>} Null if tracing could not start
+ */
+async function startTracing(context) {
+    try {
+        await context.tracing.start({ screenshots: true, snapshots: true });
+    } catch (error) {
+        log.warn('Tracing not available:', error?.message || error);
+        return null;
+    }
+    let open = false;
+
+    return {
+        /**
+         * Start the chunk for one task
+         * @param {string} title - Shown in the trace viewer
+         */
+        async begin(title) {
+            try {
+                await context.tracing.startChunk({ title });
+                open = true;
+            } catch (error) {
+                log.warn('Trace chunk not started:', error?.message || error);
+            }
+        },
+        /**
+         * Drop the current chunk (task succeeded)
+         */
+        async discard() {
+            if (!open) return;
+            open = false;
+            await context.tracing.stopChunk().catch(error => log.debug('Trace chunk not stopped:', error?.message || error));
+        },
+        /**
+         * Write the current chunk as a trace zip (task failed)
+         * @param {string} file - Zip path
+         * @returns {Promise<string|null>} The path, or null if nothing was written
+         */
+        async keep(file) {
+            if (!open) return null;
+            open = false;
+            try {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await context.tracing.stopChunk({ path: file });
+                return file;
+            } catch (error) {
+                log.warn('Trace not saved:', error?.message || error);
+                return null;
+            }
+        },
+        /**
+         * End tracing on the context
+         */
+        async stop() {
+            await this.discard();
+            await context.tracing.stop().catch(() => {});
+        }
+    };
+}
+
+module.exports = {
+    getArtifactOptions,
+    artifactName,
+    captureFailure,
+    startTracing
+};
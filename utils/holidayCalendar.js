@@ -0,0 +1,263 @@
+/**
+ * Holiday calendar for working-day calculations
+ * Loads excluded dates (holidays, school breaks) and make-up working days
+ * from plain date lists or iCalendar (.ics) files
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { createLogger } = require('./logger');
+const log = createLogger('calendar');
+
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Format a Date as local YYYY-MM-DD
+ * @param {Date} date - Date to format
+ * @returns {string} Date key
+ */
+function toDateKey(date) {
+    return [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Parse YYYY-MM-DD into a local Date (midnight)
+ * @param {string} str - Date string
+ * @returns {Date} Parsed date
+ */
+function parseDateKey(str) {
+    const match = DATE_RE.exec(String(str).trim());
+    if (!match) {
+        throw new Error(`Invalid date "${str}", expected YYYY-MM-DD`);
+    }
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) {
+        throw new Error(`Invalid date "${str}"`);
+    }
+    return date;
+}
+
+/**
+ * Expand an inclusive date range into date keys
+ * @param {Date} start - First day
+ * @param {Date} end - Last day (inclusive)
+ * @returns {string[]} Date keys
+ */
+function expandRange(start, end) {
+    const keys = [];
+    const current = new Date(start);
+    while (current <= end) {
+        keys.push(toDateKey(current));
+        current.setDate(current.getDate() + 1);
+    }
+    return keys;
+}
+
+/**
+ * Parse a plain date list.
+ * One entry per line, `#` starts a comment. Supported entries:
+ *   2025-10-01                 excluded day
+ *   2025-12-22..2026-01-02     excluded range (inclusive)
+ *   +2025-10-11                make-up working day
+ * @param {string} text - File content
+ * @returns {{holidays: string[], makeupDays: string[]}}
+ */
+function parseDateList(text) {
+    const holidays = [];
+    const makeupDays = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        if (!line) return;
+
+        const isMakeup = line.startsWith('+');
+        const body = isMakeup ? line.slice(1).trim() : line;
+        const [from, to] = body.split('..').map(s => s.trim());
+
+        try {
+            const keys = to ? expandRange(parseDateKey(from), parseDateKey(to)) : [toDateKey(parseDateKey(from))];
+            (isMakeup ? makeupDays : holidays).push(...keys);
+        } catch (error) {
+            throw new Error(`Line ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return { holidays, makeupDays };
+}
+
+/**
+ * Parse an ICS date/date-time value (YYYYMMDD or YYYYMMDDTHHMMSS[Z])
+ * UTC times (`Z`) are converted to local time; other times are taken as local.
+ * @param {string} value - ICS value
+ * @returns {{date: Date, hasTime: boolean}} date: local midnight for dates, the instant for date-times
+ */
+function parseIcsDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) {
+        throw new Error(`Unsupported ICS date "${value}"`);
+    }
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(Number);
+    if (match[4] === undefined) {
+        return { date: new Date(year, month - 1, day), hasTime: false };
+    }
+    const date = match[7]
+        ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+        : new Date(year, month - 1, day, hours, minutes, seconds);
+    return { date, hasTime: true };
+}
+
+/**
+ * Local midnight of the day a Date falls on
+ * @param {Date} date - Any time of the day
+ * @returns {Date}
+ */
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * Parse iCalendar content; every VEVENT becomes excluded days.
+ * DTEND is exclusive per RFC 5545: an all-day event ends the day before, a
+ * timed one on the day of its last moment (an event ending at midnight does
+ * not exclude the next day). RRULE is not expanded.
+ * @param {string} text - ICS content
+ * @returns {{holidays: string[], makeupDays: string[]}}
+ */
+function parseIcs(text) {
+    // Unfold continuation lines (RFC 5545 3.1)
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const holidays = [];
+    let event = null;
+
+    for (const line of lines) {
+        if (line === 'BEGIN:VEVENT') {
+            event = {};
+            continue;
+        }
+        if (line === 'END:VEVENT') {
+            if (event && event.start) {
+                const start = startOfDay(parseIcsDate(event.start).date);
+                let end = start;
+                if (event.end) {
+                    const parsedEnd = parseIcsDate(event.end);
+                    if (parsedEnd.hasTime) {
+                        end = startOfDay(new Date(parsedEnd.date.getTime() - 1));
+                    } else {
+                        end = new Date(parsedEnd.date);
+                        end.setDate(end.getDate() - 1);
+                    }
+                    if (end < start) end = start;
+                }
+                holidays.push(...expandRange(start, end));
+                if (event.rrule) {
+                    log.warn('RRULE not supported, only first occurrence used:', event.summary || event.start);
+                }
+            }
+            event = null;
+            continue;
+        }
+        if (!event) continue;
+
+        const sep = line.indexOf(':');
+        if (sep === -1) continue;
+        const name = line.slice(0, sep).split(';')[0].toUpperCase();
+        const value = line.slice(sep + 1);
+        if (name === 'DTSTART') event.start = value;
+        else if (name === 'DTEND') event.end = value;
+        else if (name === 'SUMMARY') event.summary = value;
+        else if (name === 'RRULE') event.rrule = value;
+    }
+
+    return { holidays, makeupDays: [] };
+}
+
+/**
+ * Create a calendar from explicit date keys
+ * @param {Object} [options]
+ * @param {string[]} [options.holidays] - Excluded dates (YYYY-MM-DD)
+ * @param {string[]} [options.makeupDays] - Extra working dates (YYYY-MM-DD)
+ * @returns {Object} Calendar with isWorkingDay(date)
+ */
+function createCalendar({ holidays = [], makeupDays = [] } = {}) {
+    const holidaySet = new Set(holidays);
+    const makeupSet = new Set(makeupDays);
+
+    return {
+        holidays: holidaySet,
+        makeupDays: makeupSet,
+        /**
+         * Make-up days always count; otherwise weekdays that are not holidays
+         * @param {Date} date - Day to check
+         * @returns {boolean}
+         */
+        isWorkingDay(date) {
+            const key = toDateKey(date);
+            if (makeupSet.has(key)) return true;
+            const dayOfWeek = date.getDay();
+            if (dayOfWeek === 0 || dayOfWeek === 6) return false;
+            return !holidaySet.has(key);
+        }
+    };
+}
+
+/**
+ * Load a single calendar file (.ics or plain date list)
+ * @param {string} filePath - File path
+ * @returns {{holidays: string[], makeupDays: string[]}}
+ */
+function loadCalendarFile(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const parsed = path.extname(filePath).toLowerCase() === '.ics' ? parseIcs(text) : parseDateList(text);
+    log.debug(`Loaded ${filePath}: ${parsed.holidays.length} holidays, ${parsed.makeupDays.length} make-up days`);
+    return parsed;
+}
+
+/**
+ * Split a comma-separated env value into file paths
+ * @param {string} value - Env value
+ * @returns {string[]} Paths
+ */
+function splitPaths(value) {
+    return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Load the calendar configured via env:
+ *   HOLIDAYS_FILE     comma-separated .ics / date-list files of excluded days
+ *   MAKEUP_DAYS_FILE  comma-separated date-list files of extra working days
+ * @returns {Object} Calendar
+ */
+function loadCalendar() {
+    const holidays = [];
+    const makeupDays = [];
+
+    for (const file of splitPaths(process.env.HOLIDAYS_FILE)) {
+        const parsed = loadCalendarFile(file);
+        holidays.push(...parsed.holidays);
+        makeupDays.push(...parsed.makeupDays);
+    }
+
+    for (const file of splitPaths(process.env.MAKEUP_DAYS_FILE)) {
+        const parsed = loadCalendarFile(file);
+        // Every date in a make-up file is a working day, with or without "+"
+        makeupDays.push(...parsed.holidays, ...parsed.makeupDays);
+    }
+
+    return createCalendar({ holidays, makeupDays });
+}
+
+module.exports = {
+    createCalendar,
+    loadCalendar,
+    loadCalendarFile,
+    parseDateList,
+    parseIcs,
+    parseDateKey,
+    toDateKey
+};
@@ -0,0 +1,305 @@
+/**
+ * Browserless HTTP session
+ * A cookie jar plus a small page-like object (goto, reload, url, content, title)
+ * over axios, so the HTTP-only site adapter can log in, read list and detail
+ * pages and POST the download form without launching a browser.
+ * Cookies are kept in Playwright storage-state format, so one saved session
+ * file serves both the browser and the HTTP-only mode.
+ */
+'use strict';
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { getConfig } = require('./config');
+const { getSessionPath, findStorageState, saveStorageState, clearStorageState } = require('./sessionStore');
+const { createLogger } = require('./logger');
+const log = createLogger('session');
+
+const MAX_REDIRECTS = 10;
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+/**
+ * Cookie jar holding cookies as Playwright storage-state entries
+ * {name, value, domain, path, expires (seconds, -1 = session), httpOnly, secure, sameSite}
+ * @param {Array<Object>} [cookies] - Initial cookies (e.g. from a saved session)
+ * @returns {{store: Function, header: Function, all: Function, clear: Function}}
+ */
+function createCookieJar(cookies = []) {
+    let jar = cookies.map(cookie => ({ path: '/', expires: -1, ...cookie }));
+
+    const expired = cookie => cookie.expires !== -1 && cookie.expires * 1000 <= Date.now();
+
+    /**
+     * Whether a cookie is sent to a URL (domain, path, secure, expiry)
+     */
+    function matches(cookie, url) {
+        const domain = cookie.domain.replace(/^\./, '');
+        const hostOk = url.hostname === domain || url.hostname.endsWith(`.${domain}`);
+        const pathOk = url.pathname === cookie.path || url.pathname.startsWith(cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`);
+        return hostOk && pathOk && !(cookie.secure && url.protocol !== 'https:') && !expired(cookie);
+    }
+
+    /**
+     * Parse one Set-Cookie header value
+     * @returns {Object|null} Cookie entry
+     */
+    function parse(line, url) {
+        const [pair, ...attributes] = line.split(';');
+        const sep = pair.indexOf('=');
+        if (sep <= 0) return null;
+        const cookie = {
+            name: pair.slice(0, sep).trim(),
+            value: pair.slice(sep + 1).trim(),
+            domain: url.hostname,
+            path: '/',
+            expires: -1,
+            httpOnly: false,
+            secure: false,
+            sameSite: 'Lax'
+        };
+        for (const attribute of attributes) {
+            const [key, ...rest] = attribute.split('=');
+            const value = rest.join('=').trim();
+            switch (key.trim().toLowerCase()) {
+                case 'domain': if (value) cookie.domain = `.${value.replace(/^\./, '')}`; break;
+                case 'path': if (value.startsWith('/')) cookie.path = value; break;
+                case 'expires': {
+                    const at = Date.parse(value);
+                    if (!Number.isNaN(at) && cookie.expires === -1) cookie.expires = Math.floor(at / 1000);
+                    break;
+                }
+                case 'max-age': if (/^-?\d+$/.test(value)) cookie.expires = Math.floor(Date.now() / 1000) + Number(value); break;
+                case 'httponly': cookie.httpOnly = true; break;
+                case 'secure': cookie.secure = true; break;
+                case 'samesite': cookie.sameSite = value ? value[0].toUpperCase() + value.slice(1).toLowerCase() : 'Lax'; break;
+            }
+        }
+        return cookie;
+    }
+
+    /**
+     * Take the Set-Cookie headers of a response (expired cookies delete their entry)
+     * @param {string[]|string|undefined} setCookie - Header values
+     * @param {string} requestUrl - URL the response came from
+     */
+    function store(setCookie, requestUrl) {
+        if (!setCookie) return;
+        const url = new URL(requestUrl);
+        for (const line of [].concat(setCookie)) {
+            const cookie = parse(line, url);
+            if (!cookie) continue;
+            jar = jar.filter(c => !(c.name === cookie.name && c.domain === cookie.domain && c.path === cookie.path));
+            if (!expired(cookie)) jar.push(cookie);
+        }
+    }
+
+    /**
+     * Cookie header for a request
+     * @param {string} requestUrl - Request URL
+     * @returns {string} Header value ('' when no cookie applies)
+     */
+    function header(requestUrl) {
+        const url = new URL(requestUrl);
+        return jar.filter(cookie => matches(cookie, url)).map(cookie => `${cookie.name}=${cookie.value}`).join('; ');
+    }
+
+    return {
+        store,
+        header,
+        all: () => jar.filter(cookie => !expired(cookie)).map(cookie => ({ ...cookie })),
+        clear: () => { jar = []; }
+    };
+}
+
+/**
+ * Error for a page answering 4xx/5xx; `response.status` lets classifyError
+ * treat 429/5xx as retryable "http" failures
+ * @param {number} status - HTTP status
+ * @param {string} url - Page URL
+ * @returns {Error}
+ */
+function httpError(status, url) {
+    const error = new Error(`HTTP ${status} for ${url}`);
+    error.response = { status };
+    return error;
+}
+
+/**
+ * Page-like object over plain HTTP requests sharing a cookie jar.
+ * goto/reload/submit navigate (the response becomes the current page);
+ * fetch sends a request without navigating (used for the PDF download).
+ * Playwright options such as `waitUntil` are accepted and ignored.
+ * @param {Object} jar - Cookie jar from createCookieJar
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @returns {Object} Page
+ */
+function createHttpPage(jar, { timeout = 60000 } = {}) {
+    let current = { url: 'about:blank', status: 0, html: '' };
+    let dom = null;
+    const listeners = [];
+
+    /**
+     * Send a request, following redirects and storing cookies on every hop
+     * @param {string} method - GET or POST
+     * @param {string} url - Absolute URL
+     * @param {Object} [options]
+     * @param {Object} [options.form] - Fields sent as application/x-www-form-urlencoded
+     * @param {Object} [options.headers] - Extra headers
+     * @returns {Promise<{url: string, status: number, headers: Object, body: Buffer}>} Final response
+     */
+    async function fetch(method, url, { form, headers = {} } = {}) {
+        for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+            const cookie = jar.header(url);
+            const response = await axios.request({
+                method,
+                url,
+                data: form ? new URLSearchParams(form).toString() : undefined,
+                headers: {
+                    'User-Agent': USER_AGENT,
+                    ...(form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}),
+                    ...(cookie ? { Cookie: cookie } : {}),
+                    ...headers
+                },
+                responseType: 'arraybuffer',
+                maxRedirects: 0,
+                validateStatus: () => true,
+                timeout
+            });
+            jar.store(response.headers['set-cookie'], url);
+
+            const location = response.headers.location;
+            if (response.status >= 300 && response.status < 400 && location) {
+                url = new URL(location, url).href;
+                // 301/302/303 turn a POST into a GET, as browsers do
+                if (![307, 308].includes(response.status)) {
+                    method = 'GET';
+                    form = undefined;
+                }
+                continue;
+            }
+            return { url, status: response.status, headers: response.headers, body: Buffer.from(response.data) };
+        }
+        throw new Error(`Too many redirects from ${url}`);
+    }
+
+    /**
+     * Make a response the current page; 4xx/5xx throw after it is shown
+     */
+    async function navigate(method, url, options) {
+        const response = await fetch(method, url, options);
+        current = { url: response.url, status: response.status, html: response.body.toString('utf8') };
+        dom = null;
+        const event = {
+            request: () => ({ isNavigationRequest: () => true }),
+            status: () => response.status,
+            headers: () => response.headers
+        };
+        listeners.forEach(listener => listener(event));
+        if (response.status >= 400) throw httpError(response.status, response.url);
+        return event;
+    }
+
+    return {
+        fetch,
+        goto: url => navigate('GET', new URL(url, current.url === 'about:blank' ? undefined : current.url).href),
+        reload: () => navigate('GET', current.url),
+        /**
+         * Submit a form: POST (or GET with the fields as query) and navigate to the result
+         * @param {string} url - Form action
+         * @param {Object} form - Field name -> value
+         * @param {string} [method] - Form method (default POST)
+         */
+        submit(url, form, method = 'POST') {
+            if (method.toUpperCase() === 'GET') {
+                const target = new URL(url);
+                Object.entries(form).forEach(([key, value]) => target.searchParams.set(key, value));
+                return navigate('GET', target.href);
+            }
+            return navigate('POST', url, { form, headers: { Referer: current.url } });
+        },
+        url: () => current.url,
+        status: () => current.status,
+        content: async () => current.html,
+        /**
+         * Parsed HTML of the current page (cheerio root, cached per page)
+         */
+        dom() {
+            if (!dom) dom = cheerio.load(current.html);
+            return dom;
+        },
+        title: async () => (dom || cheerio.load(current.html))('title').first().text().trim(),
+        on(event, listener) {
+            if (event === 'response') listeners.push(listener);
+        },
+        screenshot: async () => {
+            throw new Error('screenshots need the browser (HTTP-only mode)');
+        },
+        close: async () => {}
+    };
+}
+
+/**
+ * Context over one cookie jar: pages for the worker pool and Playwright-style
+ * storageState()/clearCookies() for the session store
+ * @param {Object} jar - Cookie jar
+ * @param {Object} pageOptions - Options for createHttpPage
+ * @returns {Object} Context
+ */
+function createHttpContext(jar, pageOptions) {
+    return {
+        newPage: async () => createHttpPage(jar, pageOptions),
+        storageState: async () => ({ cookies: jar.all(), origins: [] }),
+        clearCookies: async () => jar.clear(),
+        close: async () => {}
+    };
+}
+
+/**
+ * Open an HTTP-only session and log in, like openSession without the browser.
+ * A saved session is tried first; the login form is only used when it is missing or expired.
+ * @param {Object} options
+ * @param {string} options.loginUrl - Login page URL
+ * @param {string} options.username - User email
+ * @param {string} options.password - User password
+ * @param {Object} options.adapter - HTTP-only site adapter doing the login
+ * @param {string|null} [options.sessionFile] - Saved session file (default: SESSION_FILE env)
+ * @returns {Promise<{browser: null, context: Object, page: Object, baseUrl: string, adapter: Object}>} Session
+ */
+async function openHttpSession({ loginUrl, username, password, adapter, sessionFile = getSessionPath() }) {
+    const storageState = await findStorageState(sessionFile);
+    const jar = createCookieJar(storageState ? storageState.cookies : []);
+    const context = createHttpContext(jar, { timeout: getConfig().http.timeoutMs });
+    const session = { browser: null, context, page: await context.newPage(), baseUrl: new URL(loginUrl).origin, adapter };
+    log.info('HTTP-only session (no browser)');
+
+    // Reuse saved session if the site still shows us as logged in
+    if (storageState) {
+        log.info('Try saved session:', sessionFile);
+        await session.page.goto(session.baseUrl).catch(error => log.debug('Home page failed:', error?.message || error));
+        if (await adapter.isLoggedIn(session.page)) {
+            log.info('Saved session valid, skip login');
+            return session;
+        }
+        log.info('Saved session expired, logging in again');
+        await context.clearCookies();
+        await clearStorageState(sessionFile);
+    }
+
+    if (!await adapter.login(session.page, { loginUrl, username, password })) {
+        throw new Error('Login failed');
+    }
+
+    try {
+        await saveStorageState(context, sessionFile);
+    } catch (error) {
+        log.warn('Could not save session state:', error?.message || error);
+    }
+    return session;
+}
+
+module.exports = {
+    createCookieJar,
+    createHttpPage,
+    openHttpSession
+};
@@ -0,0 +1,281 @@
+/**
+ * HTTP-only variant of the paper site adapter (no browser)
+ * Reads the login form, the `.sheet` list and the `form#dlform` hidden inputs
+ * (id/token) from the HTML and POSTs the download form with the session cookies.
+ * Works on pages from httpSession.js. Selectors come from the config like in the
+ * browser adapter; Playwright's `:has-text("x")` is read as `:contains("x")`.
+ * When the HTML does not match, steps throw StepError kind "markup" so the run
+ * can hand the combination to the browser adapter.
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const { getConfig } = require('./config');
+const { getSubjects, buildListUrl, collectListPages, parseItemDate } = require('./navigationHandler');
+const { resolveTargetPath, todayString } = require('./downloadHandler');
+const { releasePath } = require('./pathTemplate');
+const { validatePdfFile, quarantineFile } = require('./pdfValidator');
+const { hashFile } = require('./downloadLedger');
+const { parsePaperMetadata } = require('./paperMetadata');
+const { StepError } = require('./errors');
+const { createLogger } = require('./logger');
+const log = createLogger('site');
+
+const STRATEGY = 'http-only';
+
+/**
+ * Error for HTML that does not look like the configured site
+ * @param {string} message - What was missing
+ * @param {string} step - Pipeline step
+ * @returns {StepError}
+ */
+function markupError(message, step) {
+    return new StepError(message, { step, kind: 'markup' });
+}
+
+/**
+ * Elements matching a config selector on the current page (or inside `scope`)
+ * @param {Object} page - HTTP page
+ * @param {string} selector - Config selector
+ * @param {string} step - Step for the error when the selector is not plain CSS
+ * @param {Object} [scope] - Cheerio selection to search in
+ * @returns {Object} Cheerio selection
+ */
+function find(page, selector, step, scope) {
+    const css = selector.replace(/:has-text\(/g, ':contains(');
+    try {
+        return scope ? scope.find(css) : page.dom()(css);
+    } catch (error) {
+        throw markupError(`selector "${selector}" cannot be used without a browser: ${error.message}`, step);
+    }
+}
+
+/**
+ * Field values a browser would submit for a form (submit buttons excluded)
+ * @param {Object} $ - Cheerio root
+ * @param {Object} form - Cheerio form selection
+ * @returns {Object} name -> value
+ */
+function readForm($, form) {
+    const data = {};
+    form.find('input[name], select[name], textarea[name]').each((_, el) => {
+        const field = $(el);
+        const type = (field.attr('type') || '').toLowerCase();
+        if (['submit', 'button', 'image', 'reset', 'file'].includes(type)) return;
+        if (['checkbox', 'radio'].includes(type) && field.attr('checked') === undefined) return;
+        if (el.tagName === 'select') {
+            const option = field.find('option[selected]').first();
+            data[field.attr('name')] = (option.length ? option : field.find('option').first()).attr('value') ?? '';
+        } else if (el.tagName === 'textarea') {
+            data[field.attr('name')] = field.text();
+        } else {
+            data[field.attr('name')] = field.attr('value') ?? (type === 'checkbox' || type === 'radio' ? 'on' : '');
+        }
+    });
+    return data;
+}
+
+/**
+ * Open the login page and POST its form
+ * @param {Object} page - HTTP page
+ * @param {{loginUrl: string, username: string, password: string}} credentials
+ * @returns {Promise<boolean>} Success status
+ */
+async function login(page, { loginUrl, username, password }) {
+    const { selectors } = getConfig();
+    log.info('Goto login page:', loginUrl);
+    await page.goto(loginUrl);
+
+    const email = find(page, selectors.emailInput, 'login').first();
+    const secret = find(page, selectors.passwordInput, 'login').first();
+    const form = email.closest('form');
+    if (!email.length || !secret.length || !form.length || !email.attr('name') || !secret.attr('name')) {
+        throw markupError('login form not found in the login page HTML', 'login');
+    }
+
+    const data = readForm(page.dom(), form);
+    data[email.attr('name')] = username;
+    data[secret.attr('name')] = password;
+    const button = find(page, selectors.loginButton, 'login', form).first();
+    if (button.attr('name')) data[button.attr('name')] = button.attr('value') ?? '';
+
+    const action = new URL(form.attr('action') || page.url(), page.url()).href;
+    log.info('Start login flow');
+    await page.submit(action, data, form.attr('method') || 'GET');
+
+    // Same rule as the browser login: success means we left the login page
+    if (new URL(page.url()).pathname.includes('login')) {
+        log.warn('Login failed: still on login page');
+        return false;
+    }
+    log.info('Login success, redirected to home');
+    if (!await isLoggedIn(page)) log.warn('Account UI not found; URL indicates logged-in');
+    return true;
+}
+
+/**
+ * Whether the current page shows the account links (config `selectors.accountLinks`)
+ * @param {Object} page - HTTP page
+ * @returns {Promise<boolean>}
+ */
+async function isLoggedIn(page) {
+    return find(page, getConfig().selectors.accountLinks, 'login').length > 0;
+}
+
+/**
+ * Items of the current list page, as readPageItems in navigationHandler.js
+ * @param {Object} page - HTTP page
+ * @returns {Array<{index: number, id: string|null, title: string, href: string|null, date: string|null}>}
+ */
+function readPageItems(page) {
+    const { listItem, itemLink, itemDate } = getConfig().selectors;
+    const $ = page.dom();
+    return find(page, listItem, 'navigate').toArray().map((sheet, i) => {
+        const link = find(page, itemLink, 'navigate', $(sheet)).first();
+        const time = itemDate ? find(page, itemDate, 'navigate', $(sheet)).first() : null;
+        const title = $(sheet).text().replace(/\s+/g, ' ').trim();
+        const href = link.attr('href') || null;
+        return {
+            index: i + 1,
+            id: href ? new URL(href, page.url()).searchParams.get('id') : null,
+            title,
+            href,
+            date: parseItemDate(time?.length ? time.attr('datetime') || time.text() : null) || parseItemDate(title)
+        };
+    });
+}
+
+/**
+ * URL of the next list page, as findNextPageUrl in navigationHandler.js
+ * @param {Object} page - HTTP page
+ * @param {number} pageNumber - Current page number (1-based)
+ * @returns {string|null}
+ */
+function findNextPageUrl(page, pageNumber) {
+    const { pagination, pageParam } = getConfig().site;
+    if (pagination === 'none') return null;
+
+    if (pagination === 'param') {
+        const url = new URL(page.url());
+        url.searchParams.set(pageParam, String(pageNumber + 1));
+        return url.href;
+    }
+
+    const href = find(page, getConfig().selectors.nextPage, 'navigate').first().attr('href');
+    if (href) return new URL(href, page.url()).href;
+    if (pagination === 'next') return null;
+
+    const $ = page.dom();
+    const hrefs = $(`a[href*="${pageParam}="]`).toArray().map(link => new URL($(link).attr('href'), page.url()).href);
+    return hrefs.find(url => new URL(url).searchParams.get(pageParam) === String(pageNumber + 1)) || null;
+}
+
+/**
+ * Open the filtered list page and read its items, following pagination
+ * @param {Object} page - HTTP page
+ * @param {{baseUrl: string, grade: string, subject: string, limit?: number, limiter?: Object}} list - List to open
+ * @returns {Promise<Array>} Items, as the browser adapter's listItems
+ */
+async function listItems(page, { baseUrl, grade, subject, limit, limiter }) {
+    const subjectEnglish = getSubjects()[subject];
+    if (!subjectEnglish) {
+        throw new StepError(`unknown subject ${subject}`, { step: 'navigate', kind: 'navigation' });
+    }
+    log.info('Navigate to filter page:', `${grade} - ${subject} (${subjectEnglish})`);
+    await page.goto(buildListUrl(baseUrl, grade, subjectEnglish));
+
+    // An empty first page means the list markup changed (the browser adapter times out here)
+    if (readPageItems(page).length === 0) {
+        throw markupError(`no "${getConfig().selectors.listItem}" items in the list page HTML`, 'navigate');
+    }
+    return collectListPages(page, {
+        limit,
+        limiter,
+        readPage: async current => readPageItems(current),
+        nextPageUrl: async (current, pageNumber) => findNextPageUrl(current, pageNumber)
+    });
+}
+
+/**
+ * Open an item's detail page by its link
+ * @param {Object} page - HTTP page
+ * @param {{index: number, href: string|null, pageUrl?: string}} item - Item from listItems
+ */
+async function openItem(page, item) {
+    if (!item.href) {
+        throw markupError(`item #${item.index} has no link`, 'click');
+    }
+    log.info('Open item index:', item.index);
+    await page.goto(new URL(item.href, item.pageUrl || page.url()).href);
+}
+
+/**
+ * Metadata of the current detail page
+ * @param {Object} page - HTTP page
+ * @returns {Promise<Object>} See parsePaperMetadata
+ */
+async function readMetadata(page) {
+    return parsePaperMetadata(await page.content());
+}
+
+/**
+ * POST the detail page's download form and save the PDF
+ * Returns null (download failure) for HTTP errors and invalid PDFs; a missing
+ * form or id/token throws a "markup" StepError.
+ * @param {Object} page - HTTP page on the detail page
+ * @param {Object} target - grade, subject, downloadDir, date, n, title, template, limiter
+ * @returns {Promise<{id: string, filePath: string, strategy: string, pageCount: number, size: number, sha256: string, attempts: Array}|null>} Saved paper info
+ */
+async function fetchPdf(page, { grade, subject, downloadDir, date = todayString(), n, title, template, limiter }) {
+    const form = find(page, getConfig().selectors.downloadForm, 'download').first();
+    const data = form.length ? readForm(page.dom(), form) : null;
+    if (!data || !data.id || !data.token) {
+        throw markupError('download form with id/token not found in the detail page HTML', 'download');
+    }
+
+    log.info('Start download PDF');
+    const { filePath, filename } = await resolveTargetPath(page, grade, subject, downloadDir, date, { id: data.id, n, title, template });
+    const started = Date.now();
+    try {
+        if (limiter) await limiter.acquire();
+        const response = await page.fetch('POST', `${new URL(page.url()).origin}${getConfig().site.downloadPath}`, {
+            form: data,
+            headers: { Referer: page.url(), Accept: 'application/pdf, */*' }
+        });
+        limiter?.observe(response.status, response.headers['retry-after']);
+        if (response.status >= 400) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const contentType = response.headers['content-type'] || '';
+        if (!contentType.includes('application/pdf') && response.body.toString('latin1', 0, 4) !== '%PDF') {
+            throw new Error(`response is not a PDF (content-type: ${contentType || 'none'})`);
+        }
+
+        await fs.writeFile(filePath, response.body);
+        const check = await validatePdfFile(filePath);
+        if (!check.ok) {
+            await quarantineFile(filePath, downloadDir, check.reason, { strategy: STRATEGY, url: page.url() });
+            throw new Error(`invalid PDF: ${check.reason}`);
+        }
+
+        log.info(`Saved via ${STRATEGY} (${check.pageCount} pages, ${check.size} bytes):`, filename);
+        const attempts = [{ strategy: STRATEGY, ok: true, ms: Date.now() - started }];
+        const sha256 = await hashFile(filePath);
+        return { id: data.id, filePath, strategy: STRATEGY, pageCount: check.pageCount, size: check.size, sha256, attempts };
+    } catch (error) {
+        log.error('Download PDF failed:', error?.message || error);
+        return null;
+    } finally {
+        releasePath(filePath);
+    }
+}
+
+module.exports = {
+    name: 'paper-site-http',
+    login,
+    isLoggedIn,
+    listItems,
+    openItem,
+    readMetadata,
+    fetchPdf
+};
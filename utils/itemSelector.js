@@ -0,0 +1,173 @@
+/**
+ * Item selection
+ * Decides which items of a list page a combination downloads: the Nth item
+ * (working-day index), the newest, title matches, a published date, fixed ids
+ * or all of them. Config `selection` sets the default; `selection.overrides`
+ * changes it per grade, subject or grade/subject combination.
+ */
+'use strict';
+
+const { getConfig } = require('./config');
+const { getSubjects } = require('./navigationHandler');
+const { toDateKey } = require('./holidayCalendar');
+const { createLogger } = require('./logger');
+const log = createLogger('select');
+
+const MODES = ['nth', 'newest', 'title', 'date', 'ids', 'all'];
+const LIST_ORDERS = ['oldest-first', 'newest-first'];
+
+/**
+ * Check that a resolved selection has what its mode needs
+ * (value types are validated with the rest of the config)
+ * @param {Object} selection - Resolved selection
+ * @param {string} where - Label for the error message
+ * @returns {Object} The selection
+ */
+function checkComplete(selection, where) {
+    const problems = [];
+    if (!MODES.includes(selection.mode)) problems.push(`mode must be one of ${MODES.join(', ')}, got "${selection.mode}"`);
+    if (selection.mode === 'title') {
+        if (!selection.pattern) problems.push('mode "title" needs a "pattern"');
+        else {
+            try {
+                new RegExp(selection.pattern);
+            } catch (error) {
+                problems.push(`bad pattern: ${error.message}`);
+            }
+        }
+    }
+    if (selection.mode === 'date' && selection.date && !/^\d{4}-\d{2}-\d{2}$/.test(selection.date)) {
+        problems.push(`date must be YYYY-MM-DD, got "${selection.date}"`);
+    }
+    if (selection.mode === 'ids' && !(selection.ids && selection.ids.length)) problems.push('mode "ids" needs "ids"');
+    if (selection.listOrder && !LIST_ORDERS.includes(selection.listOrder)) {
+        problems.push(`listOrder must be one of ${LIST_ORDERS.join(', ')}, got "${selection.listOrder}"`);
+    }
+    if (problems.length) {
+        throw new Error(`Invalid selection for ${where}: ${problems.join('; ')}`);
+    }
+    return selection;
+}
+
+/**
+ * Selection for one combination: config `selection`, then overrides for the
+ * grade, the subject (Chinese or English name) and "grade/subject", then `extra`
+ * @param {string} grade - Grade
+ * @param {string} subject - Subject (Chinese key)
+ * @param {Object} [extra] - Highest-priority selection (e.g. from --select)
+ * @returns {{mode: string, pattern: string|null, date: string|null, ids: string[]}}
+ */
+function getSelection(grade, subject, extra = {}) {
+    const { overrides = {}, ...base } = getConfig().selection;
+    const english = getSubjects()[subject];
+    const keys = [grade, subject, english, `${grade}/${subject}`, `${grade}/${english}`];
+    const selection = { ...base };
+    for (const key of keys) {
+        if (key && overrides[key]) Object.assign(selection, overrides[key]);
+    }
+    Object.assign(selection, extra);
+    selection.ids = (selection.ids || []).map(String);
+    return checkComplete(selection, `${grade}-${subject}`);
+}
+
+/**
+ * Parse a --select value: "nth", "newest", "all", "title:<regex>",
+ * "date:<YYYY-MM-DD>" or "ids:<id,id>"
+ * @param {string} value - Flag value
+ * @returns {Object} Partial selection
+ */
+function parseSelection(value) {
+    const sep = value.indexOf(':');
+    const mode = (sep === -1 ? value : value.slice(0, sep)).trim();
+    const arg = sep === -1 ? '' : value.slice(sep + 1).trim();
+    const selection = { mode };
+    if (mode === 'title') selection.pattern = arg;
+    else if (mode === 'date') selection.date = arg || null;
+    else if (mode === 'ids') selection.ids = arg.split(',').map(s => s.trim()).filter(Boolean);
+    else if (arg) throw new Error(`--select ${mode} takes no argument`);
+    return checkComplete(selection, `--select "${value}"`);
+}
+
+/**
+ * Short description for logs, e.g. `title /週末/`
+ * @param {Object} selection - Resolved selection
+ * @param {number} [n] - Working-day N (mode nth)
+ * @returns {string}
+ */
+function describeSelection(selection, n) {
+    switch (selection.mode) {
+        case 'nth': return newestFirst(selection) ? `item #${n} from the end` : `item #${n}`;
+        case 'title': return `title /${selection.pattern}/`;
+        case 'date': return `published ${selection.date || 'on the target day'}`;
+        case 'ids': return `ids ${selection.ids.join(',')}`;
+        default: return selection.mode;
+    }
+}
+
+/**
+ * Whether N and "newest" count from the end of the list
+ * @param {Object} selection - Resolved selection
+ * @returns {boolean}
+ */
+function newestFirst(selection) {
+    return selection.listOrder === 'newest-first';
+}
+
+/**
+ * How many items (from the top of the list, across pages) a selection needs,
+ * so listing can stop paging early
+ * @param {Object} selection - Resolved selection
+ * @param {number} n - Working-day N
+ * @returns {number|undefined} Undefined when the whole list is needed
+ */
+function itemsNeeded(selection, n) {
+    if (selection.mode === 'nth' && !newestFirst(selection)) return n;
+    if (selection.mode === 'newest' && newestFirst(selection)) return 1;
+    return undefined;
+}
+
+/**
+ * Pick the items to download from a list
+ * `selection.listOrder` says which end item 1 is: oldest-first (the default; item N
+ * is the Nth working day's paper and "newest" is the last item) or newest-first
+ * (N counts from the end and "newest" is the first item).
+ * @param {Array<{index: number, id: string|null, title: string, date?: string|null}>} items - From adapter.listItems
+ * @param {Object} selection - From getSelection
+ * @param {{n: number, date?: string}} task - Task (n for nth, date is the default for mode date)
+ * @returns {Array} Selected items in list order (empty when nothing matches)
+ */
+function selectItems(items, selection, { n, date }) {
+    switch (selection.mode) {
+        case 'newest':
+            return newestFirst(selection) ? items.slice(0, 1) : items.slice(-1);
+        case 'title': {
+            const re = new RegExp(selection.pattern, 'i');
+            return items.filter(item => re.test(item.title || ''));
+        }
+        case 'date': {
+            const day = selection.date || date || toDateKey(new Date());
+            return items.filter(item => item.date === day);
+        }
+        case 'ids': {
+            const selected = items.filter(item => item.id && selection.ids.includes(String(item.id)));
+            const missing = selection.ids.filter(id => !selected.some(item => String(item.id) === id));
+            if (missing.length && selected.length) log.warn('Ids not on the list page:', missing.join(', '));
+            return selected;
+        }
+        case 'all':
+            return items.slice();
+        default: {
+            if (!(n >= 1 && n <= items.length)) return [];
+            return [items[newestFirst(selection) ? items.length - n : n - 1]];
+        }
+    }
+}
+
+module.exports = {
+    MODES,
+    getSelection,
+    parseSelection,
+    describeSelection,
+    itemsNeeded,
+    selectItems
+};
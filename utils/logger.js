@@ -1,10 +1,17 @@
 /**
  * Simple logger utility with levels and optional scope
- * Provides consistent, timestamped logging across the project
+ * Provides consistent, timestamped logging across the project:
+ * text or JSON-lines console output, optional rotating log file,
+ * per-scope levels and run/combination/step context fields
  */
 
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
 const LEVELS = [
     { name: 'silent', rank: 0 },
     { name: 'error', rank: 1 },
@@ -13,6 +20,20 @@ const LEVELS = [
     { name: 'debug', rank: 4 }
 ];
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Context fields (runId, combination, step) for the current async call chain
+const contextStore = new AsyncLocalStorage();
+
+/**
+ * Rank of a level name, "info" for unknown names
+ * @param {string} name - Level name
+ * @returns {number}
+ */
+function rankOf(name) {
+    return LEVELS.find(l => l.name === name)?.rank ?? 3;
+}
+
 /**
  * Parse log level from env, default to "info"
  * DEBUG=true implies level "debug"
@@ -28,8 +49,7 @@ function getEnvLevel() {
 /**
  * Format current time as HH:MM:SS
  */
-function time() {
-    const d = new Date();
+function time(d = new Date()) {
     return [
         String(d.getHours()).padStart(2, '0'),
         String(d.getMinutes()).padStart(2, '0'),
@@ -38,39 +58,250 @@ function time() {
 }
 
 /**
- * Create a logger with optional scope/tag
+ * Format a date as local YYYY-MM-DD
  */
-function createLogger(scope) {
+function day(d = new Date()) {
+    return [
+        d.getFullYear(),
+        String(d.getMonth() + 1).padStart(2, '0'),
+        String(d.getDate()).padStart(2, '0')
+    ].join('-');
+}
+
+/**
+ * Create an appending log file sink with rotation and retention.
+ * The active file is rotated to `<name>.<YYYY-MM-DD>[.<i>]<ext>` when the
+ * local day changes (daily) or when it would grow past maxBytes;
+ * rotated files beyond maxFiles or older than maxAgeDays are deleted.
+ * Writes are synchronous so nothing is lost when the process exits.
+ * @param {Object} options
+ * @param {string} options.path - Active log file
+ * @param {number} [options.maxBytes] - Rotate at this size (0 = no size limit)
+ * @param {boolean} [options.daily] - Rotate when the day changes
+ * @param {number} [options.maxFiles] - Rotated files to keep (0 = unlimited)
+ * @param {number} [options.maxAgeDays] - Delete rotated files older than this (0 = never)
+ * @returns {{write: Function, rotate: Function, path: string}}
+ */
+function createFileSink({ path: filePath, maxBytes = 0, daily = true, maxFiles = 0, maxAgeDays = 0 }) {
+    const dir = path.dirname(filePath);
+    const ext = path.extname(filePath);
+    const base = path.basename(filePath, ext);
+    let size = 0;
+    let openedDay = null;
+
+    function open() {
+        fs.mkdirSync(dir, { recursive: true });
+        try {
+            const stat = fs.statSync(filePath);
+            size = stat.size;
+            openedDay = day(stat.mtime);
+        } catch {
+            size = 0;
+            openedDay = day();
+        }
+    }
+
+    /**
+     * Rotated files of this sink, oldest first
+     */
+    function rotatedFiles() {
+        const prefix = `${base}.`;
+        return fs.readdirSync(dir)
+            .filter(name => name.startsWith(prefix) && name.endsWith(ext) && /^\d{4}-\d{2}-\d{2}(\.\d+)?$/.test(name.slice(prefix.length, name.length - ext.length)))
+            .map(name => {
+                const file = path.join(dir, name);
+                return { file, mtime: fs.statSync(file).mtimeMs };
+            })
+            .sort((a, b) => a.mtime - b.mtime);
+    }
+
+    function prune() {
+        let files = rotatedFiles();
+        if (maxAgeDays > 0) {
+            const cutoff = Date.now() - maxAgeDays * DAY_MS;
+            files.filter(f => f.mtime < cutoff).forEach(f => fs.rmSync(f.file, { force: true }));
+            files = files.filter(f => f.mtime >= cutoff);
+        }
+        if (maxFiles > 0 && files.length > maxFiles) {
+            files.slice(0, files.length - maxFiles).forEach(f => fs.rmSync(f.file, { force: true }));
+        }
+    }
+
+    /**
+     * Move the active file aside and apply retention
+     */
+    function rotate() {
+        if (size > 0) {
+            let target = path.join(dir, `${base}.${openedDay}${ext}`);
+            for (let i = 1; fs.existsSync(target); i++) {
+                target = path.join(dir, `${base}.${openedDay}.${i}${ext}`);
+            }
+            fs.renameSync(filePath, target);
+        }
+        size = 0;
+        openedDay = day();
+        prune();
+    }
+
+    /**
+     * Append one line, rotating first when needed
+     * @param {string} line - Line without trailing newline
+     */
+    function write(line) {
+        if (openedDay === null) open();
+        const data = `${line}\n`;
+        const bytes = Buffer.byteLength(data);
+        if ((daily && openedDay !== day()) || (maxBytes > 0 && size > 0 && size + bytes > maxBytes)) {
+            rotate();
+        }
+        fs.appendFileSync(filePath, data);
+        size += bytes;
+    }
+
+    return { write, rotate, path: filePath };
+}
+
+let settingsCache = { loadCount: -1, settings: null };
+let sinkCache = { key: null, sink: null, failed: false };
+
+/**
+ * Resolve logging settings from the `log` config section.
+ * Read lazily (and again whenever the config is reloaded) so loggers created
+ * at require time follow `--config` and env changes; an invalid config falls
+ * back to the env-only defaults here and is reported by whoever loads it.
+ * The fallback is cached too, so a bad config file is not re-read for every log line.
+ * @returns {{level: string, scopes: Object, format: string, file: Object}}
+ */
+function getLogSettings() {
+    const { getConfig, getLoadCount, DEFAULTS } = require('./config');
+    if (settingsCache.settings && settingsCache.loadCount === getLoadCount()) return settingsCache.settings;
+
+    let config = null;
+    try {
+        config = getConfig();
+    } catch {
+        config = null;
+    }
+    const log = config?.log || DEFAULTS.log;
     const envLevel = getEnvLevel();
-    const threshold = LEVELS.find(l => l.name === envLevel)?.rank ?? 3;
+    const settings = {
+        // DEBUG=true still wins over the configured level
+        level: envLevel === 'debug' ? 'debug' : (config ? log.level : envLevel),
+        scopes: log.scopes || {},
+        format: log.format,
+        file: log.file
+    };
+    // Taken after getConfig(), which may have just (tried to) load the config
+    settingsCache = { loadCount: getLoadCount(), settings };
+    return settings;
+}
+
+/**
+ * File sink for the current settings (null when no log file is configured)
+ * @param {Object} file - `log.file` settings
+ */
+function getFileSink(file) {
+    if (!file?.path) return null;
+    const key = JSON.stringify(file);
+    if (sinkCache.key !== key) {
+        sinkCache = { key, sink: createFileSink(file), failed: false };
+    }
+    return sinkCache.sink;
+}
+
+/**
+ * Run a function with extra context fields on every log record it produces
+ * (nested calls add to the fields of the outer context)
+ * @param {Object} fields - e.g. {runId}, {combination}, {step}
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function withLogContext(fields, fn) {
+    return contextStore.run({ ...contextStore.getStore(), ...fields }, fn);
+}
+
+/**
+ * Context fields of the current async call chain
+ * @returns {Object}
+ */
+function getLogContext() {
+    return contextStore.getStore() || {};
+}
+
+/**
+ * Build one structured record
+ * @param {string} levelName - Level
+ * @param {string} [scope] - Logger scope
+ * @param {Array} args - Log arguments
+ * @returns {Object} Record {time, level, scope, runId, combination, step, msg}
+ */
+function buildRecord(levelName, scope, args) {
+    const context = getLogContext();
+    const record = {
+        time: new Date().toISOString(),
+        level: levelName,
+        scope: scope || null,
+        runId: context.runId || null,
+        combination: context.combination || null,
+        step: context.step || null,
+        msg: util.format(...args)
+    };
+    const error = args.find(arg => arg instanceof Error);
+    if (error) record.error = error.message;
+    return record;
+}
 
-    function shouldLog(levelName) {
-        const rank = LEVELS.find(l => l.name === levelName)?.rank ?? 3;
-        return rank <= threshold;
+/**
+ * Format a record as one text line
+ * @param {Object} record - Record from buildRecord
+ * @param {boolean} [full] - Full date and run id (log files) instead of HH:MM:SS
+ * @returns {string}
+ */
+function formatText(record, full = false) {
+    const at = new Date(record.time);
+    const parts = [full ? `[${day(at)} ${time(at)}]` : `[${time(at)}]`, `[${record.level.toUpperCase()}]`];
+    if (full && record.runId) parts.push(`[${record.runId}]`);
+    if (record.scope) parts.push(`[${record.scope}]`);
+    if (record.combination) parts.push(`[${record.combination}${record.step ? `/${record.step}` : ''}]`);
+    return parts.join(' ');
+}
+
+/**
+ * Create a logger with optional scope/tag
+ */
+function createLogger(scope) {
+    function shouldLog(levelName, settings) {
+        const threshold = rankOf(settings.scopes[scope] || settings.level);
+        return rankOf(levelName) <= threshold;
     }
 
-    function prefix(levelName) {
-        const head = `[${time()}] [${levelName.toUpperCase()}]`;
-        return scope ? `${head} [${scope}]` : head;
+    function emit(levelName, consoleMethod, args) {
+        const settings = getLogSettings();
+        if (!shouldLog(levelName, settings)) return;
+        const record = buildRecord(levelName, scope, args);
+
+        if (settings.format === 'json') {
+            consoleMethod(JSON.stringify(record));
+        } else {
+            consoleMethod(formatText(record), ...args);
+        }
+
+        const sink = getFileSink(settings.file);
+        if (!sink || sinkCache.failed) return;
+        try {
+            sink.write(settings.file.format === 'text' ? `${formatText(record, true)} ${record.msg}` : JSON.stringify(record));
+        } catch (error) {
+            // Report once per sink; console logging carries on
+            sinkCache.failed = true;
+            console.error(formatText(buildRecord('error', 'logger', [])), 'Log file write failed:', error?.message || error);
+        }
     }
 
     return {
-        info: (...args) => {
-            if (!shouldLog('info')) return;
-            console.log(prefix('info'), ...args);
-        },
-        warn: (...args) => {
-            if (!shouldLog('warn')) return;
-            console.warn(prefix('warn'), ...args);
-        },
-        error: (...args) => {
-            if (!shouldLog('error')) return;
-            console.error(prefix('error'), ...args);
-        },
-        debug: (...args) => {
-            if (!shouldLog('debug')) return;
-            console.log(prefix('debug'), ...args);
-        }
+        info: (...args) => emit('info', console.log, args),
+        warn: (...args) => emit('warn', console.warn, args),
+        error: (...args) => emit('error', console.error, args),
+        debug: (...args) => emit('debug', console.log, args)
     };
 }
 
@@ -78,7 +309,8 @@ const logger = createLogger();
 
 module.exports = {
     createLogger,
+    createFileSink,
+    withLogContext,
+    getLogContext,
     logger
 };
-
-
@@ -3,6 +3,7 @@
  * Handles authentication and session management
  */
 
+const { getConfig } = require('./config');
 const { createLogger } = require('./logger');
 const log = createLogger('login');
 
@@ -14,22 +15,23 @@ const log = createLogger('login');
  * @returns {Promise<boolean>} Success status
  */
 async function performLogin(page, username, password) {
+    const { selectors } = getConfig();
     try {
         log.info('Start login flow');
         
         // Wait for email input and fill it
-        await page.waitForSelector('input[type="email"]');
-        await page.fill('input[type="email"]', username);
+        await page.waitForSelector(selectors.emailInput);
+        await page.fill(selectors.emailInput, username);
         log.debug('Filled username');
         
         // Fill password
-        await page.fill('input[type="password"]', password);
+        await page.fill(selectors.passwordInput, password);
         log.debug('Filled password');
         
         // Click login button and wait for navigation
         await Promise.all([
             page.waitForNavigation({ waitUntil: 'networkidle' }),
-            page.click('button[name="login"]')
+            page.click(selectors.loginButton)
         ]);
         log.debug('Clicked login button');
         
@@ -48,13 +50,9 @@ async function performLogin(page, username, password) {
             await page.waitForLoadState('networkidle');
             
             // Optional: Try to find user account indicators
-            try {
-                await page.locator('a:has-text("我的帳戶"), a:has-text("登出")').first().waitFor({ 
-                    state: 'visible', 
-                    timeout: 6000 
-                });
+            if (await isLoggedIn(page)) {
                 log.debug('Confirmed login by account UI');
-            } catch (e) {
+            } else {
                 log.warn('Account UI not found; URL indicates logged-in');
             }
             
@@ -70,6 +68,26 @@ async function performLogin(page, username, password) {
     }
 }
 
+/**
+ * Check whether the current page shows logged-in account UI
+ * (config `selectors.accountLinks`, by default the "我的帳戶" / "登出" links)
+ * @param {Object} page - Playwright page object
+ * @param {number} [timeout] - Max wait in ms
+ * @returns {Promise<boolean>} True if account UI is visible
+ */
+async function isLoggedIn(page, timeout = 6000) {
+    try {
+        await page.locator(getConfig().selectors.accountLinks).first().waitFor({ 
+            state: 'visible', 
+            timeout 
+        });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
 module.exports = {
-    performLogin
+    performLogin,
+    isLoggedIn
 };
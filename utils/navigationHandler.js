@@ -4,23 +4,39 @@
  */
 'use strict';
 
+const { getConfig } = require('./config');
 const { createLogger } = require('./logger');
 const log = createLogger('nav');
 
 /**
- * Grade options available on the website
+ * Grade options available on the website (config `grades`)
+ * @returns {string[]} Grades
  */
-const GRADES = ['P1', 'P2', 'P3', 'P4', 'P5', 'P6'];
+function getGrades() {
+    return getConfig().grades;
+}
 
 /**
- * Subject options and their URL parameter mappings
+ * Subject options and their URL parameter mappings (config `subjects`)
+ * @returns {Object<string, string>} Chinese name -> URL parameter
  */
-const SUBJECTS = {
-    '中': 'Chinese',
-    '英': 'English', 
-    '數': 'Maths',
-    '常': 'GS'
-};
+function getSubjects() {
+    return getConfig().subjects;
+}
+
+/**
+ * Build the list page URL for a combination (config `site.listPath`)
+ * @param {string} baseUrl - Base URL of the website
+ * @param {string} grade - Grade
+ * @param {string} subjectEnglish - Subject URL parameter
+ * @returns {string} List page URL
+ */
+function buildListUrl(baseUrl, grade, subjectEnglish) {
+    const listPath = getConfig().site.listPath
+        .replace('{grade}', encodeURIComponent(grade))
+        .replace('{subject}', encodeURIComponent(subjectEnglish));
+    return `${baseUrl}${listPath}`;
+}
 
 /**
  * Navigate to filtered page using URL parameters
@@ -32,7 +48,7 @@ const SUBJECTS = {
  */
 async function navigateToFilteredPage(page, baseUrl, grade, subjectChinese) {
     try {
-        const subjectEnglish = SUBJECTS[subjectChinese];
+        const subjectEnglish = getSubjects()[subjectChinese];
         if (!subjectEnglish) {
             log.error('Unknown subject:', subjectChinese);
             return false;
@@ -41,7 +57,7 @@ async function navigateToFilteredPage(page, baseUrl, grade, subjectChinese) {
         log.info('Navigate to filter page:', `${grade} - ${subjectChinese} (${subjectEnglish})`);
         
         // Construct URL with parameters
-        const filterUrl = `${baseUrl}/?grade=${grade}&subject=${subjectEnglish}`;
+        const filterUrl = buildListUrl(baseUrl, grade, subjectEnglish);
         log.debug('Goto URL:', filterUrl);
         
         // Navigate to filtered page
@@ -59,14 +75,49 @@ async function navigateToFilteredPage(page, baseUrl, grade, subjectChinese) {
 }
 
 /**
- * Get all filter combinations (grade + subject)
+ * Resolve a subject given in Chinese ("數") or English ("Maths") to its Chinese key
+ * @param {string} name - Subject name
+ * @returns {string|null} Chinese subject key or null if unknown
+ */
+function resolveSubject(name) {
+    const subjects = getSubjects();
+    const value = String(name).trim();
+    if (subjects[value]) return value;
+    const match = Object.entries(subjects).find(([, english]) => english.toLowerCase() === value.toLowerCase());
+    return match ? match[0] : null;
+}
+
+/**
+ * Get filter combinations (grade + subject), optionally limited
+ * @param {Object} [filter] - Optional limits
+ * @param {string[]} [filter.grades] - Grades to keep (default: all configured grades)
+ * @param {string[]} [filter.subjects] - Subjects to keep, Chinese or English (default: all configured subjects)
  * @returns {Array} Array of filter combinations
  */
-function getFilterCombinations() {
+function getFilterCombinations({ grades, subjects } = {}) {
+    const knownGrades = getGrades();
+    const knownSubjects = getSubjects();
+    const selectedGrades = grades && grades.length ? grades.map(g => String(g).trim().toUpperCase()) : knownGrades;
+    const unknownGrades = selectedGrades.filter(g => !knownGrades.includes(g));
+    if (unknownGrades.length) {
+        throw new Error(`Unknown grade(s): ${unknownGrades.join(', ')} (valid: ${knownGrades.join(', ')})`);
+    }
+    
+    let selectedSubjects = Object.keys(knownSubjects);
+    if (subjects && subjects.length) {
+        const unknownSubjects = subjects.filter(s => !resolveSubject(s));
+        if (unknownSubjects.length) {
+            const valid = Object.entries(knownSubjects).map(([zh, en]) => `${zh}/${en}`).join(', ');
+            throw new Error(`Unknown subject(s): ${unknownSubjects.join(', ')} (valid: ${valid})`);
+        }
+        const wanted = new Set(subjects.map(resolveSubject));
+        selectedSubjects = selectedSubjects.filter(s => wanted.has(s));
+    }
+    
     const combinations = [];
     
-    for (const grade of GRADES) {
-        for (const subjectChinese of Object.keys(SUBJECTS)) {
+    for (const grade of selectedGrades) {
+        for (const subjectChinese of selectedSubjects) {
             combinations.push({ grade, subject: subjectChinese });
         }
     }
@@ -85,7 +136,7 @@ async function clickNthItem(page, n) {
         log.info('Click item index:', n);
         
         // Wait for items to load
-        const sheetsContainer = page.locator('.sheet');
+        const sheetsContainer = page.locator(getConfig().selectors.listItem);
         await sheetsContainer.first().waitFor({ state: 'visible' });
         
         // Get all sheet items
@@ -103,7 +154,7 @@ async function clickNthItem(page, n) {
         
         // Click on the nth item (convert to 0-based index)
         const targetItem = sheetsContainer.nth(n - 1);
-        const linkElement = targetItem.locator('a').first();
+        const linkElement = targetItem.locator(getConfig().selectors.itemLink).first();
         
         await Promise.all([
             page.waitForNavigation({ waitUntil: 'networkidle' }),
@@ -119,7 +170,154 @@ async function clickNthItem(page, n) {
     }
 }
 
+/**
+ * Normalize a published date to YYYY-MM-DD
+ * Accepts 2025-10-02, 2025/10/2, 2025.10.02 or 2025年10月2日 anywhere in the text
+ * @param {string|null} text - Attribute or text
+ * @returns {string|null}
+ */
+function parseItemDate(text) {
+    const match = /(\d{4})\s*[-/.年]\s*(\d{1,2})\s*[-/.月]\s*(\d{1,2})/.exec(text || '');
+    if (!match) return null;
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+}
+
+/**
+ * Read the items on the current list page
+ * The published date comes from `selectors.itemDate` inside the item
+ * (its datetime attribute or text), else from a date in the title.
+ * @param {Object} page - Playwright page object
+ * @param {number} [timeout] - How long to wait for the first item (Playwright default when omitted)
+ * @returns {Promise<Array<{index: number, id: string|null, title: string, href: string|null, date: string|null}>>} Items (index is 1-based)
+ */
+async function readPageItems(page, timeout) {
+    const { listItem, itemLink, itemDate } = getConfig().selectors;
+    const sheetsContainer = page.locator(listItem);
+    await sheetsContainer.first().waitFor({ state: 'visible', timeout });
+    
+    const raw = await sheetsContainer.evaluateAll((sheets, [linkSelector, dateSelector]) => sheets.map(sheet => {
+        const link = sheet.querySelector(linkSelector);
+        const time = dateSelector ? sheet.querySelector(dateSelector) : null;
+        return {
+            title: (sheet.textContent || '').replace(/\s+/g, ' ').trim(),
+            href: link ? link.getAttribute('href') : null,
+            date: time ? time.getAttribute('datetime') || time.textContent : null
+        };
+    }), [itemLink, itemDate]);
+    
+    return raw.map((item, i) => ({
+        index: i + 1,
+        id: item.href ? new URL(item.href, page.url()).searchParams.get('id') : null,
+        title: item.title,
+        href: item.href,
+        date: parseItemDate(item.date) || parseItemDate(item.title)
+    }));
+}
+
+/**
+ * URL of the list page after the current one (config `site.pagination`):
+ *   auto   `selectors.nextPage` link, else a link whose `site.pageParam` is the next page number
+ *   next   `selectors.nextPage` link only
+ *   param  the current URL with `site.pageParam` incremented
+ *   none   single page
+ * @param {Object} page - Playwright page object
+ * @param {number} pageNumber - Current page number (1-based)
+ * @returns {Promise<string|null>} Next page URL, or null on the last page
+ */
+async function findNextPageUrl(page, pageNumber) {
+    const { pagination, pageParam } = getConfig().site;
+    if (pagination === 'none') return null;
+    
+    if (pagination === 'param') {
+        const url = new URL(page.url());
+        url.searchParams.set(pageParam, String(pageNumber + 1));
+        return url.href;
+    }
+    
+    const next = page.locator(getConfig().selectors.nextPage).first();
+    if (await next.count()) {
+        const href = await next.getAttribute('href');
+        if (href) return new URL(href, page.url()).href;
+    }
+    if (pagination === 'next') return null;
+    
+    const hrefs = await page.locator(`a[href*="${pageParam}="]`).evaluateAll(links => links.map(link => link.href));
+    return hrefs.find(href => new URL(href).searchParams.get(pageParam) === String(pageNumber + 1)) || null;
+}
+
+/**
+ * List the items of the current list, following its pagination
+ * Items are numbered across pages; `page`, `pageIndex` and `pageUrl` say where each one is.
+ * @param {Object} page - Playwright page object (on the first list page)
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Stop paging once this many items are known
+ * @param {Object} [options.limiter] - Rate limiter, taken before each further page
+ * @returns {Promise<Array<{index: number, id: string|null, title: string, href: string|null, date: string|null, page: number, pageIndex: number, pageUrl: string}>>} Items (index is 1-based)
+ */
+async function listItems(page, { limit, limiter } = {}) {
+    return collectListPages(page, {
+        limit,
+        limiter,
+        // Pages after the first may be past the end of the list and stay empty
+        readPage: (current, pageNumber) => (pageNumber === 1 ? readPageItems(current) : readPageItems(current, 5000).catch(() => [])),
+        nextPageUrl: findNextPageUrl
+    });
+}
+
+/**
+ * Page through a list: read each page, number the new items across pages and go
+ * to the next page until the list ends, `limit` items are known or `site.maxPages` is hit.
+ * Shared by the browser and the HTTP-only adapter, which bring their own page readers.
+ * @param {Object} page - Page (Playwright or HTTP) on the first list page; needs url() and goto()
+ * @param {Object} options
+ * @param {Function} options.readPage - async (page, pageNumber) => items of the current page (see readPageItems)
+ * @param {Function} options.nextPageUrl - async (page, pageNumber) => next page URL or null
+ * @param {number} [options.limit] - Stop paging once this many items are known
+ * @param {Object} [options.limiter] - Rate limiter, taken before each further page
+ * @returns {Promise<Array>} Items, as listItems
+ */
+async function collectListPages(page, { readPage, nextPageUrl, limit, limiter }) {
+    const { maxPages } = getConfig().site;
+    const items = [];
+    const seen = new Set();
+    
+    for (let pageNumber = 1; ; pageNumber++) {
+        const pageItems = await readPage(page, pageNumber);
+        const pageUrl = page.url();
+        const fresh = pageItems.filter(item => !seen.has(item.id || item.href));
+        if (fresh.length === 0) break;
+        
+        for (const item of fresh) {
+            seen.add(item.id || item.href);
+            items.push({ ...item, index: items.length + 1, page: pageNumber, pageIndex: item.index, pageUrl });
+        }
+        if (limit && items.length >= limit) break;
+        if (pageNumber >= maxPages) {
+            log.warn(`Stopped after ${maxPages} list pages (site.maxPages), items: ${items.length}`);
+            break;
+        }
+        
+        const nextUrl = await nextPageUrl(page, pageNumber);
+        if (!nextUrl || nextUrl === pageUrl) break;
+        log.debug(`List page ${pageNumber + 1}:`, nextUrl);
+        if (limiter) await limiter.acquire();
+        await page.goto(nextUrl, { waitUntil: 'networkidle' });
+    }
+    
+    if (items.length && items[items.length - 1].page > 1) {
+        log.info(`Listed ${items.length} items on ${items[items.length - 1].page} pages`);
+    }
+    return items;
+}
+
 module.exports = {
+    getGrades,
+    getSubjects,
+    resolveSubject,
+    buildListUrl,
+    listItems,
+    collectListPages,
+    parseItemDate,
     navigateToFilteredPage,
     getFilterCombinations,
     clickNthItem
@@ -0,0 +1,262 @@
+/**
+ * Run summary notifications
+ * Sends the outcome of a run to a JSON webhook (generic, Slack or Teams payload)
+ * and/or by SMTP email, optionally attaching the downloaded PDFs
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('notify');
+
+const STATUS_MARKS = { downloaded: '✓', known: '=', planned: '?', failed: '✗' };
+
+/**
+ * Notification settings (config `notify`; SMTP password from SMTP_PASSWORD env)
+ * @returns {Object}
+ */
+function getNotifyOptions() {
+    const { notify } = getConfig();
+    return {
+        ...notify,
+        email: { ...notify.email, password: process.env.SMTP_PASSWORD || null }
+    };
+}
+
+/**
+ * Whether a run is a failure for notification purposes
+ * @param {Object} summary - Run summary
+ * @returns {boolean}
+ */
+function isFailedRun(summary) {
+    return !summary.ok || summary.failed > 0;
+}
+
+/**
+ * Apply the notify.on rule
+ * @param {Object} summary - Run summary
+ * @param {string} rule - always | failure | never
+ * @returns {boolean}
+ */
+function shouldNotify(summary, rule) {
+    if (rule === 'never') return false;
+    if (rule === 'failure') return isFailedRun(summary);
+    return true;
+}
+
+/**
+ * One-line headline, e.g. "run FAILED: 20 downloaded, 3 known, 1 failed"
+ * @param {Object} summary - Run summary
+ * @param {string} label - Run label (run, backfill, ...)
+ * @returns {string}
+ */
+function formatHeadline(summary, label) {
+    const state = !summary.ok ? 'FAILED' : summary.failed > 0 ? 'PARTIAL' : 'OK';
+    const n = summary.n ? ` (N=${summary.n})` : '';
+    const account = summary.profile ? ` [${summary.profile}]` : '';
+    return `Auto download ${label}${account}${n} ${state}: ${summary.downloaded} downloaded, ${summary.known} known, ${summary.failed} failed of ${summary.total}`;
+}
+
+/**
+ * Format one result line
+ * @param {Object} result - Entry of summary.results
+ * @param {string} downloadDir - Download directory (paths are shown relative to it)
+ * @returns {string}
+ */
+function formatResult(result, downloadDir) {
+    const label = `${STATUS_MARKS[result.status] || '-'} ${result.grade}-${result.subject} #${result.item ?? result.n}${result.date ? ` (${result.date})` : ''}`;
+    if (result.status === 'failed') {
+        return `${label}: failed at ${result.step} (${result.kind}): ${result.message}`;
+    }
+    const file = result.filePath ? path.relative(downloadDir, result.filePath).split(path.sep).join('/') : '';
+    return `${label}: ${result.status}${file ? ` ${file}` : ''}${result.strategy ? ` [${result.strategy}]` : ''}`;
+}
+
+/**
+ * Plain-text body listing every combination
+ * @param {Object} summary - Run summary
+ * @param {Object} options
+ * @param {string} options.label - Run label
+ * @param {string} options.downloadDir - Download directory
+ * @returns {string}
+ */
+function formatSummaryText(summary, { label, downloadDir }) {
+    const lines = [formatHeadline(summary, label), ''];
+    if (summary.error) lines.push(`Error: ${summary.error}`, '');
+    lines.push(...summary.results.map(result => formatResult(result, downloadDir)));
+    lines.push('', `Host: ${os.hostname()}`, `Started: ${summary.startedAt}`, `Finished: ${summary.finishedAt || new Date().toISOString()}`);
+    if (summary.report) lines.push(`Report: ${summary.report.htmlPath}`);
+    return lines.join('\n');
+}
+
+/**
+ * Build the webhook body for a payload format
+ * @param {Object} summary - Run summary
+ * @param {Object} options
+ * @param {string} options.format - generic | slack | teams
+ * @param {string} options.label - Run label
+ * @param {string} options.downloadDir - Download directory
+ * @returns {Object} JSON body
+ */
+function buildWebhookPayload(summary, { format, label, downloadDir }) {
+    const headline = formatHeadline(summary, label);
+    const text = formatSummaryText(summary, { label, downloadDir });
+    
+    if (format === 'slack') {
+        return { text: `${headline}\n\`\`\`\n${text.split('\n').slice(2).join('\n')}\n\`\`\`` };
+    }
+    if (format === 'teams') {
+        return {
+            '@type': 'MessageCard',
+            '@context': 'https://schema.org/extensions',
+            summary: headline,
+            themeColor: isFailedRun(summary) ? 'D93F0B' : '2EA44F',
+            title: headline,
+            text: text.split('\n').slice(2).join('<br>')
+        };
+    }
+    return {
+        event: 'run-summary',
+        label,
+        headline,
+        host: os.hostname(),
+        summary: {
+            ...summary,
+            results: summary.results.map(result => ({
+                ...result,
+                file: result.filePath ? path.relative(downloadDir, result.filePath).split(path.sep).join('/') : null
+            }))
+        }
+    };
+}
+
+/**
+ * POST the summary to the webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ */
+async function sendWebhook(url, payload) {
+    const response = await axios.post(url, payload, {
+        timeout: 15000,
+        headers: { 'Content-Type': 'application/json' }
+    });
+    log.debug('Webhook answered:', response.status);
+}
+
+/**
+ * Collect downloaded PDFs as attachments up to a total size
+ * @param {Object} summary - Run summary
+ * @param {number} maxBytes - Size budget
+ * @returns {Promise<{attachments: Array, skipped: string[]}>}
+ */
+async function collectAttachments(summary, maxBytes) {
+    const attachments = [];
+    const skipped = [];
+    let total = 0;
+    for (const result of summary.results) {
+        if (result.status !== 'downloaded' || !result.filePath) continue;
+        try {
+            const { size } = await fs.stat(result.filePath);
+            if (total + size > maxBytes) {
+                skipped.push(path.basename(result.filePath));
+                continue;
+            }
+            total += size;
+            attachments.push({ filename: path.basename(result.filePath), path: result.filePath, contentType: 'application/pdf' });
+        } catch (error) {
+            log.warn('Cannot attach', result.filePath, error?.message || error);
+        }
+    }
+    return { attachments, skipped };
+}
+
+/**
+ * Send the summary by email
+ * @param {Object} email - notify.email settings plus password
+ * @param {Object} message - {subject, text, attachments}
+ */
+async function sendEmail(email, { subject, text, attachments = [] }) {
+    const transport = nodemailer.createTransport({
+        host: email.host,
+        port: email.port,
+        secure: email.secure,
+        ...(email.user ? { auth: { user: email.user, pass: email.password || '' } } : {})
+    });
+    try {
+        const info = await transport.sendMail({
+            from: email.from || email.user || `auto-download-pdf@${os.hostname()}`,
+            to: email.to.join(', '),
+            subject,
+            text,
+            attachments
+        });
+        log.debug('Email accepted:', info.messageId);
+    } finally {
+        transport.close();
+    }
+}
+
+/**
+ * Send the run summary to every configured channel.
+ * Never throws: a notification problem must not fail the run.
+ * @param {Object} summary - Run summary
+ * @param {Object} options
+ * @param {string} options.label - Run label (run, backfill, ...)
+ * @param {string} options.downloadDir - Download directory
+ * @param {Object} [options.notify] - Settings (default: getNotifyOptions())
+ * @returns {Promise<string[]>} Channels that were sent to
+ */
+async function notifyRunSummary(summary, { label, downloadDir, notify = getNotifyOptions() }) {
+    const sent = [];
+    const hasWebhook = Boolean(notify.webhook.url);
+    const hasEmail = Boolean(notify.email.host && notify.email.to.length);
+    if (!hasWebhook && !hasEmail) return sent;
+    if (!shouldNotify(summary, notify.on)) {
+        log.debug(`Notification skipped (notify.on=${notify.on})`);
+        return sent;
+    }
+    
+    if (hasWebhook) {
+        try {
+            await sendWebhook(notify.webhook.url, buildWebhookPayload(summary, { format: notify.webhook.format, label, downloadDir }));
+            sent.push('webhook');
+            log.info('Run summary sent to webhook');
+        } catch (error) {
+            log.warn('Webhook notification failed:', error?.message || error);
+        }
+    }
+    
+    if (hasEmail) {
+        try {
+            let text = formatSummaryText(summary, { label, downloadDir });
+            let attachments = [];
+            if (notify.attachPdfs) {
+                const collected = await collectAttachments(summary, notify.maxAttachmentBytes);
+                attachments = collected.attachments;
+                if (collected.skipped.length) {
+                    text += `\n\nNot attached (over ${notify.maxAttachmentBytes} bytes): ${collected.skipped.join(', ')}`;
+                }
+            }
+            await sendEmail(notify.email, { subject: formatHeadline(summary, label), text, attachments });
+            sent.push('email');
+            log.info(`Run summary emailed to ${notify.email.to.join(', ')}${attachments.length ? ` with ${attachments.length} PDF(s)` : ''}`);
+        } catch (error) {
+            log.warn('Email notification failed:', error?.message || error);
+        }
+    }
+    
+    return sent;
+}
+
+module.exports = {
+    notifyRunSummary,
+    getNotifyOptions,
+    shouldNotify,
+    buildWebhookPayload,
+    formatSummaryText
+};
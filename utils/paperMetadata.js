@@ -0,0 +1,271 @@
+/**
+ * Paper metadata
+ * Scrapes title/description/publish date/tags from the detail page (or its HTML) and writes
+ * a JSON sidecar next to each PDF plus a per-day index.json
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const cheerio = require('cheerio');
+const { toDateKey } = require('./holidayCalendar');
+const { createLogger } = require('./logger');
+const log = createLogger('meta');
+
+const DAY_INDEX_NAME = 'index.json';
+const DATE_DIR_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Where each field is looked for, first match wins
+const FIELD_SELECTORS = {
+    title: ['.paper-title', 'h1', 'meta[property="og:title"]'],
+    description: ['.paper-description', '.description', 'meta[name="description"]', 'meta[property="og:description"]'],
+    publishedAt: ['time[datetime]', '.publish-date', '.date', 'meta[property="article:published_time"]']
+};
+const TAG_SELECTOR = '.tags a, .tags li, .tag, a[rel="tag"]';
+const EMPTY_METADATA = { title: null, description: null, publishedAt: null, tags: [] };
+
+/**
+ * Extract metadata from the current detail page.
+ * Tries common markup first, then meta tags; missing fields are null.
+ * @param {Object} page - Playwright page object
+ * @returns {Promise<{title: string|null, description: string|null, publishedAt: string|null, tags: string[]}>}
+ */
+async function extractPaperMetadata(page) {
+    try {
+        return await page.evaluate(([fields, tagSelector]) => {
+            const text = el => (el ? (el.getAttribute('content') || el.getAttribute('datetime') || el.textContent || '').replace(/\s+/g, ' ').trim() : '') || null;
+            const first = selectors => {
+                for (const selector of selectors) {
+                    const value = text(document.querySelector(selector));
+                    if (value) return value;
+                }
+                return null;
+            };
+            
+            const tags = Array.from(document.querySelectorAll(tagSelector))
+                .map(el => el.textContent.replace(/\s+/g, ' ').trim())
+                .filter(Boolean);
+            if (tags.length === 0) {
+                const keywords = text(document.querySelector('meta[name="keywords"]'));
+                if (keywords) tags.push(...keywords.split(/[,，]/).map(s => s.trim()).filter(Boolean));
+            }
+            
+            return {
+                title: first(fields.title) || document.title || null,
+                description: first(fields.description),
+                publishedAt: first(fields.publishedAt),
+                tags: Array.from(new Set(tags))
+            };
+        }, [FIELD_SELECTORS, TAG_SELECTOR]);
+    } catch (error) {
+        log.warn('Metadata extraction failed:', error?.message || error);
+        return { ...EMPTY_METADATA };
+    }
+}
+
+/**
+ * Extract metadata from detail page HTML (HTTP-only mode); same rules as extractPaperMetadata
+ * @param {string} html - Page HTML
+ * @returns {{title: string|null, description: string|null, publishedAt: string|null, tags: string[]}}
+ */
+function parsePaperMetadata(html) {
+    try {
+        const $ = cheerio.load(html);
+        const text = el => (el.length ? (el.attr('content') || el.attr('datetime') || el.text() || '').replace(/\s+/g, ' ').trim() : '') || null;
+        const first = selectors => {
+            for (const selector of selectors) {
+                const value = text($(selector).first());
+                if (value) return value;
+            }
+            return null;
+        };
+        
+        const tags = $(TAG_SELECTOR).toArray()
+            .map(el => $(el).text().replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+        if (tags.length === 0) {
+            const keywords = text($('meta[name="keywords"]').first());
+            if (keywords) tags.push(...keywords.split(/[,，]/).map(s => s.trim()).filter(Boolean));
+        }
+        
+        return {
+            title: first(FIELD_SELECTORS.title) || $('title').first().text().trim() || null,
+            description: first(FIELD_SELECTORS.description),
+            publishedAt: first(FIELD_SELECTORS.publishedAt),
+            tags: Array.from(new Set(tags))
+        };
+    } catch (error) {
+        log.warn('Metadata extraction failed:', error?.message || error);
+        return { ...EMPTY_METADATA };
+    }
+}
+
+/**
+ * Sidecar path for a PDF (same name, .json extension)
+ * @param {string} filePath - PDF path
+ * @returns {string}
+ */
+function getSidecarPath(filePath) {
+    return filePath.replace(/\.pdf$/i, '') + '.json';
+}
+
+/**
+ * Day index path: <downloadDir>/<date>/index.json, whatever the filename template
+ * @param {string} downloadDir - Download directory path
+ * @param {string} date - Logical date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getDayIndexPath(downloadDir, date) {
+    return path.join(downloadDir, date, DAY_INDEX_NAME);
+}
+
+/**
+ * Write a day index atomically
+ * @param {string} indexPath - index.json path
+ * @param {string} date - Logical date
+ * @param {Object[]} papers - Sidecar records
+ */
+async function writeDayIndex(indexPath, date, papers) {
+    papers.sort((a, b) => `${a.grade}${a.subject}${a.file}`.localeCompare(`${b.grade}${b.subject}${b.file}`));
+    await fs.mkdir(path.dirname(indexPath), { recursive: true });
+    const tmpPath = `${indexPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify({ date, updatedAt: new Date().toISOString(), papers }, null, 2));
+    await fs.rename(tmpPath, indexPath);
+}
+
+// Day index updates are chained so parallel workers never lose entries
+let indexQueue = Promise.resolve();
+
+/**
+ * Add or replace a paper in the day index
+ * @param {string} downloadDir - Download directory path
+ * @param {Object} record - Sidecar record (record.file is relative to downloadDir)
+ * @returns {Promise<void>}
+ */
+function updateDayIndex(downloadDir, record) {
+    const run = indexQueue.then(async () => {
+        const indexPath = getDayIndexPath(downloadDir, record.date);
+        let papers = [];
+        try {
+            papers = JSON.parse(await fs.readFile(indexPath, 'utf8')).papers || [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') log.warn('Day index unreadable, rebuilding:', error?.message || error);
+        }
+        
+        // A reference shares its file with the paper it duplicates; both entries stay
+        const sameFile = p => p.file === record.file && !p.reference && !record.reference;
+        papers = papers.filter(p => !sameFile(p) && !(record.id && p.id === record.id));
+        papers.push(record);
+        await writeDayIndex(indexPath, record.date, papers);
+    });
+    indexQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * Reference entries of the current day indexes (papers kept as a ledger
+ * reference have no sidecar of their own, only their index entry)
+ * @param {string} downloadDir - Download directory path
+ * @returns {Promise<Object[]>} Index records with `reference: true`
+ */
+async function readReferenceRecords(downloadDir) {
+    const records = [];
+    const entries = await fs.readdir(downloadDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries.filter(e => e.isDirectory() && DATE_DIR_RE.test(e.name))) {
+        try {
+            const { papers = [] } = JSON.parse(await fs.readFile(getDayIndexPath(downloadDir, entry.name), 'utf8'));
+            records.push(...papers.filter(p => p.reference));
+        } catch (error) {
+            if (error.code !== 'ENOENT') log.warn('Day index unreadable, references dropped:', error?.message || error);
+        }
+    }
+    return records;
+}
+
+/**
+ * Rewrite every day index from a full list of sidecar records
+ * Reference entries of the current indexes are kept, their `file` following
+ * the moved papers.
+ * @param {string} downloadDir - Download directory path
+ * @param {Object[]} records - All sidecar records
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.moved] - Relative path before -> after, for moved papers
+ * @returns {Promise<void>}
+ */
+async function rebuildDayIndexes(downloadDir, records, { moved = new Map() } = {}) {
+    const references = (await readReferenceRecords(downloadDir))
+        .map(record => ({ ...record, file: moved.get(record.file) || record.file }));
+    const byDate = new Map();
+    for (const record of [...records, ...references]) {
+        if (!record.date) continue;
+        if (!byDate.has(record.date)) byDate.set(record.date, []);
+        byDate.get(record.date).push(record);
+    }
+    for (const [date, papers] of byDate) {
+        await writeDayIndex(getDayIndexPath(downloadDir, date), date, papers);
+    }
+}
+
+/**
+ * Write the JSON sidecar for a saved PDF and update the day index
+ * A paper kept as a reference (saved.reference) only gets its day index entry,
+ * pointing at the file of the paper it duplicates; that paper keeps its sidecar.
+ * @param {Object} info
+ * @param {Object} info.saved - Result of downloadPDF (after dedupeDownload)
+ * @param {Object} info.metadata - Result of extractPaperMetadata
+ * @param {Object} info.task - { grade, subject, n, date? }
+ * @param {string} info.sourceUrl - Detail page URL
+ * @param {string} info.downloadDir - Download directory path
+ * @returns {Promise<Object>} Written record
+ */
+async function writePaperMetadata({ saved, metadata, task, sourceUrl, downloadDir }) {
+    const stat = await fs.stat(saved.filePath);
+    const record = {
+        id: saved.id,
+        grade: task.grade,
+        subject: task.subject,
+        n: task.n,
+        date: task.date || toDateKey(new Date()),
+        title: metadata.title,
+        description: metadata.description,
+        publishedAt: metadata.publishedAt,
+        tags: metadata.tags,
+        sourceUrl,
+        strategy: saved.strategy,
+        file: toRelative(downloadDir, saved.filePath),
+        size: stat.size,
+        pageCount: saved.pageCount,
+        sha256: saved.sha256,
+        duplicateOf: saved.duplicateOf,
+        reference: saved.reference || undefined,
+        downloadedAt: new Date().toISOString()
+    };
+    
+    if (!saved.reference) {
+        await fs.writeFile(getSidecarPath(saved.filePath), JSON.stringify(record, null, 2));
+        log.debug('Wrote metadata:', getSidecarPath(saved.filePath));
+    }
+    await updateDayIndex(downloadDir, record);
+    return record;
+}
+
+/**
+ * Path relative to the download dir with forward slashes (portable in JSON)
+ * @param {string} downloadDir - Download directory path
+ * @param {string} filePath - File path
+ * @returns {string}
+ */
+function toRelative(downloadDir, filePath) {
+    return path.relative(downloadDir, filePath).split(path.sep).join('/');
+}
+
+module.exports = {
+    extractPaperMetadata,
+    parsePaperMetadata,
+    writePaperMetadata,
+    rebuildDayIndexes,
+    getSidecarPath,
+    getDayIndexPath,
+    toRelative,
+    DAY_INDEX_NAME
+};
@@ -0,0 +1,81 @@
+/**
+ * Site adapter for the paper site this tool was built for
+ * Email/password login form, `/?grade=&subject=` list pages with `.sheet` items
+ * (paginated by next links or a `page=` parameter),
+ * and a detail page whose download form POSTs to `/paper/download.php`.
+ * URLs and selectors come from the config (`site.*`, `selectors.*`).
+ * `httpAdapter` is the browserless variant used in HTTP-only mode (httpSiteAdapter.js)
+ */
+'use strict';
+
+const { performLogin, isLoggedIn } = require('./loginHandler');
+const { navigateToFilteredPage, listItems: readListItems, clickNthItem } = require('./navigationHandler');
+const { downloadPDF } = require('./downloadHandler');
+const { extractPaperMetadata } = require('./paperMetadata');
+const { StepError } = require('./errors');
+const { createLogger } = require('./logger');
+const log = createLogger('site');
+
+/**
+ * Open the login page and submit the login form
+ * @param {Object} page - Playwright page object
+ * @param {{loginUrl: string, username: string, password: string}} credentials
+ * @returns {Promise<boolean>} Success status
+ */
+async function login(page, { loginUrl, username, password }) {
+    log.info('Goto login page:', loginUrl);
+    await page.goto(loginUrl, { waitUntil: 'networkidle' });
+    
+    // Perform login (will auto-redirect to main page)
+    return performLogin(page, username, password);
+}
+
+/**
+ * Open the filtered list page and read its items, following pagination
+ * @param {Object} page - Playwright page object
+ * @param {{baseUrl: string, grade: string, subject: string, limit?: number, limiter?: Object}} list - List to open
+ *   (limit: stop paging once this many items are known)
+ * @returns {Promise<Array<{index: number, id: string|null, title: string, href: string|null, date: string|null, pageIndex: number, pageUrl: string}>>} Items
+ */
+async function listItems(page, { baseUrl, grade, subject, limit, limiter }) {
+    if (!await navigateToFilteredPage(page, baseUrl, grade, subject)) {
+        throw new StepError('navigation failed', { step: 'navigate', kind: 'navigation' });
+    }
+    return readListItems(page, { limit, limiter });
+}
+
+/**
+ * Open an item's detail page, going to the list page that holds it first
+ * @param {Object} page - Playwright page object
+ * @param {{index: number, pageIndex?: number, pageUrl?: string}} item - Item from listItems
+ */
+async function openItem(page, item) {
+    if (item.pageUrl && page.url() !== item.pageUrl) {
+        log.debug('Back to list page:', item.pageUrl);
+        await page.goto(item.pageUrl, { waitUntil: 'networkidle' });
+    }
+    if (!await clickNthItem(page, item.pageIndex || item.index)) {
+        throw new StepError(`cannot click #${item.index}`, { step: 'click', kind: 'click' });
+    }
+}
+
+/**
+ * Save the PDF of the current detail page through the download strategy chain
+ * @param {Object} page - Playwright page object
+ * @param {Object} target - grade, subject, downloadDir, date, plus downloadPDF options
+ * @returns {Promise<Object|null>} Saved paper info, or null when every strategy failed
+ */
+async function fetchPdf(page, { grade, subject, downloadDir, date, ...options }) {
+    return downloadPDF(page, grade, subject, downloadDir, date, options);
+}
+
+module.exports = {
+    name: 'paper-site',
+    login,
+    isLoggedIn,
+    listItems,
+    openItem,
+    readMetadata: extractPaperMetadata,
+    fetchPdf,
+    httpAdapter: require('./httpSiteAdapter')
+};
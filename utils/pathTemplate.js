@@ -0,0 +1,145 @@
+/**
+ * Filename and folder templates
+ * Renders paths such as "{date}/{grade}-{subjectZh}-{date}-{id}.pdf"
+ * relative to the download directory
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULTS, getConfig } = require('./config');
+const { getSubjects, resolveSubject } = require('./navigationHandler');
+
+const DEFAULT_TEMPLATE = DEFAULTS.filenameTemplate;
+
+const PLACEHOLDERS = ['grade', 'subject', 'subjectZh', 'date', 'id', 'n', 'title'];
+
+const MAX_SEGMENT_LENGTH = 120;
+
+// Paths handed out in this process but maybe not written yet (parallel workers)
+const reserved = new Set();
+
+/**
+ * Configured template (config `filenameTemplate` / FILENAME_TEMPLATE env)
+ * @returns {string}
+ */
+function getTemplate() {
+    return getConfig().filenameTemplate;
+}
+
+/**
+ * Check a template only uses known placeholders and stays inside the download dir
+ * @param {string} template - Template string
+ * @returns {string} The template
+ */
+function validateTemplate(template) {
+    const unknown = (template.match(/\{([^}]*)\}/g) || [])
+        .map(p => p.slice(1, -1))
+        .filter(name => !PLACEHOLDERS.includes(name));
+    if (unknown.length) {
+        throw new Error(`Unknown template placeholder(s): ${unknown.map(n => `{${n}}`).join(', ')} (valid: ${PLACEHOLDERS.map(n => `{${n}}`).join(', ')})`);
+    }
+    if (path.isAbsolute(template) || template.split(/[\\/]/).includes('..')) {
+        throw new Error(`Template must be a relative path inside the download dir: ${template}`);
+    }
+    if (!/\.pdf$/i.test(template)) {
+        throw new Error(`Template must end with .pdf: ${template}`);
+    }
+    return template;
+}
+
+/**
+ * Make a placeholder value safe for use inside one path segment
+ * @param {*} value - Raw value
+ * @returns {string}
+ */
+function sanitizeValue(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/[\u0000-\u001f\u007f]/g, '')
+        .replace(/[\\/:*?"<>|]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_SEGMENT_LENGTH);
+}
+
+/**
+ * Tidy one rendered segment: collapse separators left by empty placeholders
+ * @param {string} segment - Path segment
+ * @param {boolean} isFile - Last segment (keeps the extension)
+ * @returns {string}
+ */
+function tidySegment(segment, isFile) {
+    const ext = isFile ? path.extname(segment) : '';
+    let stem = ext ? segment.slice(0, -ext.length) : segment;
+    stem = stem
+        .replace(/([-_ ])[-_ ]*(?=[-_ ])/g, '')
+        .replace(/^[-_. ]+|[-_. ]+$/g, '')
+        .slice(0, MAX_SEGMENT_LENGTH);
+    return (stem || '_') + ext;
+}
+
+/**
+ * Render a template into a relative path
+ * @param {string} template - Template string
+ * @param {Object} fields - grade, subject (Chinese or English), date, id, n, title
+ * @returns {string} Relative path using the platform separator
+ */
+function renderTemplate(template, fields) {
+    const subjectZh = resolveSubject(fields.subject || '') || '';
+    const values = {
+        grade: fields.grade,
+        subject: subjectZh ? getSubjects()[subjectZh] : fields.subject,
+        subjectZh: subjectZh || fields.subject,
+        date: fields.date,
+        id: fields.id,
+        n: fields.n,
+        title: fields.title
+    };
+    
+    const segments = validateTemplate(template).split(/[\\/]/).filter(Boolean);
+    return path.join(...segments.map((segment, i) => {
+        const rendered = segment.replace(/\{(\w+)\}/g, (_, name) => sanitizeValue(values[name]));
+        return tidySegment(rendered, i === segments.length - 1);
+    }));
+}
+
+/**
+ * Pick a free path: "name.pdf", then "name-2.pdf", "name-3.pdf", ...
+ * Paths are reserved in-process so parallel workers never get the same one.
+ * @param {string} filePath - Desired path
+ * @param {Object} [options]
+ * @param {string} [options.allowExisting] - Path that may be reused (e.g. the file being renamed)
+ * @returns {string} Free path
+ */
+function reserveUniquePath(filePath, { allowExisting } = {}) {
+    const ext = path.extname(filePath);
+    const stem = filePath.slice(0, -ext.length);
+    for (let i = 1; ; i++) {
+        const candidate = i === 1 ? filePath : `${stem}-${i}${ext}`;
+        const taken = reserved.has(candidate) || (candidate !== allowExisting && fs.existsSync(candidate));
+        if (!taken) {
+            reserved.add(candidate);
+            return candidate;
+        }
+    }
+}
+
+/**
+ * Release a reserved path (after the file was written or the attempt was abandoned)
+ * @param {string} filePath - Reserved path
+ */
+function releasePath(filePath) {
+    reserved.delete(filePath);
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    PLACEHOLDERS,
+    getTemplate,
+    validateTemplate,
+    renderTemplate,
+    reserveUniquePath,
+    releasePath,
+    sanitizeValue
+};
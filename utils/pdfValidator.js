@@ -0,0 +1,160 @@
+/**
+ * PDF validation and quarantine
+ * Checks saved files are complete PDFs and moves broken ones aside
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('pdf');
+
+const QUARANTINE_DIR = 'quarantine';
+
+/**
+ * Minimum accepted size (config `validation.minBytes` / PDF_MIN_BYTES env, default 1024)
+ * @returns {number}
+ */
+function getMinBytes() {
+    return getConfig().validation.minBytes;
+}
+
+/**
+ * Inflate the FlateDecode object streams so their dictionaries can be searched
+ * @param {string} text - PDF content as latin1
+ * @returns {string} Concatenated inflated object streams
+ */
+function inflateObjectStreams(text) {
+    const parts = [];
+    const re = /\/Type\s*\/ObjStm\b[^]*?stream\r?\n/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        const start = match.index + match[0].length;
+        const end = text.indexOf('endstream', start);
+        if (end === -1) break;
+        try {
+            const raw = Buffer.from(text.slice(start, end), 'latin1');
+            parts.push(zlib.inflateSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('latin1'));
+        } catch {
+            // Not deflated or damaged: page count check below decides
+        }
+    }
+    return parts.join('\n');
+}
+
+/**
+ * Find the page count from /Type /Pages dictionaries (largest /Count wins)
+ * @param {string} text - PDF content (latin1) plus inflated object streams
+ * @returns {number} Page count, 0 if not found
+ */
+function findPageCount(text) {
+    let count = 0;
+    const re = /<<((?:(?!>>)[^])*?\/Type\s*\/Pages\b(?:(?!>>)[^])*?)>>/g;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        const countMatch = /\/Count\s+(\d+)/.exec(match[1]);
+        if (countMatch) count = Math.max(count, Number(countMatch[1]));
+    }
+    if (count === 0) {
+        // Fall back to counting leaf /Type /Page objects
+        count = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length;
+    }
+    return count;
+}
+
+/**
+ * Validate PDF bytes: minimum size, %PDF header, %%EOF trailer,
+ * a startxref pointing at an xref table or stream, and at least one page
+ * @param {Buffer} buffer - File content
+ * @param {Object} [options]
+ * @param {number} [options.minBytes] - Minimum size (default: config `validation.minBytes`)
+ * @returns {{ok: boolean, reason?: string, pageCount?: number, size: number}}
+ */
+function validatePdfBuffer(buffer, { minBytes = getMinBytes() } = {}) {
+    const size = buffer.length;
+    const fail = reason => ({ ok: false, reason, size });
+    
+    if (size < minBytes) return fail(`too small (${size} bytes < ${minBytes})`);
+    
+    const head = buffer.subarray(0, 1024).toString('latin1');
+    if (!head.includes('%PDF-')) return fail('missing %PDF header');
+    
+    const tail = buffer.subarray(Math.max(0, size - 1024)).toString('latin1');
+    if (!tail.includes('%%EOF')) return fail('missing %%EOF trailer (truncated?)');
+    
+    const startxref = /startxref\s+(\d+)\s+%%EOF\s*$/.exec(tail.replace(/[\s\0]+$/, ''));
+    if (!startxref) return fail('missing startxref');
+    const xrefOffset = Number(startxref[1]);
+    if (xrefOffset >= size) return fail(`startxref ${xrefOffset} beyond end of file`);
+    
+    const text = buffer.toString('latin1');
+    const atXref = text.slice(xrefOffset, xrefOffset + 1024);
+    const classicXref = /^\s*xref\b/.test(atXref);
+    const streamXref = /^\s*\d+\s+\d+\s+obj\b[^]*?\/Type\s*\/XRef\b/.test(atXref);
+    if (!classicXref && !streamXref) return fail(`no xref at startxref offset ${xrefOffset}`);
+    if (classicXref && !/trailer\s*<<[^]*?\/Root\s+\d+\s+\d+\s+R/.test(text.slice(xrefOffset))) {
+        return fail('xref table without trailer /Root');
+    }
+    
+    const pageCount = findPageCount(text.includes('/ObjStm') ? `${text}\n${inflateObjectStreams(text)}` : text);
+    if (pageCount < 1) return fail('no pages found');
+    
+    return { ok: true, pageCount, size };
+}
+
+/**
+ * Validate a saved PDF file
+ * @param {string} filePath - File path
+ * @param {Object} [options] - See validatePdfBuffer
+ * @returns {Promise<{ok: boolean, reason?: string, pageCount?: number, size: number}>}
+ */
+async function validatePdfFile(filePath, options) {
+    try {
+        return validatePdfBuffer(await fs.readFile(filePath), options);
+    } catch (error) {
+        return { ok: false, reason: `unreadable: ${error?.message || error}`, size: 0 };
+    }
+}
+
+/**
+ * Move a broken file to <downloadDir>/quarantine/ with a .reason.txt next to it
+ * @param {string} filePath - File to move
+ * @param {string} downloadDir - Download directory path
+ * @param {string} reason - Why the file was rejected
+ * @param {Object} [details] - Extra lines for the reason file (strategy, url, ...)
+ * @returns {Promise<string|null>} Quarantined path, or null if the file was missing
+ */
+async function quarantineFile(filePath, downloadDir, reason, details = {}) {
+    const dir = path.join(downloadDir, QUARANTINE_DIR);
+    await fs.mkdir(dir, { recursive: true });
+    
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const target = path.join(dir, `${path.basename(filePath, '.pdf')}.${stamp}.pdf`);
+    try {
+        await fs.rename(filePath, target);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        // Cross-device: copy then delete
+        await fs.copyFile(filePath, target);
+        await fs.unlink(filePath);
+    }
+    
+    const lines = [
+        `reason: ${reason}`,
+        `original: ${filePath}`,
+        `time: ${new Date().toISOString()}`,
+        ...Object.entries(details).map(([key, value]) => `${key}: ${value}`)
+    ];
+    await fs.writeFile(`${target}.reason.txt`, `${lines.join('\n')}\n`);
+    log.warn(`Quarantined ${path.basename(filePath)}: ${reason}`);
+    return target;
+}
+
+module.exports = {
+    validatePdfBuffer,
+    validatePdfFile,
+    quarantineFile,
+    QUARANTINE_DIR
+};
@@ -0,0 +1,218 @@
+/**
+ * Credential profiles
+ * Named accounts from config `profiles`, each with its own grades/subjects,
+ * download folder (ledger, reports, store) and saved session. Runs go over the
+ * profiles one after the other, each with its own login, and report per account.
+ * Usernames may be in the config; passwords only come from
+ * PROFILE_<NAME>_USERNAME / PROFILE_<NAME>_PASSWORD env.
+ */
+'use strict';
+
+const path = require('path');
+const { getConfig } = require('./config');
+const { getFilterCombinations } = require('./navigationHandler');
+const { getSessionPath } = require('./sessionStore');
+const { withRunLock, getLockPath } = require('./runLock');
+const { createLogger, withLogContext } = require('./logger');
+const log = createLogger('profile');
+
+/**
+ * Env var prefix of a profile, e.g. "upper-primary" -> "PROFILE_UPPER_PRIMARY_"
+ * @param {string} name - Profile name
+ * @returns {string}
+ */
+function getProfileEnvPrefix(name) {
+    return `PROFILE_${name.toUpperCase().replace(/-/g, '_')}_`;
+}
+
+/**
+ * Profile names in config order (empty when the single-account setup is used)
+ * @returns {string[]}
+ */
+function getProfileNames() {
+    return Object.keys(getConfig().profiles);
+}
+
+/**
+ * Pick the profiles of a run
+ * @param {string[]} [names] - Subset by name (default: every profile)
+ * @returns {string[]|null} Names in config order, or null without configured profiles
+ */
+function selectProfiles(names) {
+    const known = getProfileNames();
+    if (known.length === 0) {
+        if (names && names.length) throw new Error('No profiles configured (config `profiles`)');
+        return null;
+    }
+    if (!names || names.length === 0) return known;
+    const unknown = names.filter(name => !known.includes(name));
+    if (unknown.length) {
+        throw new Error(`Unknown profile(s): ${unknown.join(', ')} (valid: ${known.join(', ')})`);
+    }
+    return known.filter(name => names.includes(name));
+}
+
+/**
+ * Saved session file of a profile: `profiles.<name>.sessionFile`, else the
+ * default session file with the profile name appended (.auth/session-<name>.json)
+ * @param {string} name - Profile name
+ * @returns {string|null} Null when session reuse is off (SESSION_FILE=off)
+ */
+function getProfileSessionPath(name) {
+    const configured = getConfig().profiles[name]?.sessionFile;
+    if (configured) return configured;
+    const base = getSessionPath();
+    if (!base) return null;
+    const ext = path.extname(base);
+    return path.join(path.dirname(base), `${path.basename(base, ext)}-${name}${ext || '.json'}`);
+}
+
+/**
+ * Resolved settings of a profile
+ * @param {string} name - Profile name
+ * @param {Object} [options]
+ * @param {string} [options.downloadDir] - Parent folder for profiles without `downloadDir` (default: config `downloadDir`)
+ * @returns {{name: string, username: string|null, grades: string[]|null, subjects: string[]|null, downloadDir: string, sessionFile: string|null}}
+ */
+function getProfile(name, { downloadDir = getConfig().downloadDir } = {}) {
+    const profile = getConfig().profiles[name];
+    if (!profile) throw new Error(`Unknown profile "${name}"`);
+    return {
+        name,
+        username: profile.username || null,
+        grades: profile.grades || null,
+        subjects: profile.subjects || null,
+        downloadDir: profile.downloadDir || path.join(downloadDir, name),
+        sessionFile: getProfileSessionPath(name)
+    };
+}
+
+/**
+ * Run options for one profile: its folder and session, and the grade/subject
+ * filters narrowed to what the account may see
+ * @param {Object} options - Run options (grades/subjects filters, downloadDir as parent folder)
+ * @param {string} name - Profile name
+ * @returns {Object|null} Options with `profile`, or null when no combination is left
+ */
+function applyProfile(options, name) {
+    const profile = getProfile(name, { downloadDir: options.downloadDir || getConfig().downloadDir });
+    const wanted = new Set(getFilterCombinations({ grades: options.grades, subjects: options.subjects })
+        .map(({ grade, subject }) => `${grade}/${subject}`));
+    const combinations = getFilterCombinations({ grades: profile.grades, subjects: profile.subjects })
+        .filter(({ grade, subject }) => wanted.has(`${grade}/${subject}`));
+    if (combinations.length === 0) return null;
+    return {
+        ...options,
+        profile: name,
+        grades: [...new Set(combinations.map(c => c.grade))],
+        subjects: [...new Set(combinations.map(c => c.subject))],
+        downloadDir: profile.downloadDir,
+        sessionFile: profile.sessionFile
+    };
+}
+
+/**
+ * Totals over the per-account summaries; `accounts` keeps one line per profile.
+ * ok only when every account ran (a failed login fails the whole run).
+ * @param {Object[]} summaries - Summaries with `profile`
+ * @returns {Object} Summary shaped like createSummary()
+ */
+function combineSummaries(summaries) {
+    const sum = key => summaries.reduce((total, summary) => total + (summary[key] || 0), 0);
+    const tag = summary => entry => ({ profile: summary.profile, ...entry });
+    const strategies = {};
+    for (const summary of summaries) {
+        for (const [name, count] of Object.entries(summary.strategies || {})) {
+            strategies[name] = (strategies[name] || 0) + count;
+        }
+    }
+    const errors = summaries.filter(summary => summary.error).map(summary => `${summary.profile}: ${summary.error}`);
+    return {
+        ok: summaries.every(summary => summary.ok),
+        startedAt: summaries[0]?.startedAt || new Date().toISOString(),
+        finishedAt: summaries[summaries.length - 1]?.finishedAt || new Date().toISOString(),
+        n: summaries.find(summary => summary.n)?.n ?? null,
+        total: sum('total'),
+        downloaded: sum('downloaded'),
+        known: sum('known'),
+        duplicates: sum('duplicates'),
+        failed: sum('failed'),
+        retries: sum('retries'),
+        strategies,
+        failures: summaries.flatMap(summary => (summary.failures || []).map(tag(summary))),
+        results: summaries.flatMap(summary => (summary.results || []).map(tag(summary))),
+        ...(errors.length ? { error: errors.join('; ') } : {}),
+        accounts: summaries.map(summary => ({
+            profile: summary.profile,
+            ok: summary.ok,
+            runId: summary.runId,
+            downloaded: summary.downloaded,
+            known: summary.known,
+            failed: summary.failed,
+            total: summary.total,
+            error: summary.error || null,
+            report: summary.report || null
+        }))
+    };
+}
+
+/**
+ * Run once per selected profile, in turn, and combine the summaries.
+ * Without configured profiles `run` is called once with `profile: null`.
+ * The run lock of the parent download folder (the one the daemon holds) is taken
+ * once for all profiles, unless `options.lock` is false or it is a dry run.
+ * @param {Object} options - Run options; `profiles` picks a subset by name
+ * @param {Function} run - async (options) => summary
+ * @param {Object} [lockOptions]
+ * @param {string} [lockOptions.label] - What holds the lock (run, backfill)
+ * @returns {Promise<Object>} Summary (with `accounts` when profiles are used)
+ * @throws {LockError} When another run holds the lock
+ */
+async function runForProfiles(options, run, { label = 'run' } = {}) {
+    const names = selectProfiles(options.profiles);
+    if (!names) return run({ ...options, profile: null });
+
+    if (options.lock !== false && !options.dryRun) {
+        const lockFile = getLockPath(options.downloadDir || getConfig().downloadDir);
+        return withRunLock(lockFile, label, () => runProfiles(names, { ...options, lock: false }, run));
+    }
+    return runProfiles(names, options, run);
+}
+
+/**
+ * Body of runForProfiles(): the profile loop
+ * @param {string[]} names - Selected profiles
+ * @param {Object} options - Run options
+ * @param {Function} run - async (options) => summary
+ * @returns {Promise<Object>} Combined summary
+ */
+async function runProfiles(names, options, run) {
+    const summaries = [];
+    for (const name of names) {
+        const profileOptions = applyProfile(options, name);
+        if (!profileOptions) {
+            log.info(`Profile ${name}: none of its grades/subjects is selected, skipped`);
+            continue;
+        }
+        log.info(`=== Profile ${name} (${profileOptions.downloadDir}) ===`);
+        const summary = await withLogContext({ profile: name }, () => run(profileOptions));
+        summaries.push({ ...summary, profile: name });
+    }
+
+    const combined = combineSummaries(summaries);
+    for (const account of combined.accounts) {
+        log.info(`Account ${account.profile}: ${account.ok ? 'done' : 'FAILED'}, ${account.downloaded} downloaded, ` +
+            `${account.known} known, ${account.failed} failed of ${account.total}${account.error ? ` (${account.error})` : ''}`);
+    }
+    return combined;
+}
+
+module.exports = {
+    getProfileEnvPrefix,
+    getProfileNames,
+    selectProfiles,
+    getProfile,
+    applyProfile,
+    combineSummaries,
+    runForProfiles
+};
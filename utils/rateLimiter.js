@@ -0,0 +1,139 @@
+/**
+ * Global rate limiter shared by all workers
+ * Token bucket (requests per minute + burst) with random jitter,
+ * and automatic backoff when the site answers 429 or 5xx
+ */
+'use strict';
+
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('rate');
+
+/**
+ * Sleep helper
+ * @param {number} ms - Milliseconds
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/**
+ * Rate limit settings (config `rateLimit`, overridden by env)
+ *   RATE_LIMIT_RPM        requests per minute, 0 = unlimited (default 20)
+ *   RATE_LIMIT_BURST      requests allowed back to back (default 2)
+ *   RATE_LIMIT_JITTER_MS  random extra delay per request (default 2000)
+ *   RATE_LIMIT_BACKOFF_MS first pause after 429/5xx, doubled each time (default 5000)
+ * @returns {{requestsPerMinute: number, burst: number, jitterMs: number, backoffBaseMs: number}}
+ */
+function getRateLimitOptions() {
+    const { requestsPerMinute, burst, jitterMs, backoffMs } = getConfig().rateLimit;
+    return { requestsPerMinute, burst, jitterMs, backoffBaseMs: backoffMs };
+}
+
+/**
+ * Create a rate limiter
+ * @param {Object} [options]
+ * @param {number} [options.requestsPerMinute] - Sustained rate, 0 = unlimited
+ * @param {number} [options.burst] - Bucket size
+ * @param {number} [options.jitterMs] - Max random delay added per request
+ * @param {number} [options.backoffBaseMs] - First backoff pause after 429/5xx
+ * @param {number} [options.backoffMaxMs] - Longest backoff pause
+ * @param {Function} [options.now] - Clock in ms (for tests)
+ * @param {Function} [options.wait] - async (ms) => void (for tests)
+ * @returns {Object} Limiter with acquire(), observe(status, retryAfter) and attach(page)
+ */
+function createRateLimiter(options = {}) {
+    const {
+        requestsPerMinute = 20,
+        burst = 2,
+        jitterMs = 2000,
+        backoffBaseMs = 5000,
+        backoffMaxMs = 5 * 60 * 1000,
+        now: clock = Date.now,
+        wait = sleep
+    } = options;
+    
+    const interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    let tokens = burst;
+    let lastRefill = clock();
+    let pausedUntil = 0;
+    let backoffLevel = 0;
+    let queue = Promise.resolve();
+    
+    function refill(now) {
+        if (interval === 0) return;
+        tokens = Math.min(burst, tokens + (now - lastRefill) / interval);
+        lastRefill = now;
+    }
+    
+    /**
+     * Wait for permission to send one request.
+     * Callers are served in arrival order.
+     * @returns {Promise<void>}
+     */
+    function acquire() {
+        const turn = queue.then(async () => {
+            for (;;) {
+                const now = clock();
+                if (now < pausedUntil) {
+                    await wait(pausedUntil - now);
+                    continue;
+                }
+                if (interval === 0) break;
+                refill(now);
+                if (tokens >= 1) {
+                    tokens -= 1;
+                    break;
+                }
+                await wait((1 - tokens) * interval);
+            }
+            if (jitterMs > 0) await wait(Math.random() * jitterMs);
+        });
+        queue = turn.catch(() => {});
+        return turn;
+    }
+    
+    /**
+     * Report a response status; 429/5xx pause everyone, success resets the backoff
+     * @param {number} status - HTTP status
+     * @param {string} [retryAfter] - Retry-After header (seconds)
+     */
+    function observe(status, retryAfter) {
+        if (status === 429 || status >= 500) {
+            backoffLevel++;
+            const hinted = Number(retryAfter) * 1000;
+            const delay = Number.isFinite(hinted) && hinted > 0
+                ? Math.min(hinted, backoffMaxMs)
+                : Math.min(backoffMaxMs, backoffBaseMs * 2 ** (backoffLevel - 1));
+            pausedUntil = Math.max(pausedUntil, clock() + delay);
+            log.warn(`HTTP ${status}, backing off ${(delay / 1000).toFixed(1)}s`);
+        } else if (status < 400 && backoffLevel > 0) {
+            backoffLevel = 0;
+            log.debug('Backoff reset');
+        }
+    }
+    
+    /**
+     * Watch a page's navigation responses for 429/5xx
+     * @param {Object} page - Playwright page object
+     */
+    function attach(page) {
+        page.on('response', response => {
+            if (response.request().isNavigationRequest()) {
+                observe(response.status(), response.headers()['retry-after']);
+            }
+        });
+    }
+    
+    return {
+        acquire,
+        observe,
+        attach
+    };
+}
+
+module.exports = {
+    createRateLimiter,
+    getRateLimitOptions,
+    sleep
+};
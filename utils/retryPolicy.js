@@ -0,0 +1,73 @@
+/**
+ * Retry policy with exponential backoff
+ * Decides which error kinds are retried and how long to wait between attempts
+ */
+'use strict';
+
+const { DEFAULTS, getConfig } = require('./config');
+const { classifyError } = require('./errors');
+const { sleep } = require('./rateLimiter');
+const { createLogger } = require('./logger');
+const log = createLogger('retry');
+
+const DEFAULT_RETRYABLE = DEFAULTS.retry.retryOn;
+
+/**
+ * Retry policy (config `retry`, overridden by env)
+ *   RETRY_MAX_ATTEMPTS  attempts per step, including the first (default 3)
+ *   RETRY_BASE_MS       first backoff delay (default 2000)
+ *   RETRY_MAX_MS        longest backoff delay (default 30000)
+ *   RETRY_ON            comma-separated retryable error kinds
+ *   RETRY_FINAL_PASS    retry failed combinations once more at the end (default true)
+ * @returns {{maxAttempts: number, baseDelayMs: number, maxDelayMs: number, retryOn: string[], finalPass: boolean}}
+ */
+function getRetryPolicy() {
+    const { maxAttempts, baseDelayMs, maxDelayMs, retryOn, finalPass } = getConfig().retry;
+    return { maxAttempts, baseDelayMs, maxDelayMs, retryOn: [...retryOn], finalPass };
+}
+
+/**
+ * Backoff delay before attempt `attempt + 1`, with +/-20% jitter
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Milliseconds
+ */
+function backoffDelay(policy, attempt) {
+    const raw = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return Math.round(raw * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Run a step, retrying retryable failures
+ * @param {Function} fn - async (attempt) => result; attempt is 1-based
+ * @param {Object} policy - Retry policy
+ * @param {Object} [options]
+ * @param {string} [options.label] - Log label, e.g. "P1-中 download"
+ * @param {Function} [options.onRetry] - Called with { attempt, kind, error } before each retry
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, policy, { label = 'step', onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            const kind = classifyError(error);
+            const retryable = policy.retryOn.includes(kind);
+            if (!retryable || attempt >= policy.maxAttempts) {
+                throw error;
+            }
+            
+            const delay = backoffDelay(policy, attempt);
+            log.warn(`${label} attempt ${attempt}/${policy.maxAttempts} failed (${kind}: ${error?.message || error}), retry in ${delay}ms`);
+            if (onRetry) onRetry({ attempt, kind, error });
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    getRetryPolicy,
+    withRetry,
+    backoffDelay,
+    DEFAULT_RETRYABLE
+};
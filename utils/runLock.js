@@ -0,0 +1,178 @@
+/**
+ * Run lock
+ * A lock file in the download directory keeps two runs (daemon, cron, manual)
+ * from working on the same ledger and folders at once
+ */
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('lock');
+
+const DEFAULT_LOCK_NAME = '.run.lock';
+/** An unreadable lock younger than this is taken to be mid-write by its holder */
+const UNREADABLE_GRACE_MS = 10000;
+/** Pause before reading an unreadable lock again */
+const REREAD_DELAY_MS = 100;
+
+/**
+ * Thrown when another live process holds the lock
+ */
+class LockError extends Error {
+    constructor(message, holder) {
+        super(message);
+        this.name = 'LockError';
+        this.holder = holder;
+    }
+}
+
+/**
+ * Lock file location (config `lockFile`, else `<downloadDir>/.run.lock`)
+ * @param {string} downloadDir - Download directory path
+ * @returns {string} Lock file path
+ */
+function getLockPath(downloadDir) {
+    return getConfig().lockFile || path.join(downloadDir, DEFAULT_LOCK_NAME);
+}
+
+/**
+ * Check whether a process id is alive on this machine
+ * @param {number} pid - Process id
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Read the current lock holder
+ * @param {string} lockFile - Lock file path
+ * @returns {Promise<{pid: number, host: string, startedAt: string, label: string}|null>} Holder, null if unlocked
+ */
+async function readLock(lockFile) {
+    try {
+        return JSON.parse(await fs.readFile(lockFile, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        // Corrupt lock: held by nobody we can check
+        return { pid: null, host: null, startedAt: null, label: 'unreadable' };
+    }
+}
+
+/**
+ * Read the lock holder, reading an unreadable lock once more after a short pause
+ * @param {string} lockFile - Lock file path
+ * @returns {Promise<Object|null>} Holder, null if unlocked
+ */
+async function readHolder(lockFile) {
+    const holder = await readLock(lockFile);
+    if (!holder || holder.pid) return holder;
+    await new Promise(resolve => setTimeout(resolve, REREAD_DELAY_MS));
+    return readLock(lockFile);
+}
+
+/**
+ * Whether a lock holder is gone: a dead process on this host, or a lock
+ * that stays unreadable for longer than UNREADABLE_GRACE_MS
+ * @param {Object} holder - Lock content
+ * @param {string} lockFile - Lock file path
+ * @returns {Promise<boolean>}
+ */
+async function isStale(holder, lockFile) {
+    if (!holder.pid) {
+        const stat = await fs.stat(lockFile).catch(() => null);
+        return !stat || Date.now() - stat.mtimeMs > UNREADABLE_GRACE_MS;
+    }
+    return holder.host === os.hostname() && !isProcessAlive(holder.pid);
+}
+
+/**
+ * Create the lock file with its full content, or fail with EEXIST.
+ * The content goes to a temp file first and is hard-linked into place,
+ * so no other process ever reads a half-written lock.
+ * @param {string} lockFile - Lock file path
+ * @param {string} body - Lock content
+ * @returns {Promise<void>}
+ */
+async function createLockFile(lockFile, body) {
+    const tmp = `${lockFile}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tmp, body);
+    try {
+        await fs.link(tmp, lockFile);
+    } finally {
+        await fs.unlink(tmp).catch(() => {});
+    }
+}
+
+/**
+ * Take the lock, replacing a stale one left by a crashed run
+ * @param {string} lockFile - Lock file path
+ * @param {string} [label] - What holds the lock (for messages)
+ * @returns {Promise<Function>} async release()
+ * @throws {LockError} When a live process holds the lock
+ */
+async function acquireRunLock(lockFile, label = 'run') {
+    await fs.mkdir(path.dirname(lockFile), { recursive: true });
+    const body = JSON.stringify({ pid: process.pid, host: os.hostname(), startedAt: new Date().toISOString(), label });
+    
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await createLockFile(lockFile, body);
+            log.debug('Lock acquired:', lockFile);
+            return async () => {
+                const holder = await readLock(lockFile);
+                if (holder && holder.pid === process.pid) {
+                    await fs.unlink(lockFile).catch(() => {});
+                    log.debug('Lock released:', lockFile);
+                }
+            };
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        
+        const holder = await readHolder(lockFile);
+        if (holder && !await isStale(holder, lockFile)) {
+            const message = holder.pid
+                ? `Another ${holder.label || 'run'} is in progress (pid ${holder.pid} on ${holder.host} since ${holder.startedAt}); lock: ${lockFile}`
+                : `Another run holds an unreadable lock; remove it if no run is in progress: ${lockFile}`;
+            throw new LockError(message, holder);
+        }
+        log.warn('Removing stale lock:', lockFile, holder ? `(pid ${holder.pid})` : '');
+        await fs.unlink(lockFile).catch(() => {});
+    }
+    throw new LockError(`Could not acquire lock: ${lockFile}`, null);
+}
+
+/**
+ * Run fn while holding the lock
+ * @param {string} lockFile - Lock file path
+ * @param {string} label - What holds the lock
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} fn's result
+ */
+async function withRunLock(lockFile, label, fn) {
+    const release = await acquireRunLock(lockFile, label);
+    try {
+        return await fn();
+    } finally {
+        await release();
+    }
+}
+
+module.exports = {
+    LockError,
+    getLockPath,
+    acquireRunLock,
+    withRunLock,
+    readLock,
+    isProcessAlive
+};
@@ -0,0 +1,302 @@
+/**
+ * Run reports
+ * Writes one JSON and one static HTML report per run into `<downloadDir>/reports`
+ * and keeps an index.html listing every report, so runs can be audited over time
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { getConfig } = require('./config');
+const { exitCodeFor, statusForExitCode } = require('./exitCodes');
+const { createLogger } = require('./logger');
+const log = createLogger('report');
+
+const REPORT_VERSION = 1;
+const REPORT_DIR_NAME = 'reports';
+const INDEX_NAME = 'index.html';
+
+/**
+ * Report directory (config `report.dir`, else `<downloadDir>/reports`)
+ * @param {string} downloadDir - Download directory path
+ * @returns {string}
+ */
+function getReportDir(downloadDir) {
+    return getConfig().report.dir || path.join(downloadDir, REPORT_DIR_NAME);
+}
+
+/**
+ * Path relative to a base directory, with forward slashes
+ * @param {string} from - Base directory
+ * @param {string} to - Target path
+ * @returns {string}
+ */
+function relativePath(from, to) {
+    return path.relative(from, to).split(path.sep).join('/');
+}
+
+/**
+ * Failure artifact paths relative to the download directory
+ * @param {string} downloadDir - Download directory
+ * @param {Object} artifacts - From captureFailure (+ trace)
+ * @returns {Object} {url, screenshot, html, info, trace}
+ */
+function relativeArtifacts(downloadDir, artifacts) {
+    const files = { url: artifacts.url || null };
+    for (const key of ['screenshot', 'html', 'info', 'trace']) {
+        files[key] = artifacts[key] ? relativePath(downloadDir, artifacts[key]) : null;
+    }
+    return files;
+}
+
+/**
+ * Build the report object for a run
+ * @param {Object} summary - Run summary (see createSummary)
+ * @param {Object} options
+ * @param {string} options.label - Run label (run, backfill, ...)
+ * @param {string} options.downloadDir - Download directory (file paths are stored relative to it)
+ * @returns {Object} Report
+ */
+function buildRunReport(summary, { label, downloadDir }) {
+    const exitCode = exitCodeFor(summary);
+    const finishedAt = summary.finishedAt || new Date().toISOString();
+    return {
+        version: REPORT_VERSION,
+        runId: summary.runId,
+        label,
+        profile: summary.profile || null,
+        host: os.hostname(),
+        startedAt: summary.startedAt,
+        finishedAt,
+        durationMs: Date.parse(finishedAt) - Date.parse(summary.startedAt),
+        n: summary.n ?? null,
+        status: statusForExitCode(exitCode),
+        exitCode,
+        error: summary.error || null,
+        totals: {
+            tasks: summary.total,
+            downloaded: summary.downloaded,
+            known: summary.known,
+            duplicates: summary.duplicates ?? 0,
+            failed: summary.failed,
+            retries: summary.retries
+        },
+        strategies: summary.strategies,
+        entries: summary.results.map(result => ({
+            grade: result.grade,
+            subject: result.subject,
+            n: result.n,
+            item: result.item ?? null,
+            title: result.title || null,
+            date: result.date,
+            status: result.status,
+            step: result.step || null,
+            kind: result.kind || null,
+            error: result.message || null,
+            artifacts: result.artifacts ? relativeArtifacts(downloadDir, result.artifacts) : null,
+            retries: result.retries ?? 0,
+            strategy: result.strategy || null,
+            id: result.id || null,
+            file: result.filePath ? relativePath(downloadDir, result.filePath) : null,
+            size: result.size ?? null,
+            sha256: result.sha256 || null,
+            duplicateOf: result.duplicateOf || null,
+            durationMs: result.durationMs ?? null
+        }))
+    };
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Any value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * Human-readable size / duration
+ */
+function formatBytes(bytes) {
+    if (bytes === null || bytes === undefined) return '';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function formatDuration(ms) {
+    if (ms === null || ms === undefined || Number.isNaN(ms)) return '';
+    if (ms < 1000) return `${ms} ms`;
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)} s`;
+    return `${Math.floor(ms / 60000)} min ${Math.round((ms % 60000) / 1000)} s`;
+}
+
+const STYLE = `
+    body { font: 14px/1.4 system-ui, sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+    th { background: #f4f4f4; }
+    .num { text-align: right; white-space: nowrap; }
+    .hash { font-family: monospace; }
+    .ok, .downloaded { color: #1a7f37; }
+    .known, .planned { color: #666; }
+    .partial { color: #9a6700; }
+    .failed { color: #cf222e; font-weight: bold; }`;
+
+/**
+ * Render a report as a standalone HTML page
+ * @param {Object} report - Report from buildRunReport
+ * @param {string} reportDir - Directory the page is written to (for file links)
+ * @param {string} downloadDir - Download directory
+ * @returns {string} HTML
+ */
+function renderReportHtml(report, reportDir, downloadDir) {
+    const link = file => encodeURI(relativePath(reportDir, path.join(downloadDir, file)));
+    const rows = report.entries.map(entry => {
+        const href = entry.file ? link(entry.file) : null;
+        const artifacts = entry.artifacts
+            ? ['screenshot', 'html', 'trace'].filter(key => entry.artifacts[key])
+                .map(key => `<a href="${escapeHtml(link(entry.artifacts[key]))}">${key}</a>`).join(' ')
+            : '';
+        return `<tr>
+            <td>${escapeHtml(`${entry.grade}-${entry.subject}`)}</td>
+            <td class="num">${escapeHtml(entry.n)}</td>
+            <td class="num" title="${escapeHtml(entry.title || '')}">${escapeHtml(entry.item ?? '')}</td>
+            <td>${escapeHtml(entry.date || '')}</td>
+            <td class="${escapeHtml(entry.status)}">${escapeHtml(entry.status)}</td>
+            <td>${escapeHtml(entry.step ? `${entry.step} (${entry.kind})` : '')}</td>
+            <td>${escapeHtml(entry.error || '')}${artifacts ? `<br>${artifacts}` : ''}</td>
+            <td class="num">${escapeHtml(entry.retries)}</td>
+            <td>${escapeHtml(entry.strategy || '')}</td>
+            <td>${href ? `<a href="${escapeHtml(href)}">${escapeHtml(entry.file)}</a>` : ''}</td>
+            <td class="num">${escapeHtml(formatBytes(entry.size))}</td>
+            <td class="hash" title="${escapeHtml(entry.sha256 || '')}">${escapeHtml((entry.sha256 || '').slice(0, 12))}</td>
+            <td class="num">${escapeHtml(formatDuration(entry.durationMs))}</td>
+        </tr>`;
+    }).join('\n');
+    
+    const totals = report.totals;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Run ${escapeHtml(report.runId)} (${escapeHtml(report.label)})</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<p><a href="${INDEX_NAME}">All runs</a></p>
+<h1>${escapeHtml(report.label)} <span class="${escapeHtml(report.status)}">${escapeHtml(report.status)}</span></h1>
+<table style="width: auto">
+    <tr><th>Run id</th><td>${escapeHtml(report.runId)}</td></tr>
+    <tr><th>Started</th><td>${escapeHtml(report.startedAt)}</td></tr>
+    <tr><th>Finished</th><td>${escapeHtml(report.finishedAt)} (${escapeHtml(formatDuration(report.durationMs))})</td></tr>
+    <tr><th>N</th><td>${escapeHtml(report.n ?? 'per entry')}</td></tr>
+    <tr><th>Host</th><td>${escapeHtml(report.host)}</td></tr>
+    <tr><th>Totals</th><td>${totals.downloaded} downloaded${totals.duplicates ? ` (${totals.duplicates} duplicate content)` : ''}, ${totals.known} known, ${totals.failed} failed of ${totals.tasks}; ${totals.retries} retries</td></tr>
+    ${report.error ? `<tr><th>Error</th><td class="failed">${escapeHtml(report.error)}</td></tr>` : ''}
+</table>
+<h2>Combinations</h2>
+<table>
+    <tr><th>Combination</th><th>N</th><th>Item</th><th>Date</th><th>Status</th><th>Failed step</th><th>Error</th><th>Retries</th><th>Strategy</th><th>File</th><th>Size</th><th>SHA-256</th><th>Duration</th></tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the list of all reports
+ * @param {Array<{name: string, report: Object}>} reports - Newest first
+ * @returns {string} HTML
+ */
+function renderIndexHtml(reports) {
+    const rows = reports.map(({ name, report }) => `<tr>
+            <td><a href="${escapeHtml(encodeURI(name.replace(/\.json$/, '.html')))}">${escapeHtml(report.runId)}</a></td>
+            <td>${escapeHtml(report.label)}</td>
+            <td>${escapeHtml(report.startedAt)}</td>
+            <td class="num">${escapeHtml(formatDuration(report.durationMs))}</td>
+            <td class="num">${escapeHtml(report.n ?? '')}</td>
+            <td class="${escapeHtml(report.status)}">${escapeHtml(report.status)}</td>
+            <td class="num">${report.totals.downloaded}</td>
+            <td class="num">${report.totals.known}</td>
+            <td class="num">${report.totals.failed}</td>
+            <td>${escapeHtml(report.error || '')}</td>
+        </tr>`).join('\n');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Download runs</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Download runs</h1>
+<table>
+    <tr><th>Run</th><th>Kind</th><th>Started</th><th>Duration</th><th>N</th><th>Status</th><th>Downloaded</th><th>Known</th><th>Failed</th><th>Error</th></tr>
+${rows}
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Rebuild index.html from the JSON reports in a directory
+ * @param {string} reportDir - Report directory
+ */
+async function rebuildReportIndex(reportDir) {
+    const names = (await fs.readdir(reportDir)).filter(name => name.endsWith('.json'));
+    const reports = [];
+    for (const name of names) {
+        try {
+            const report = JSON.parse(await fs.readFile(path.join(reportDir, name), 'utf8'));
+            if (report.version === REPORT_VERSION) reports.push({ name, report });
+        } catch (error) {
+            log.debug('Skip unreadable report:', name, error?.message || error);
+        }
+    }
+    reports.sort((a, b) => String(b.report.startedAt).localeCompare(String(a.report.startedAt)));
+    await fs.writeFile(path.join(reportDir, INDEX_NAME), renderIndexHtml(reports));
+}
+
+/**
+ * Write the JSON and HTML report for a run and refresh the index.
+ * Never throws: a report problem must not fail the run.
+ * @param {Object} summary - Run summary
+ * @param {Object} options
+ * @param {string} options.label - Run label (run, backfill, ...)
+ * @param {string} options.downloadDir - Download directory
+ * @returns {Promise<{jsonPath: string, htmlPath: string}|null>} Written files, null when disabled or failed
+ */
+async function writeRunReport(summary, { label, downloadDir }) {
+    if (!getConfig().report.enabled) return null;
+    try {
+        const reportDir = getReportDir(downloadDir);
+        await fs.mkdir(reportDir, { recursive: true });
+        
+        const report = buildRunReport(summary, { label, downloadDir });
+        const base = path.join(reportDir, `${report.runId}-${label.replace(/\s+/g, '-')}`);
+        const jsonPath = `${base}.json`;
+        const htmlPath = `${base}.html`;
+        await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+        await fs.writeFile(htmlPath, renderReportHtml(report, reportDir, downloadDir));
+        await rebuildReportIndex(reportDir);
+        
+        log.info('Run report:', htmlPath);
+        return { jsonPath, htmlPath };
+    } catch (error) {
+        log.warn('Run report not written:', error?.message || error);
+        return null;
+    }
+}
+
+module.exports = {
+    writeRunReport,
+    buildRunReport,
+    rebuildReportIndex,
+    getReportDir
+};
@@ -0,0 +1,321 @@
+/**
+ * Daily scheduler (daemon mode)
+ * Triggers the download job at a local time on working days only, using the
+ * same holiday calendar as dateCalculator.js. Days missed while the daemon
+ * was down are caught up on start; a failed run is retried with a backoff.
+ * State is kept in a JSON file so the next-run time and last-run status can
+ * be inspected from outside.
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { getConfig } = require('./config');
+const { toDateKey, parseDateKey } = require('./holidayCalendar');
+const { acquireRunLock, isProcessAlive, LockError } = require('./runLock');
+const { EXIT_CODES, exitCodeFor, statusForExitCode } = require('./exitCodes');
+const { createLogger } = require('./logger');
+const log = createLogger('scheduler');
+
+const DEFAULT_STATE_NAME = 'scheduler-state.json';
+
+// Wake up at least this often so clock jumps (suspend, DST) are noticed
+const MAX_SLEEP_MS = 60 * 1000;
+
+// Retry of failed days: 5 minutes, doubled per failed attempt, at most an hour
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A partial run is retried this many times for its failed combinations, then accepted
+const PARTIAL_RETRY_ATTEMPTS = 3;
+
+/**
+ * Scheduler state file (config `schedule.stateFile`, else `<downloadDir>/scheduler-state.json`)
+ * @param {string} downloadDir - Download directory path
+ * @returns {string} State file path
+ */
+function getSchedulerStatePath(downloadDir) {
+    return getConfig().schedule.stateFile || path.join(downloadDir, DEFAULT_STATE_NAME);
+}
+
+/**
+ * Parse "HH:MM"
+ * @param {string} value - Local time of day
+ * @returns {{hours: number, minutes: number}}
+ */
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    const hours = match ? Number(match[1]) : NaN;
+    const minutes = match ? Number(match[2]) : NaN;
+    if (!(hours <= 23 && minutes <= 59)) {
+        throw new Error(`Invalid time "${value}", expected HH:MM`);
+    }
+    return { hours, minutes };
+}
+
+/**
+ * Run time on a given day
+ * @param {Date} day - Any time on the day
+ * @param {string} time - "HH:MM" local time
+ * @returns {Date}
+ */
+function runTimeOn(day, time) {
+    const { hours, minutes } = parseTimeOfDay(time);
+    const at = new Date(day);
+    at.setHours(hours, minutes, 0, 0);
+    return at;
+}
+
+/**
+ * Next scheduled run strictly after `from`, on a working day
+ * @param {Date} from - Reference time
+ * @param {string} time - "HH:MM" local time
+ * @param {Object} calendar - Holiday calendar
+ * @returns {Date} Next run time
+ */
+function nextRunTime(from, time, calendar) {
+    const day = new Date(from);
+    day.setHours(12, 0, 0, 0);
+    for (let i = 0; i < 370; i++) {
+        const at = runTimeOn(day, time);
+        if (at > from && calendar.isWorkingDay(day)) return at;
+        day.setDate(day.getDate() + 1);
+    }
+    throw new Error('No working day within a year, check the holiday calendar');
+}
+
+/**
+ * Working days that are due but have not been run yet
+ * Without a previous run only today counts; missed days are limited to `catchUpDays`.
+ * @param {string|null} lastDay - Last day handled (YYYY-MM-DD)
+ * @param {Date} now - Current time
+ * @param {string} time - "HH:MM" local time
+ * @param {Object} calendar - Holiday calendar
+ * @param {number} catchUpDays - Max missed days to catch up (0 = none)
+ * @returns {string[]} Date keys, oldest first
+ */
+function pendingDays(lastDay, now, time, calendar, catchUpDays) {
+    const todayKey = toDateKey(now);
+    const todayDue = calendar.isWorkingDay(now) && now >= runTimeOn(now, time) && lastDay !== todayKey;
+    
+    const missed = [];
+    if (lastDay && lastDay < todayKey) {
+        const day = parseDateKey(lastDay);
+        day.setDate(day.getDate() + 1);
+        while (toDateKey(day) < todayKey) {
+            if (calendar.isWorkingDay(day)) missed.push(toDateKey(day));
+            day.setDate(day.getDate() + 1);
+        }
+    }
+    
+    if (missed.length > catchUpDays) {
+        log.warn(`${missed.length} missed working day(s), catching up the last ${catchUpDays}`);
+    }
+    const days = catchUpDays > 0 ? missed.slice(-catchUpDays) : [];
+    if (todayDue) days.push(todayKey);
+    return days;
+}
+
+/**
+ * Delay before retrying failed days
+ * @param {number} attempt - Failed runs in a row (1 = first failure)
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempt) {
+    return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+}
+
+/**
+ * Read scheduler state (empty object if missing)
+ * @param {string} stateFile - State file path
+ * @returns {Promise<Object>} State
+ */
+async function readSchedulerState(stateFile) {
+    try {
+        return JSON.parse(await fs.readFile(stateFile, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            log.warn('Scheduler state unreadable, starting fresh:', error?.message || error);
+        }
+        return {};
+    }
+}
+
+/**
+ * Write scheduler state atomically
+ * @param {string} stateFile - State file path
+ * @param {Object} state - State
+ */
+async function writeSchedulerState(stateFile, state) {
+    await fs.mkdir(path.dirname(stateFile), { recursive: true });
+    const tmpPath = `${stateFile}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await fs.rename(tmpPath, stateFile);
+}
+
+/**
+ * Describe scheduler state for humans / the status command
+ * @param {Object} state - State from readSchedulerState
+ * @returns {{running: boolean, pid: number|null, nextRun: string|null, lastDay: string|null, lastRun: Object|null, retry: Object|null}}
+ *   retry: {attempt, at} while failed days wait for their retry
+ */
+function describeSchedulerState(state) {
+    const running = Boolean(state.pid && isProcessAlive(state.pid) && !state.stoppedAt);
+    return {
+        running,
+        pid: running ? state.pid : null,
+        nextRun: running ? state.nextRun || null : null,
+        lastDay: state.lastDay || null,
+        lastRun: state.lastRun || null,
+        retry: state.retry || null
+    };
+}
+
+/**
+ * Create the scheduler
+ * @param {Object} options
+ * @param {Function} options.runDays - async (dateKeys) => run summary; downloads the given days
+ * @param {Object} options.calendar - Holiday calendar
+ * @param {string} options.stateFile - State file path
+ * @param {string} options.lockFile - Run lock file path
+ * @param {string} [options.time] - "HH:MM" local time (default: config `schedule.time`)
+ * @param {number} [options.catchUpDays] - Max missed days to catch up (default: config `schedule.catchUpDays`)
+ * @param {Function} [options.now] - Clock (for tests)
+ * @returns {{start: Function, stop: Function}} start() resolves once stop() was called
+ */
+function createScheduler({
+    runDays,
+    calendar,
+    stateFile,
+    lockFile,
+    time = getConfig().schedule.time,
+    catchUpDays = getConfig().schedule.catchUpDays,
+    now = () => new Date()
+}) {
+    parseTimeOfDay(time);
+    let stopped = false;
+    let wake = null;
+    let state = {};
+    
+    const save = () => writeSchedulerState(stateFile, state).catch(error => {
+        log.warn('Could not write scheduler state:', error?.message || error);
+    });
+    
+    /**
+     * Sleep until `at`, in short steps so stop() and clock jumps are noticed
+     */
+    async function sleepUntil(at) {
+        while (!stopped && now() < at) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, Math.min(MAX_SLEEP_MS, at - now()));
+                wake = () => { clearTimeout(timer); resolve(); };
+            });
+            wake = null;
+        }
+    }
+    
+    /**
+     * Run the pending days under the run lock and record the outcome
+     * lastDay only moves on when the run succeeded, or stayed partial after
+     * PARTIAL_RETRY_ATTEMPTS retries; otherwise the days stay pending and get
+     * a retry time. Papers already in the ledger are skipped on a retry.
+     */
+    async function runPending(days) {
+        let release;
+        try {
+            release = await acquireRunLock(lockFile, 'scheduled run');
+        } catch (error) {
+            if (!(error instanceof LockError)) throw error;
+            log.warn('Skip scheduled run:', error.message);
+            state.lastRun = { days, startedAt: now().toISOString(), finishedAt: now().toISOString(), status: 'skipped', error: error.message };
+            await save();
+            return;
+        }
+        
+        const startedAt = now();
+        log.info(`=== Scheduled run for ${days.join(', ')} ===`);
+        try {
+            let summary;
+            try {
+                summary = await runDays(days);
+            } catch (error) {
+                summary = { ok: false, error: error?.message || String(error) };
+            }
+            const exitCode = exitCodeFor(summary);
+            const attempt = (state.retry?.attempt || 0) + 1;
+            if (exitCode === EXIT_CODES.FAILURE || (exitCode === EXIT_CODES.PARTIAL && attempt <= PARTIAL_RETRY_ATTEMPTS)) {
+                state.retry = { attempt, at: new Date(now().getTime() + retryDelay(attempt)).toISOString() };
+            } else {
+                if (exitCode === EXIT_CODES.PARTIAL) log.warn(`Giving up on the failed combinations of ${days.join(', ')} after ${PARTIAL_RETRY_ATTEMPTS} retries`);
+                state.lastDay = days[days.length - 1];
+                state.retry = null;
+            }
+            state.lastRun = {
+                days,
+                startedAt: startedAt.toISOString(),
+                finishedAt: now().toISOString(),
+                status: statusForExitCode(exitCode),
+                exitCode,
+                downloaded: summary.downloaded ?? 0,
+                known: summary.known ?? 0,
+                failed: summary.failed ?? 0,
+                ...(summary.error ? { error: summary.error } : {})
+            };
+            log.info(`Scheduled run ${state.lastRun.status} (exit ${exitCode})`);
+            if (state.retry) log.warn(`Retry ${state.retry.attempt} of ${days.join(', ')} at ${new Date(state.retry.at).toString()}`);
+            await save();
+        } finally {
+            await release();
+        }
+    }
+    
+    /**
+     * Loop until stop(): catch up, run when due, sleep until the next run
+     */
+    async function start() {
+        state = await readSchedulerState(stateFile);
+        Object.assign(state, { pid: process.pid, startedAt: now().toISOString(), stoppedAt: null });
+        await save();
+        log.info(`Scheduler started: every working day at ${time}${state.lastDay ? ` (last day run: ${state.lastDay})` : ''}`);
+        
+        while (!stopped) {
+            const days = pendingDays(state.lastDay || null, now(), time, calendar, catchUpDays);
+            if (days.length === 0) state.retry = null;
+            const retryAt = state.retry ? new Date(state.retry.at) : null;
+            if (days.length && !(retryAt && now() < retryAt)) await runPending(days);
+            if (stopped) break;
+            
+            // Failed days are retried before the next scheduled run when their retry is due first
+            let next = nextRunTime(now(), time, calendar);
+            if (state.retry && new Date(state.retry.at) < next) next = new Date(state.retry.at);
+            state.nextRun = next.toISOString();
+            await save();
+            log.info('Next run:', next.toString());
+            await sleepUntil(next);
+        }
+        
+        state.stoppedAt = now().toISOString();
+        state.nextRun = null;
+        await save();
+        log.info('Scheduler stopped');
+    }
+    
+    /**
+     * Stop after the current run (if any)
+     */
+    function stop() {
+        stopped = true;
+        if (wake) wake();
+    }
+    
+    return { start, stop };
+}
+
+module.exports = {
+    createScheduler,
+    nextRunTime,
+    pendingDays,
+    parseTimeOfDay,
+    readSchedulerState,
+    describeSchedulerState,
+    getSchedulerStatePath
+};
@@ -0,0 +1,90 @@
+/**
+ * Saved login session (Playwright storage state) on disk
+ * Lets later runs skip the credential form while the cookies are still valid
+ */
+'use strict';
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createLogger } = require('./logger');
+const log = createLogger('session');
+
+const DEFAULT_SESSION_FILE = './.auth/session.json';
+
+/**
+ * Resolve session file path; SESSION_FILE env overrides, SESSION_FILE=off disables reuse
+ * @returns {string|null} Session file path or null when disabled
+ */
+function getSessionPath() {
+    const value = process.env.SESSION_FILE;
+    if (value && ['off', 'false', '0', 'none'].includes(value.toLowerCase())) return null;
+    return value || DEFAULT_SESSION_FILE;
+}
+
+/**
+ * Read a saved session
+ * A file that cannot be parsed (e.g. cut short by a crash) is removed, so the
+ * run falls back to the login form.
+ * @param {string|null} sessionFile - Session file path
+ * @returns {Promise<Object|null>} Storage state usable as `storageState`, or null
+ */
+async function findStorageState(sessionFile) {
+    if (!sessionFile) return null;
+    let text;
+    try {
+        text = await fs.readFile(sessionFile, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') log.warn('Saved session unreadable:', error?.message || error);
+        return null;
+    }
+    try {
+        const state = JSON.parse(text);
+        if (!state || typeof state !== 'object' || !Array.isArray(state.cookies)) {
+            throw new Error('no cookies array');
+        }
+        return state;
+    } catch (error) {
+        log.warn(`Saved session ${sessionFile} is corrupt, logging in again:`, error?.message || error);
+        await clearStorageState(sessionFile).catch(clearError => log.debug('Could not remove session state:', clearError?.message || clearError));
+        return null;
+    }
+}
+
+/**
+ * Save the context storage state (cookies + localStorage), readable by owner only
+ * @param {Object} context - Playwright browser context
+ * @param {string|null} sessionFile - Session file path
+ */
+async function saveStorageState(context, sessionFile) {
+    if (!sessionFile) return;
+    const state = await context.storageState();
+    await fs.mkdir(path.dirname(sessionFile), { recursive: true, mode: 0o700 });
+    
+    // Write to a temp file created 0600, then rename so the real file is never world-readable
+    const tmpPath = `${sessionFile}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(state), { mode: 0o600 });
+    await fs.chmod(tmpPath, 0o600);
+    await fs.rename(tmpPath, sessionFile);
+    log.debug('Saved session state:', sessionFile);
+}
+
+/**
+ * Delete a saved session (e.g. after it turned out to be expired)
+ * @param {string|null} sessionFile - Session file path
+ */
+async function clearStorageState(sessionFile) {
+    if (!sessionFile) return;
+    try {
+        await fs.unlink(sessionFile);
+        log.debug('Removed session state:', sessionFile);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+}
+
+module.exports = {
+    getSessionPath,
+    findStorageState,
+    saveStorageState,
+    clearStorageState
+};
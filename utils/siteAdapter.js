@@ -0,0 +1,75 @@
+/**
+ * Site adapters
+ * Everything that depends on a particular paper site sits behind this interface,
+ * so the runner, CLI and backfill work unchanged for other sites.
+ */
+'use strict';
+
+const path = require('path');
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('site');
+
+/**
+ * @typedef {Object} SiteAdapter
+ * @property {string} name - Adapter name (for logs)
+ * @property {Function} login - async (page, {loginUrl, username, password}) => boolean
+ * @property {Function} isLoggedIn - async (page) => boolean, on any page of the site
+ * @property {Function} listItems - async (page, {baseUrl, grade, subject, limit, limiter}) => [{index, id, title, href, date}];
+ *   opens the list for a combination (all pages, or until `limit` items are known), index is 1-based
+ *   across pages; items may carry extra fields for openItem (the paper site adds pageUrl, pageIndex)
+ * @property {Function} openItem - async (page, item) => void; opens an item from listItems, throws on failure
+ * @property {Function} fetchPdf - async (page, {grade, subject, downloadDir, date, n, title, strategies, limiter, template})
+ *   => {id, filePath, strategy, pageCount, attempts, sha256?} | null; saves the PDF of the opened item
+ *   (without sha256 the runner hashes the file)
+ * @property {Function} [readMetadata] - async (page) => {title, description, publishedAt, tags}
+ * @property {SiteAdapter} [httpAdapter] - Browserless variant for HTTP-only mode; works on pages from
+ *   httpSession.js and throws StepError kind "markup" when the HTML does not match
+ */
+
+const REQUIRED_METHODS = ['login', 'isLoggedIn', 'listItems', 'openItem', 'fetchPdf'];
+
+/**
+ * Built-in adapters by name
+ */
+const ADAPTERS = {
+    'paper-site': () => require('./paperSiteAdapter')
+};
+
+/**
+ * Check an adapter implements the interface
+ * @param {Object} adapter - Adapter module
+ * @param {string} name - Name used in the error message
+ * @returns {SiteAdapter} The adapter
+ */
+function validateAdapter(adapter, name) {
+    const missing = REQUIRED_METHODS.filter(method => typeof adapter?.[method] !== 'function');
+    if (missing.length) {
+        throw new Error(`Site adapter "${name}" is missing: ${missing.join(', ')}`);
+    }
+    return adapter;
+}
+
+/**
+ * Resolve the configured site adapter (config `site.adapter` / SITE_ADAPTER env).
+ * A built-in name, or a path to a module exporting the adapter methods.
+ * @param {string} [name] - Adapter name or module path
+ * @returns {SiteAdapter} Adapter
+ */
+function resolveSiteAdapter(name = getConfig().site.adapter) {
+    if (ADAPTERS[name]) {
+        return validateAdapter(ADAPTERS[name](), name);
+    }
+    if (/^[./]/.test(name) || path.isAbsolute(name)) {
+        const adapter = require(path.resolve(name));
+        log.debug('Loaded site adapter module:', name);
+        return validateAdapter({ name: path.basename(name, '.js'), ...adapter }, name);
+    }
+    throw new Error(`Unknown site adapter "${name}" (built-in: ${Object.keys(ADAPTERS).join(', ')}, or a module path)`);
+}
+
+module.exports = {
+    ADAPTERS,
+    resolveSiteAdapter,
+    validateAdapter
+};
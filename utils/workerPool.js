@@ -0,0 +1,61 @@
+/**
+ * Worker pool over pages of one logged-in browser context
+ * Each worker owns a page and pulls tasks from a shared queue
+ */
+'use strict';
+
+const { getConfig } = require('./config');
+const { createLogger } = require('./logger');
+const log = createLogger('pool');
+
+/**
+ * Worker count (config `workers` / WORKERS env, default 2)
+ * @returns {number}
+ */
+function getWorkerCount() {
+    return getConfig().workers;
+}
+
+/**
+ * Run tasks with a pool of pages
+ * @param {Object} session - Session from openSession (its page becomes worker 1)
+ * @param {Array} tasks - Task list
+ * @param {Function} handler - async (page, task, index) => void
+ * @param {Object} [options]
+ * @param {number} [options.workers] - Number of pages (default: getWorkerCount())
+ * @param {Object} [options.limiter] - Rate limiter to attach to every page
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(session, tasks, handler, options = {}) {
+    const workerCount = Math.min(options.workers || getWorkerCount(), Math.max(1, tasks.length));
+    const pages = [session.page];
+    
+    for (let i = 1; i < workerCount; i++) {
+        pages.push(await session.context.newPage());
+    }
+    if (options.limiter) pages.forEach(page => options.limiter.attach(page));
+    log.info(`Workers: ${workerCount}, tasks: ${tasks.length}`);
+    
+    let next = 0;
+    async function worker(page, workerId) {
+        while (next < tasks.length) {
+            const index = next++;
+            log.debug(`Worker ${workerId} takes task ${index + 1}`);
+            await handler(page, tasks[index], index);
+        }
+    }
+    
+    try {
+        await Promise.all(pages.map((page, i) => worker(page, i + 1)));
+    } finally {
+        // Extra pages belong to the pool; session.page is closed with the session
+        for (const page of pages.slice(1)) {
+            await page.close().catch(() => {});
+        }
+    }
+}
+
+module.exports = {
+    runWorkerPool,
+    getWorkerCount
+};